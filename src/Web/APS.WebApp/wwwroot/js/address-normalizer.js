@@ -0,0 +1,200 @@
+/**
+ * APS Healthcare Platform - Address Normalizer
+ * CEP format check and normalization (01234567 -> 01234-567), the UF of a CEP from a loadable
+ * CEP range table, and expansion of street type abbreviations (R. -> Rua, Av. -> Avenida)
+ */
+
+class AddressNormalizer {
+    constructor() {
+        this.cepPattern = /^\d{5}-\d{3}$/;
+
+        // IBGE codes of the UFs, to read tables that give the UF by its abbreviation
+        this.ufCodes = {
+            RO: 11, AC: 12, AM: 13, RR: 14, PA: 15, AP: 16, TO: 17,
+            MA: 21, PI: 22, CE: 23, RN: 24, PB: 25, PE: 26, AL: 27, SE: 28, BA: 29,
+            MG: 31, ES: 32, RJ: 33, SP: 35,
+            PR: 41, SC: 42, RS: 43,
+            MS: 50, MT: 51, GO: 52, DF: 53
+        };
+
+        // CEP ranges of each UF published by the Correios, used when no table is loaded
+        // (first five digits; DF and GO, AM and RR interleave)
+        this.defaultRanges = [
+            ['SP', '01000', '19999'], ['RJ', '20000', '28999'], ['ES', '29000', '29999'], ['MG', '30000', '39999'],
+            ['BA', '40000', '48999'], ['SE', '49000', '49999'], ['PE', '50000', '56999'], ['AL', '57000', '57999'],
+            ['PB', '58000', '58999'], ['RN', '59000', '59999'], ['CE', '60000', '63999'], ['PI', '64000', '64999'],
+            ['MA', '65000', '65999'], ['PA', '66000', '68899'], ['AP', '68900', '68999'], ['AM', '69000', '69299'],
+            ['RR', '69300', '69399'], ['AM', '69400', '69899'], ['AC', '69900', '69999'], ['DF', '70000', '72799'],
+            ['GO', '72800', '72999'], ['DF', '73000', '73699'], ['GO', '73700', '76799'], ['RO', '76800', '76999'],
+            ['TO', '77000', '77999'], ['MT', '78000', '78899'], ['MS', '79000', '79999'], ['PR', '80000', '87999'],
+            ['SC', '88000', '89999'], ['RS', '90000', '99999']
+        ].map(([uf, from, to]) => ({ uf: this.ufCodes[uf], inicio: `${from}000`, fim: `${to}999` }));
+
+        // Street types at the start of an address, by abbreviation (compared without dot and case)
+        this.streetTypes = {
+            r: 'Rua',
+            av: 'Avenida', avda: 'Avenida',
+            al: 'Alameda',
+            tv: 'Travessa', trav: 'Travessa',
+            pc: 'Praça', pca: 'Praça', 'pç': 'Praça', 'pça': 'Praça',
+            rod: 'Rodovia',
+            est: 'Estrada', estr: 'Estrada',
+            lg: 'Largo', lgo: 'Largo',
+            bc: 'Beco',
+            vd: 'Viaduto',
+            vl: 'Vila'
+        };
+
+        // Column names accepted when loading a table (compared without accents and case)
+        this.tableColumns = {
+            uf: ['codigo_uf', 'uf', 'sigla', 'estado'],
+            inicio: ['cep_inicial', 'cep_inicio', 'faixa_inicial', 'inicio'],
+            fim: ['cep_final', 'cep_fim', 'faixa_final', 'fim']
+        };
+
+        // Loaded ranges { uf, inicio, fim } (8 digits); the default ranges apply while empty
+        this.ranges = [];
+    }
+
+    /**
+     * Canonical form of a CEP: 8 digits with a hyphen ("01234567", "01.234-567" -> "01234-567").
+     * Seven digits are read as a CEP that lost its leading zero in a spreadsheet. Values that cannot be
+     * read as a CEP are returned trimmed.
+     */
+    normalizeCEP(value) {
+        const text = String(value === undefined || value === null ? '' : value).trim();
+        if (!/^[\d.\-\s]+$/.test(text)) {
+            return text;
+        }
+        const digits = text.replace(/\D/g, '');
+        if (digits.length !== 8 && digits.length !== 7) {
+            return text;
+        }
+        const padded = digits.padStart(8, '0');
+        return `${padded.substring(0, 5)}-${padded.substring(5)}`;
+    }
+
+    /**
+     * Check a CEP: format, then whether it falls in the range of some UF
+     * @returns {{isValid: boolean, cep: string, uf: number|null, error: {message: string}|null}}
+     *          uf is the IBGE code of the CEP's UF
+     */
+    validateCEP(value) {
+        const cep = this.normalizeCEP(value);
+
+        if (!this.cepPattern.test(cep) || cep === '00000-000') {
+            return { isValid: false, cep, uf: null, error: { message: `CEP inválido: ${value} (esperado 8 dígitos, ex.: 01234-567)` } };
+        }
+
+        const uf = this.ufOfCEP(cep);
+        if (uf === null) {
+            return { isValid: false, cep, uf: null, error: { message: `CEP ${cep} fora das faixas de CEP conhecidas` } };
+        }
+
+        return { isValid: true, cep, uf, error: null };
+    }
+
+    /**
+     * IBGE code of the UF whose range holds a CEP, or null
+     */
+    ufOfCEP(value) {
+        const digits = this.normalizeCEP(value).replace(/\D/g, '');
+        if (digits.length !== 8) {
+            return null;
+        }
+        const ranges = this.ranges.length > 0 ? this.ranges : this.defaultRanges;
+        const range = ranges.find(({ inicio, fim }) => digits >= inicio && digits <= fim);
+        return range ? range.uf : null;
+    }
+
+    /**
+     * Whether a CEP belongs to a UF, given by its IBGE code or abbreviation; true when the CEP is not
+     * in any range (reported by validateCEP)
+     */
+    matchesUF(value, uf) {
+        const cepUF = this.ufOfCEP(value);
+        return cepUF === null || cepUF === this.toUFCode(uf);
+    }
+
+    /**
+     * IBGE code of a UF given by code ("35") or abbreviation ("SP"), or null
+     */
+    toUFCode(value) {
+        const text = String(value === undefined || value === null ? '' : value).trim().toUpperCase();
+        if (/^\d{2}$/.test(text)) {
+            return Number(text);
+        }
+        return this.ufCodes[text] || null;
+    }
+
+    /**
+     * Address with the street type written out and spacing collapsed ("R. das Flores, 123" ->
+     * "Rua das Flores, 123"); only the first word is expanded
+     */
+    normalizeAddress(value) {
+        const text = String(value === undefined || value === null ? '' : value).trim().replace(/\s+/g, ' ');
+        const match = text.match(/^([A-Za-zçÇ]+)(\.\s*|\s+)(?=\S)/);
+        if (!match) {
+            return text;
+        }
+        const streetType = this.streetTypes[match[1].toLowerCase()];
+        return streetType ? `${streetType} ${text.substring(match[0].length)}` : text;
+    }
+
+    /**
+     * Load CEP ranges, replacing the ranges loaded before
+     * @param {Array<Object>} rows - Objects with the UF (IBGE code or abbreviation) and the first and
+     *        last CEP of the range (see tableColumns), e.g. exported from the Correios range table
+     * @returns {number} Ranges loaded
+     */
+    load(rows) {
+        if (!Array.isArray(rows)) {
+            throw new Error('Tabela de faixas de CEP inválida: esperada uma lista de faixas');
+        }
+
+        this.ranges = rows.reduce((ranges, row) => {
+            const columns = TableLoader.readColumns(row, this.tableColumns);
+            const uf = this.toUFCode(columns.uf);
+            const inicio = this.normalizeCEP(columns.inicio).replace('-', '');
+            const fim = this.normalizeCEP(columns.fim).replace('-', '');
+            if (uf !== null && /^\d{8}$/.test(inicio) && /^\d{8}$/.test(fim) && inicio <= fim) {
+                ranges.push({ uf, inicio, fim });
+            }
+            return ranges;
+        }, []);
+
+        return this.ranges.length;
+    }
+
+    /**
+     * Load a table from JSON (list of ranges) or CSV text (see TableLoader.parse)
+     */
+    loadFromText(text) {
+        return this.load(TableLoader.parse(text, 'tabela de faixas de CEP'));
+    }
+
+    /**
+     * Fetch and load a table published next to the application
+     */
+    async loadFromUrl(url) {
+        return this.load(await TableLoader.fetch(url, 'tabela de faixas de CEP'));
+    }
+
+    clear() {
+        this.ranges = [];
+    }
+
+    size() {
+        return this.ranges.length;
+    }
+
+    /**
+     * Loaded ranges in the form load() accepts, e.g. to hand the table to the normalization worker
+     */
+    toJSON() {
+        return this.ranges.map(range => ({ ...range }));
+    }
+}
+
+// Export for use in other modules
+window.AddressNormalizer = AddressNormalizer;
@@ -5,9 +5,15 @@
 
 class AdvancedUploadHandler {
     constructor() {
-        this.validationService = new FileValidationService();
+        // Share the page's schema registry, so schemas loaded from JSON apply to uploads too
+        this.validationService = new FileValidationService(window.healthcareAPI ? window.healthcareAPI.schemaRegistry : null);
+        this.workerClient = new NormalizationWorkerClient();
+        // Column mapping templates saved per data source
+        this.headerMapper = new HeaderMapper(this.validationService.schemaRegistry);
         this.uploadQueue = new Map();
         this.activeUploads = new Map();
+        // Uploads waiting for the operator to map columns, decide on suspicious values or review changes
+        this.pendingReviews = new Map();
         this.maxConcurrentUploads = 3;
         this.maxRetries = 3;
         
@@ -20,6 +26,20 @@ class AdvancedUploadHandler {
                 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
             ],
             maxFileSize: 100 * 1024 * 1024, // 100MB
+            // Findings listed one by one in the review dialog; the rest follow the "all findings" choice
+            maxReviewFindings: 200,
+            // Hold each upload until the operator reviews the values normalization changed
+            reviewChanges: true,
+            // Changes listed one by one in the change review; the rest follow the choice for their rule
+            maxReviewChanges: 200,
+            // Check every CSV row and keep the row errors for export (slower on large files)
+            fullRowValidation: false,
+            // Day/month order ('pt-BR' or 'en-US') of date columns whose values fit both; null reports them as ambiguous
+            dateLocale: null,
+            // Rule ids or rule pack names switched on or off for every upload (see RuleRegistry);
+            // an upload's own enabledRules/disabledRules are added to these
+            enabledRules: [],
+            disabledRules: [],
             endpoints: {
                 upload: '/api/files/upload',
                 validate: '/api/files/validate',
@@ -162,8 +182,10 @@ class AdvancedUploadHandler {
 
     /**
      * Process queue of valid files
+     * @param {Object} rules - { enabledRules, disabledRules }: rule ids or rule pack names switched on or
+     *        off for these files, on top of config.enabledRules/disabledRules
      */
-    async processFileQueue(files) {
+    async processFileQueue(files, { enabledRules = [], disabledRules = [] } = {}) {
         // Add files to upload queue
         files.forEach(file => {
             const uploadId = this.generateUploadId();
@@ -172,7 +194,9 @@ class AdvancedUploadHandler {
                 uploadId,
                 status: 'queued',
                 createdAt: new Date(),
-                retryCount: 0
+                retryCount: 0,
+                enabledRules,
+                disabledRules
             });
         });
 
@@ -207,17 +231,82 @@ class AdvancedUploadHandler {
             this.updateUploadItemUI(uploadId, uploadItem);
 
             // Step 1: Comprehensive validation
-            const validationResult = await this.validationService.validateFile(uploadItem.file, {
+            const validationResult = await this.runValidation(uploadId, uploadItem, {
                 strictMode: false,
                 allowQuarantine: true,
-                performDeepScan: true
+                performDeepScan: true,
+                dataType: uploadItem.dataType || 'auto-detect',
+                sanitizationDecisions: uploadItem.sanitizationDecisions || {},
+                headerMapping: uploadItem.headerMapping || {},
+                fullValidation: this.config.fullRowValidation,
+                dateLocale: this.config.dateLocale,
+                rejectedChanges: uploadItem.changeReview?.rejectedChanges || [],
+                rejectedRules: uploadItem.changeReview?.rejectedRules || [],
+                enabledRules: [...this.config.enabledRules, ...uploadItem.enabledRules],
+                disabledRules: [...this.config.disabledRules, ...uploadItem.disabledRules]
             });
 
+            if (uploadItem.status === 'cancelled') {
+                return;
+            }
+
             if (!validationResult.success) {
                 throw new Error(`Validação falhou: ${validationResult.error.message}`);
             }
 
-            // Step 2: Check if file needs quarantine
+            // Step 2: When two data types fit the content almost equally well, the operator picks one
+            if (validationResult.classification?.ambiguous && !uploadItem.dataType) {
+                uploadItem.status = 'classification';
+                uploadItem.validationResult = validationResult;
+                this.pendingReviews.set(uploadId, uploadItem);
+                this.updateUploadItemUI(uploadId, uploadItem);
+                this.showDataTypeDialog(uploadId, uploadItem, validationResult.classification);
+                return;
+            }
+
+            // Step 3: Columns without a clear schema field are mapped by a saved template of the source or by the operator
+            const unmappedTables = (validationResult.headerMapping || []).filter(table => table.needsReview);
+            if (unmappedTables.length > 0 && !uploadItem.headerMapping) {
+                const templateMapping = this.findHeaderTemplates(unmappedTables);
+                if (templateMapping) {
+                    // Back in the queue like a retry: the next run starts once this one has left activeUploads
+                    uploadItem.headerMapping = templateMapping;
+                    uploadItem.status = 'queued';
+                    this.uploadQueue.set(uploadId, uploadItem);
+                    this.updateUploadItemUI(uploadId, uploadItem);
+                    return;
+                }
+
+                uploadItem.status = 'mapping';
+                uploadItem.validationResult = validationResult;
+                this.pendingReviews.set(uploadId, uploadItem);
+                this.updateUploadItemUI(uploadId, uploadItem);
+                this.showHeaderMappingDialog(uploadId, uploadItem, unmappedTables);
+                return;
+            }
+
+            // Step 4: Suspicious values need an operator decision before the normalized content is used
+            const findings = validationResult.sanitization?.findings || [];
+            if (findings.length > 0 && !uploadItem.sanitizationDecisions) {
+                uploadItem.status = 'review';
+                uploadItem.validationResult = validationResult;
+                this.pendingReviews.set(uploadId, uploadItem);
+                this.updateUploadItemUI(uploadId, uploadItem);
+                this.showSanitizationDialog(uploadId, uploadItem, findings);
+                return;
+            }
+
+            // Step 5: Values changed by normalization are accepted or rejected before the content is sent
+            if (this.config.reviewChanges && !uploadItem.changeReview && this.getChangeRules(validationResult).length > 0) {
+                uploadItem.status = 'changes';
+                uploadItem.validationResult = validationResult;
+                this.pendingReviews.set(uploadId, uploadItem);
+                this.updateUploadItemUI(uploadId, uploadItem);
+                this.showChangesDialog(uploadId, uploadItem);
+                return;
+            }
+
+            // Step 6: Check if file needs quarantine
             if (validationResult.quarantine?.required) {
                 uploadItem.status = 'quarantined';
                 uploadItem.quarantineReason = validationResult.quarantine.reason;
@@ -226,7 +315,7 @@ class AdvancedUploadHandler {
                 return;
             }
 
-            // Step 3: Upload normalized file
+            // Step 7: Upload normalized file
             uploadItem.status = 'uploading';
             uploadItem.validationResult = validationResult;
             this.updateUploadItemUI(uploadId, uploadItem);
@@ -237,14 +326,14 @@ class AdvancedUploadHandler {
                 throw new Error(`Upload falhou: ${uploadResult.error}`);
             }
 
-            // Step 4: Process in backend
+            // Step 8: Process in backend
             uploadItem.status = 'processing';
             uploadItem.uploadResult = uploadResult;
             this.updateUploadItemUI(uploadId, uploadItem);
 
             const processResult = await this.processInBackend(uploadId, uploadItem, uploadResult);
 
-            // Step 5: Complete
+            // Step 9: Complete
             uploadItem.status = processResult.success ? 'completed' : 'failed';
             uploadItem.processResult = processResult;
             uploadItem.completedAt = new Date();
@@ -252,11 +341,20 @@ class AdvancedUploadHandler {
 
             if (processResult.success) {
                 this.showSuccessNotification(uploadItem);
+                await this.importReferenceData(uploadItem);
             } else {
                 throw new Error(`Processamento falhou: ${processResult.error}`);
             }
 
         } catch (error) {
+            if (error.name === 'AbortError' || uploadItem.status === 'cancelled') {
+                // Cancelled from the queue UI - no retry
+                uploadItem.status = 'cancelled';
+                uploadItem.error = null;
+                this.updateUploadItemUI(uploadId, uploadItem);
+                return;
+            }
+
             // Handle upload failure
             uploadItem.status = 'failed';
             uploadItem.error = error.message;
@@ -281,6 +379,44 @@ class AdvancedUploadHandler {
         }
     }
 
+    /**
+     * Validate the file in a Web Worker when available, forwarding progress to the queue UI
+     */
+    async runValidation(uploadId, uploadItem, options) {
+        uploadItem.validationProgress = 0;
+
+        const progressCallback = (progress) => {
+            uploadItem.validationProgress = progress.progress;
+            uploadItem.validationMessage = progress.message;
+            this.updateUploadProgressUI(uploadId, this.getProgressWidth(uploadItem));
+        };
+
+        // Rule packs registered from code cannot be loaded in the worker
+        const { ruleRegistry } = this.validationService;
+        if (!this.workerClient.canProcess(uploadItem.file) || ruleRegistry.hasLocalPacks()) {
+            return this.validationService.validateFile(uploadItem.file, { ...options, progressCallback });
+        }
+
+        const job = this.workerClient.validateFile(uploadItem.file, {
+            ...options,
+            schemaDefinition: this.validationService.schemaRegistry.toJSON(),
+            rulePackUrls: ruleRegistry.getPackUrls(),
+            // Sent even when empty, so a table cleared on the page is cleared in the worker too
+            cid10Table: this.validationService.cid10Catalog.toJSON(),
+            cepTable: this.validationService.addressNormalizer.toJSON()
+        }, progressCallback);
+        uploadItem.validationJob = job;
+
+        try {
+            const validationResult = await job.promise;
+            // History and quarantine live in the main-thread service used by the dashboard
+            this.validationService.registerValidationReport(validationResult, options);
+            return validationResult;
+        } finally {
+            uploadItem.validationJob = null;
+        }
+    }
+
     /**
      * Upload normalized file to server
      */
@@ -289,7 +425,7 @@ class AdvancedUploadHandler {
             const formData = new FormData();
             
             // Create blob from normalized content
-            const normalizedBlob = new Blob([validationResult.normalized.content], {
+            const normalizedBlob = new Blob([validationResult.file.normalized.content], {
                 type: 'text/plain'
             });
 
@@ -298,7 +434,7 @@ class AdvancedUploadHandler {
             formData.append('originalName', uploadItem.file.name);
             formData.append('originalSize', uploadItem.file.size.toString());
             formData.append('validationId', validationResult.validationId);
-            formData.append('fileType', validationResult.normalized.detectedType);
+            formData.append('fileType', validationResult.file.normalized.detectedType);
             formData.append('validationReport', JSON.stringify(validationResult));
 
             const xhr = new XMLHttpRequest();
@@ -394,6 +530,11 @@ class AdvancedUploadHandler {
         this.activeUploads.forEach((item, uploadId) => {
             this.createUploadItemUI(uploadId, item, queueContainer);
         });
+
+        // Add items waiting for review
+        this.pendingReviews.forEach((item, uploadId) => {
+            this.createUploadItemUI(uploadId, item, queueContainer);
+        });
     }
 
     createUploadItemUI(uploadId, uploadItem, container) {
@@ -482,7 +623,12 @@ class AdvancedUploadHandler {
             'completed': 'Concluído',
             'failed': 'Falhou',
             'quarantined': 'Quarentena',
-            'retrying': 'Tentando novamente'
+            'review': 'Revisão',
+            'mapping': 'Mapeamento',
+            'classification': 'Confirmação de tipo',
+            'changes': 'Revisão de alterações',
+            'retrying': 'Tentando novamente',
+            'cancelled': 'Cancelado'
         };
         return statusTexts[status] || status;
     }
@@ -490,12 +636,16 @@ class AdvancedUploadHandler {
     getProgressWidth(uploadItem) {
         switch (uploadItem.status) {
             case 'queued': return 0;
-            case 'validating': return 25;
+            case 'validating': return (uploadItem.validationProgress || 0) * 0.25;
             case 'uploading': return 25 + (uploadItem.uploadProgress || 0) * 0.5;
             case 'processing': return 75;
             case 'completed': return 100;
             case 'failed': return 0;
             case 'quarantined': return 25;
+            case 'review': return 25;
+            case 'mapping': return 25;
+            case 'classification': return 25;
+            case 'changes': return 25;
             default: return 0;
         }
     }
@@ -503,12 +653,17 @@ class AdvancedUploadHandler {
     getProgressText(uploadItem) {
         switch (uploadItem.status) {
             case 'queued': return 'Aguardando...';
-            case 'validating': return 'Validando arquivo...';
+            case 'validating': return `${uploadItem.validationMessage || 'Validando arquivo...'} ${Math.round(uploadItem.validationProgress || 0)}%`;
             case 'uploading': return `Enviando... ${Math.round(uploadItem.uploadProgress || 0)}%`;
             case 'processing': return 'Processando no servidor...';
             case 'completed': return 'Upload concluído!';
             case 'failed': return `Erro: ${uploadItem.error || 'Falha desconhecida'}`;
             case 'quarantined': return `Em quarentena: ${uploadItem.quarantineReason}`;
+            case 'review': return `${uploadItem.validationResult.sanitization.findings.length} valor(es) suspeito(s) aguardando decisão`;
+            case 'mapping': return 'Colunas aguardando mapeamento para os campos do esquema';
+            case 'classification': return 'Tipo de dados aguardando confirmação';
+            case 'changes': return `${uploadItem.validationResult.file.normalized.changes.length} alteração(ões) aguardando revisão`;
+            case 'cancelled': return 'Cancelado pelo usuário';
             default: return '';
         }
     }
@@ -525,6 +680,16 @@ class AdvancedUploadHandler {
                 </div>
             `;
             
+            const changes = validation.file?.normalized?.changes || [];
+            if (changes.length > 0) {
+                const rejected = changes.filter(change => change.rejected).length;
+                details += `
+                    <div class="normalization-changes">
+                        <small>Alterações: ${changes.length}${validation.file.normalized.changesTruncated ? '+' : ''}${rejected > 0 ? ` (${rejected} rejeitada(s))` : ''}</small>
+                    </div>
+                `;
+            }
+
             if (validation.healthcare?.stats) {
                 const stats = validation.healthcare.stats;
                 details += `
@@ -563,7 +728,67 @@ class AdvancedUploadHandler {
             `;
         }
         
-        if (['completed', 'failed'].includes(uploadItem.status)) {
+        if (uploadItem.status === 'classification') {
+            actions += `
+                <button class="btn btn-sm btn-info" onclick="uploadHandler.showDataTypeReview('${uploadId}')">
+                    <i class="fas fa-tags"></i> Confirmar Tipo
+                </button>
+                <button class="btn btn-sm btn-secondary" onclick="uploadHandler.removeUpload('${uploadId}')">
+                    <i class="fas fa-times"></i> Remover
+                </button>
+            `;
+        }
+
+        if (uploadItem.status === 'mapping') {
+            actions += `
+                <button class="btn btn-sm btn-info" onclick="uploadHandler.showHeaderMappingReview('${uploadId}')">
+                    <i class="fas fa-columns"></i> Mapear Colunas
+                </button>
+                <button class="btn btn-sm btn-secondary" onclick="uploadHandler.removeUpload('${uploadId}')">
+                    <i class="fas fa-times"></i> Remover
+                </button>
+            `;
+        }
+
+        if (uploadItem.status === 'review') {
+            actions += `
+                <button class="btn btn-sm btn-info" onclick="uploadHandler.showSanitizationReview('${uploadId}')">
+                    <i class="fas fa-search"></i> Revisar
+                </button>
+                <button class="btn btn-sm btn-secondary" onclick="uploadHandler.removeUpload('${uploadId}')">
+                    <i class="fas fa-times"></i> Remover
+                </button>
+            `;
+        }
+
+        if (uploadItem.status === 'changes') {
+            actions += `
+                <button class="btn btn-sm btn-info" onclick="uploadHandler.showChangesReview('${uploadId}')">
+                    <i class="fas fa-exchange-alt"></i> Revisar Alterações
+                </button>
+                <button class="btn btn-sm btn-secondary" onclick="uploadHandler.removeUpload('${uploadId}')">
+                    <i class="fas fa-times"></i> Remover
+                </button>
+            `;
+        } else if (uploadItem.validationResult?.file?.normalized?.changes?.length > 0) {
+            actions += `<button class="btn btn-sm btn-outline-secondary" onclick="uploadHandler.showChangesReview('${uploadId}')">
+                <i class="fas fa-exchange-alt"></i> Alterações
+            </button>`;
+        }
+
+        if (uploadItem.validationResult?.rowValidation?.summary.total > 0) {
+            actions += `<button class="btn btn-sm btn-outline-secondary" onclick="uploadHandler.downloadRowErrors('${uploadId}')">
+                <i class="fas fa-file-csv"></i> Erros (CSV)
+            </button>`;
+        }
+
+        if (['queued', 'validating'].includes(uploadItem.status)) {
+            actions += `<button class="btn btn-sm btn-outline-danger" onclick="uploadHandler.cancelUpload('${uploadId}')">
+                <i class="fas fa-stop"></i> Cancelar
+            </button>`;
+        }
+        
+        if (['completed', 'failed', 'cancelled'].includes(uploadItem.status)) {
             actions += `<button class="btn btn-sm btn-secondary" onclick="uploadHandler.removeUpload('${uploadId}')">
                 <i class="fas fa-times"></i> Remover
             </button>`;
@@ -587,6 +812,21 @@ class AdvancedUploadHandler {
         }
     }
 
+    cancelUpload(uploadId) {
+        const uploadItem = this.getUploadItem(uploadId);
+        if (!uploadItem) return;
+
+        if (uploadItem.status === 'queued') {
+            this.uploadQueue.delete(uploadId);
+        }
+
+        uploadItem.status = 'cancelled';
+        if (uploadItem.validationJob) {
+            uploadItem.validationJob.cancel();
+        }
+        this.updateUploadItemUI(uploadId, uploadItem);
+    }
+
     forceUpload(uploadId) {
         const uploadItem = this.getUploadItem(uploadId);
         if (uploadItem && uploadItem.status === 'quarantined') {
@@ -600,12 +840,115 @@ class AdvancedUploadHandler {
     removeUpload(uploadId) {
         this.uploadQueue.delete(uploadId);
         this.activeUploads.delete(uploadId);
+        this.pendingReviews.delete(uploadId);
         const element = document.getElementById(`upload-item-${uploadId}`);
         if (element) {
             element.remove();
         }
     }
 
+    /**
+     * Re-run validation with the operator's decisions, so the normalized content is produced from them
+     * @param {Object} decisions - { [findingId]: 'escape'|'block'|'allow' }
+     */
+    applySanitizationDecisions(uploadId, decisions) {
+        const uploadItem = this.pendingReviews.get(uploadId);
+        if (!uploadItem) return;
+
+        uploadItem.sanitizationDecisions = decisions;
+        this.requeueReviewedUpload(uploadId, uploadItem);
+    }
+
+    /**
+     * Re-run validation without the changes the operator rejected, so the content sent keeps those values as read
+     * @param {Object} review - { rejectedChanges: [changeId], rejectedRules: [rule] }
+     */
+    applyChangeReview(uploadId, review) {
+        const uploadItem = this.pendingReviews.get(uploadId);
+        if (!uploadItem) return;
+
+        uploadItem.changeReview = review;
+        this.requeueReviewedUpload(uploadId, uploadItem);
+    }
+
+    /**
+     * Re-run validation with the column assignments, so headers are renamed before sanitization and normalization
+     * @param {Object} headerMapping - { [sheetName, or '' for CSV]: { [sourceHeader]: field|'' } }
+     */
+    applyHeaderMapping(uploadId, uploadItem, headerMapping) {
+        uploadItem.headerMapping = headerMapping;
+        this.requeueReviewedUpload(uploadId, uploadItem);
+    }
+
+    /**
+     * Re-run validation with the data type confirmed by the operator instead of the classifier's guess
+     */
+    applyDataType(uploadId, uploadItem, dataType) {
+        uploadItem.dataType = dataType;
+        this.requeueReviewedUpload(uploadId, uploadItem);
+    }
+
+    /**
+     * Put an upload back in the queue after an operator decision, discarding the previous validation
+     */
+    requeueReviewedUpload(uploadId, uploadItem) {
+        this.pendingReviews.delete(uploadId);
+        uploadItem.validationResult = null;
+        uploadItem.status = 'queued';
+        this.uploadQueue.set(uploadId, uploadItem);
+        this.updateUploadItemUI(uploadId, uploadItem);
+        this.processQueue();
+    }
+
+    showDataTypeReview(uploadId) {
+        const uploadItem = this.pendingReviews.get(uploadId);
+        if (uploadItem && uploadItem.status === 'classification') {
+            this.showDataTypeDialog(uploadId, uploadItem, uploadItem.validationResult.classification);
+        }
+    }
+
+    /**
+     * Assignments from saved templates when every table under review has one covering all its columns
+     * @returns {Object|null} headerMapping, or null when a table has no matching template
+     */
+    findHeaderTemplates(tables) {
+        const headerMapping = {};
+        const covered = tables.every(table => {
+            const headers = table.columns.map(column => column.header);
+            const template = this.headerMapper.findTemplate(table.dataType, headers);
+            if (template) {
+                headerMapping[table.sheet || ''] = this.headerMapper.applyTemplate(template, headers);
+            }
+            return Boolean(template);
+        });
+        return covered ? headerMapping : null;
+    }
+
+    showHeaderMappingReview(uploadId) {
+        const uploadItem = this.pendingReviews.get(uploadId);
+        if (uploadItem && uploadItem.status === 'mapping') {
+            this.showHeaderMappingDialog(uploadId, uploadItem,
+                uploadItem.validationResult.headerMapping.filter(table => table.needsReview));
+        }
+    }
+
+    showSanitizationReview(uploadId) {
+        const uploadItem = this.pendingReviews.get(uploadId);
+        if (uploadItem) {
+            this.showSanitizationDialog(uploadId, uploadItem, uploadItem.validationResult.sanitization.findings);
+        }
+    }
+
+    /**
+     * Change review while the upload waits for it; afterwards, the list of changes applied and rejected
+     */
+    showChangesReview(uploadId) {
+        const uploadItem = this.getUploadItem(uploadId);
+        if (uploadItem && uploadItem.validationResult) {
+            this.showChangesDialog(uploadId, uploadItem, uploadItem.status !== 'changes');
+        }
+    }
+
     showQuarantineDetails(uploadId) {
         const uploadItem = this.getUploadItem(uploadId);
         if (uploadItem && uploadItem.validationResult) {
@@ -613,6 +956,42 @@ class AdvancedUploadHandler {
         }
     }
 
+    /**
+     * Imported estados and municipios become the reference data later uploads are checked against
+     */
+    async importReferenceData(uploadItem) {
+        const { normalized } = uploadItem.validationResult.file;
+        try {
+            await this.validationService.importReferenceData(
+                normalized.content, normalized.detectedType, uploadItem.validationResult.healthcare);
+        } catch (error) {
+            this.showNotification('warning', `
+                <i class="fas fa-database"></i>
+                <strong>Dados de referência não guardados</strong><br>
+                ${this.escapeHtml(uploadItem.file.name)}: ${this.escapeHtml(error.message)}
+            `);
+        }
+    }
+
+    /**
+     * Download the row errors of a fully validated file as CSV
+     */
+    downloadRowErrors(uploadId) {
+        const uploadItem = this.getUploadItem(uploadId);
+        const csv = uploadItem && uploadItem.validationResult
+            ? this.validationService.exportRowErrors(uploadItem.validationResult)
+            : null;
+        if (!csv) return;
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' }));
+        link.download = `${uploadItem.file.name.replace(/\.[^.]+$/, '')}_erros.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+
     /**
      * Dialog methods
      */
@@ -646,7 +1025,7 @@ class AdvancedUploadHandler {
                 <ul class="list-group mb-3">
                     ${threats.map(threat => `
                         <li class="list-group-item d-flex justify-content-between">
-                            <span>${threat.type}</span>
+                            <span>${this.escapeHtml(threat.message || threat.type)}</span>
                             <span class="badge badge-${threat.severity === 'high' ? 'danger' : 'warning'}">${threat.severity}</span>
                         </li>
                     `).join('')}
@@ -673,6 +1052,415 @@ class AdvancedUploadHandler {
         modal.show();
     }
 
+    /**
+     * List suspicious values with their location and reason and let the operator choose, per value,
+     * to escape it, block its record or allow it unchanged
+     */
+    showSanitizationDialog(uploadId, uploadItem, findings) {
+        const listed = findings.slice(0, this.config.maxReviewFindings);
+        const containerId = `sanitization-review-${uploadId}`;
+        const actionOptions = (selected) => [
+            ['escape', 'Escapar'],
+            ['block', 'Bloquear registro'],
+            ['allow', 'Permitir']
+        ].map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`).join('');
+
+        const modal = this.createModal('Conteúdo Suspeito', `
+            <div id="${containerId}">
+                <div class="alert alert-warning">
+                    <i class="fas fa-shield-alt"></i>
+                    ${findings.length} valor(es) de <strong>${this.escapeHtml(uploadItem.file.name)}</strong> parecem conter código.
+                    Escolha o que fazer com cada um antes de gerar o conteúdo normalizado.
+                </div>
+
+                <div class="d-flex align-items-center mb-2">
+                    <label class="me-2 mb-0" for="${containerId}-all">Todos os valores:</label>
+                    <select class="form-select form-select-sm w-auto" id="${containerId}-all"
+                        onchange="document.querySelectorAll('#${containerId} select[data-finding-id]').forEach(select => { select.value = this.value; })">
+                        ${actionOptions('escape')}
+                    </select>
+                </div>
+
+                <table class="table table-sm">
+                    <thead>
+                        <tr><th>Linha</th><th>Coluna</th><th>Valor</th><th>Motivo</th><th>Ação</th></tr>
+                    </thead>
+                    <tbody>
+                        ${listed.map(finding => `
+                            <tr>
+                                <td>${finding.row}</td>
+                                <td>${this.escapeHtml(finding.sheet ? `${finding.sheet} / ${finding.column}` : finding.column)}</td>
+                                <td><code>${this.escapeHtml(finding.value)}</code></td>
+                                <td><span class="badge badge-${finding.severity === 'high' ? 'danger' : 'warning'}">${finding.severity}</span> ${this.escapeHtml(finding.reason)}</td>
+                                <td>
+                                    <select class="form-select form-select-sm" data-finding-id="${this.escapeHtml(finding.id)}">
+                                        ${actionOptions(finding.action)}
+                                    </select>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${findings.length > listed.length ? `
+                    <p class="text-muted">Outros ${findings.length - listed.length} valor(es) seguem a opção "Todos os valores".</p>
+                ` : ''}
+            </div>
+        `, [
+            {
+                text: 'Cancelar Upload',
+                class: 'btn-secondary',
+                action: () => this.removeUpload(uploadId)
+            },
+            {
+                text: 'Aplicar e Continuar',
+                class: 'btn-primary',
+                action: () => {
+                    const container = document.getElementById(containerId);
+                    const defaultAction = container.querySelector(`#${containerId}-all`).value;
+                    const decisions = {};
+                    findings.forEach(finding => {
+                        decisions[finding.id] = defaultAction;
+                    });
+                    container.querySelectorAll('select[data-finding-id]').forEach(select => {
+                        decisions[select.dataset.findingId] = select.value;
+                    });
+                    this.applySanitizationDecisions(uploadId, decisions);
+                }
+            }
+        ]);
+        modal.show();
+    }
+
+    /**
+     * Rules with changes in a validation result, with their counts. Encoding repairs of formats compared
+     * as a whole (XML, HL7) have no field-level changes but can still be rejected.
+     * @returns {Array<{rule: string, count: number, rejected: boolean}>}
+     */
+    getChangeRules(validationResult) {
+        const normalized = validationResult.file?.normalized;
+        if (!normalized) return [];
+
+        const rules = new Map();
+        (normalized.changes || []).forEach(change => {
+            const entry = rules.get(change.rule) || { rule: change.rule, count: 0, rejected: true };
+            entry.count++;
+            entry.rejected = entry.rejected && change.rejected;
+            rules.set(change.rule, entry);
+        });
+        if (normalized.encoding?.repairedMojibake > 0 && !rules.has('encoding')) {
+            rules.set('encoding', { rule: 'encoding', count: normalized.encoding.repairedMojibake, rejected: false });
+        }
+        return Array.from(rules.values());
+    }
+
+    getChangeRuleLabel(rule) {
+        const labels = {
+            encoding: 'Correção de encoding',
+            sanitization: 'Sanitização',
+            trim: 'Espaços',
+            string: 'Texto',
+            date: 'Datas',
+            phone: 'Telefones',
+            cpf: 'CPF',
+            cnpj: 'CNPJ',
+            cnes: 'CNES',
+            crm: 'CRM',
+            cid10: 'CID-10',
+            cep: 'CEP',
+            address: 'Endereços',
+            email: 'E-mail',
+            decimal: 'Decimais',
+            boolean: 'Booleanos'
+        };
+        return labels[rule] || rule;
+    }
+
+    /**
+     * Before and after of a value with the differing middle part marked (common prefix and suffix kept plain)
+     */
+    renderChangeDiff(before, after) {
+        const oldText = String(before);
+        const newText = String(after);
+        let prefix = 0;
+        while (prefix < oldText.length && prefix < newText.length && oldText[prefix] === newText[prefix]) {
+            prefix++;
+        }
+        let suffix = 0;
+        while (suffix < oldText.length - prefix && suffix < newText.length - prefix &&
+            oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        const start = this.escapeHtml(oldText.substring(0, prefix));
+        const end = this.escapeHtml(oldText.substring(oldText.length - suffix));
+        const removed = oldText.substring(prefix, oldText.length - suffix);
+        const inserted = newText.substring(prefix, newText.length - suffix);
+        return `<code>${start}${removed ? `<del>${this.escapeHtml(removed)}</del>` : ''}` +
+            `${inserted ? `<ins>${this.escapeHtml(inserted)}</ins>` : ''}${end}</code>`;
+    }
+
+    /**
+     * List the values changed by normalization (encoding repairs, escapes, trims, rewritten dates, phones,
+     * documents...) as before/after per row and column, and let the operator reject single changes or whole
+     * rules. Read-only once the upload has gone on.
+     */
+    showChangesDialog(uploadId, uploadItem, readOnly = false) {
+        const normalized = uploadItem.validationResult.file.normalized;
+        const changes = normalized.changes || [];
+        const listed = changes.slice(0, this.config.maxReviewChanges);
+        const rules = this.getChangeRules(uploadItem.validationResult);
+        const containerId = `change-review-${uploadId}`;
+        const disabled = readOnly ? 'disabled' : '';
+
+        const modal = this.createModal('Alterações da Normalização', `
+            <div id="${containerId}" class="change-diff">
+                <div class="alert alert-info">
+                    <i class="fas fa-exchange-alt"></i>
+                    ${readOnly
+                        ? `Valores de <strong>${this.escapeHtml(uploadItem.file.name)}</strong> alterados pela normalização.`
+                        : `A normalização alterou valores de <strong>${this.escapeHtml(uploadItem.file.name)}</strong>.
+                           Desmarque as alterações ou regras que não devem ser aplicadas antes do envio.`}
+                </div>
+
+                <table class="table table-sm">
+                    <thead>
+                        <tr><th>Regra</th><th>Alterações</th><th>Aplicar</th></tr>
+                    </thead>
+                    <tbody>
+                        ${rules.map(({ rule, count, rejected }) => `
+                            <tr>
+                                <td>${this.escapeHtml(this.getChangeRuleLabel(rule))}</td>
+                                <td>${count}</td>
+                                <td><input type="checkbox" class="form-check-input" data-change-rule="${this.escapeHtml(rule)}" ${rejected ? '' : 'checked'} ${disabled}></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+
+                <table class="table table-sm">
+                    <thead>
+                        <tr><th>Linha</th><th>Coluna</th><th>Regra</th><th>Antes → Depois</th><th>Aplicar</th></tr>
+                    </thead>
+                    <tbody>
+                        ${listed.map(change => `
+                            <tr class="${change.rejected ? 'rejected' : ''}">
+                                <td>${change.row}</td>
+                                <td>${this.escapeHtml(change.sheet ? `${change.sheet} / ${change.column}` : change.column)}</td>
+                                <td>${this.escapeHtml(this.getChangeRuleLabel(change.rule))}</td>
+                                <td>${this.renderChangeDiff(change.before, change.after)}</td>
+                                <td><input type="checkbox" class="form-check-input" data-change-id="${this.escapeHtml(change.id)}" data-rule="${this.escapeHtml(change.rule)}" ${change.rejected ? '' : 'checked'} ${disabled}></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${changes.length > listed.length || normalized.changesTruncated ? `
+                    <p class="text-muted">Outras alterações não listadas seguem a opção da sua regra.</p>
+                ` : ''}
+            </div>
+        `, readOnly ? [
+            {
+                text: 'Fechar',
+                class: 'btn-secondary'
+            }
+        ] : [
+            {
+                text: 'Cancelar Upload',
+                class: 'btn-secondary',
+                action: () => this.removeUpload(uploadId)
+            },
+            {
+                text: 'Aplicar e Continuar',
+                class: 'btn-primary',
+                action: () => {
+                    const container = document.getElementById(containerId);
+                    const rejectedRules = Array.from(container.querySelectorAll('input[data-change-rule]'))
+                        .filter(input => !input.checked)
+                        .map(input => input.dataset.changeRule);
+                    const rejectedChanges = Array.from(container.querySelectorAll('input[data-change-id]'))
+                        .filter(input => !input.checked && !rejectedRules.includes(input.dataset.rule))
+                        .map(input => input.dataset.changeId);
+                    this.applyChangeReview(uploadId, { rejectedChanges, rejectedRules });
+                }
+            }
+        ]);
+        modal.show();
+    }
+
+    /**
+     * Show the data types ranked by the classifier, with their confidence and matched fields,
+     * and let the operator confirm which one the file holds
+     */
+    showDataTypeDialog(uploadId, uploadItem, classification) {
+        const containerId = `data-type-review-${uploadId}`;
+        const candidates = classification.candidates.slice(0, 3);
+
+        const modal = this.createModal('Confirmar Tipo de Dados', `
+            <div id="${containerId}">
+                <div class="alert alert-info">
+                    <i class="fas fa-tags"></i>
+                    O conteúdo de <strong>${this.escapeHtml(uploadItem.file.name)}</strong> corresponde a mais de um tipo de dados
+                    com confiança semelhante. Escolha o tipo correto.
+                </div>
+
+                ${candidates.map((candidate, index) => `
+                    <div class="form-check mb-2">
+                        <input class="form-check-input" type="radio" name="${containerId}-type" id="${containerId}-${this.escapeHtml(candidate.dataType)}"
+                            value="${this.escapeHtml(candidate.dataType)}" ${index === 0 ? 'checked' : ''}>
+                        <label class="form-check-label" for="${containerId}-${this.escapeHtml(candidate.dataType)}">
+                            <strong>${this.escapeHtml(candidate.label)}</strong> - confiança ${Math.round(candidate.confidence * 100)}%
+                            <br><small class="text-muted">Campos reconhecidos: ${this.escapeHtml(candidate.matchedFields.join(', ') || 'nenhum')}</small>
+                        </label>
+                    </div>
+                `).join('')}
+            </div>
+        `, [
+            {
+                text: 'Cancelar Upload',
+                class: 'btn-secondary',
+                action: () => this.removeUpload(uploadId)
+            },
+            {
+                text: 'Confirmar Tipo',
+                class: 'btn-primary',
+                action: () => {
+                    const selected = document.querySelector(`#${containerId} input[name="${containerId}-type"]:checked`);
+                    this.applyDataType(uploadId, uploadItem, selected.value);
+                }
+            }
+        ]);
+        modal.show();
+    }
+
+    /**
+     * Let the operator assign each source column to a schema field, starting from the automatic matches and
+     * the best candidate of each unmatched column, and optionally save the result as a template of the data source
+     */
+    showHeaderMappingDialog(uploadId, uploadItem, tables) {
+        const containerId = `header-mapping-${uploadId}`;
+        const registry = this.validationService.schemaRegistry;
+        const templates = Object.entries(this.headerMapper.getTemplates())
+            .filter(([id, template]) => tables.some(table => table.dataType === template.dataType));
+
+        const renderTable = (table) => {
+            const schema = registry.get(table.dataType);
+            const key = table.sheet || '';
+            const taken = new Set(table.columns.map(column => column.field).filter(Boolean));
+            const fieldOptions = (selected) => [
+                `<option value="" ${selected ? '' : 'selected'}>(não mapear)</option>`,
+                ...Object.keys(schema.fields).map(field =>
+                    `<option value="${this.escapeHtml(field)}" ${field === selected ? 'selected' : ''}>${this.escapeHtml(field)}${schema.fields[field].required ? ' *' : ''}</option>`)
+            ].join('');
+
+            return `
+                <h6 class="mt-3">${table.sheet ? `Aba ${this.escapeHtml(table.sheet)} - ` : ''}${this.escapeHtml(schema.label)}</h6>
+                ${table.missingRequired.length > 0 ? `
+                    <div class="alert alert-danger py-1">Campos obrigatórios sem coluna: ${this.escapeHtml(table.missingRequired.join(', '))}</div>
+                ` : ''}
+                <table class="table table-sm">
+                    <thead>
+                        <tr><th>Coluna do arquivo</th><th>Campo do esquema</th><th>Correspondência</th></tr>
+                    </thead>
+                    <tbody>
+                        ${table.columns.map(column => {
+                            const candidate = column.candidates.find(option => !taken.has(option.field));
+                            const suggestion = column.field || (candidate ? candidate.field : '');
+                            if (suggestion) taken.add(suggestion);
+                            const match = column.field
+                                ? `${column.method === 'fuzzy' ? 'Similar' : 'Automática'} (${Math.round(column.score * 100)}%)`
+                                : column.candidates.length > 0
+                                    ? `Sugestão: ${column.candidates.map(candidate => `${this.escapeHtml(candidate.field)} (${Math.round(candidate.score * 100)}%)`).join(', ')}`
+                                    : 'Sem correspondência';
+                            return `
+                                <tr>
+                                    <td><code>${this.escapeHtml(column.header)}</code></td>
+                                    <td>
+                                        <select class="form-select form-select-sm" data-table="${this.escapeHtml(key)}" data-data-type="${this.escapeHtml(table.dataType)}" data-header="${this.escapeHtml(column.header)}">
+                                            ${fieldOptions(suggestion)}
+                                        </select>
+                                    </td>
+                                    <td class="${column.field ? 'text-success' : 'text-muted'}">${match}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            `;
+        };
+
+        const modal = this.createModal('Mapeamento de Colunas', `
+            <div id="${containerId}">
+                <div class="alert alert-info">
+                    <i class="fas fa-columns"></i>
+                    Algumas colunas de <strong>${this.escapeHtml(uploadItem.file.name)}</strong> não correspondem com segurança
+                    aos campos do esquema. Confirme o campo de cada coluna.
+                </div>
+
+                ${templates.length > 0 ? `
+                    <div class="d-flex align-items-center mb-2">
+                        <label class="me-2 mb-0" for="${containerId}-template">Aplicar modelo:</label>
+                        <select class="form-select form-select-sm w-auto" id="${containerId}-template"
+                            onchange="uploadHandler.applyHeaderTemplateToDialog('${containerId}', this.value)">
+                            <option value="">-</option>
+                            ${templates.map(([id, template]) => `<option value="${this.escapeHtml(id)}">${this.escapeHtml(template.source)} (${this.escapeHtml(template.dataType)})</option>`).join('')}
+                        </select>
+                    </div>
+                ` : ''}
+
+                ${tables.map(renderTable).join('')}
+
+                <div class="d-flex align-items-center">
+                    <label class="me-2 mb-0 text-nowrap" for="${containerId}-source">Salvar como modelo da fonte:</label>
+                    <input type="text" class="form-control form-control-sm" id="${containerId}-source" placeholder="Ex.: DATASUS, Hospital Municipal">
+                </div>
+            </div>
+        `, [
+            {
+                text: 'Cancelar Upload',
+                class: 'btn-secondary',
+                action: () => this.removeUpload(uploadId)
+            },
+            {
+                text: 'Aplicar e Continuar',
+                class: 'btn-primary',
+                action: () => {
+                    const container = document.getElementById(containerId);
+                    const headerMapping = {};
+                    container.querySelectorAll('select[data-header]').forEach(select => {
+                        headerMapping[select.dataset.table] = headerMapping[select.dataset.table] || {};
+                        headerMapping[select.dataset.table][select.dataset.header] = select.value;
+                    });
+
+                    const source = container.querySelector(`#${containerId}-source`).value.trim();
+                    if (source) {
+                        tables.forEach(table => {
+                            this.headerMapper.saveTemplate(source, table.dataType, headerMapping[table.sheet || '']);
+                        });
+                    }
+
+                    this.applyHeaderMapping(uploadId, uploadItem, headerMapping);
+                }
+            }
+        ]);
+        modal.show();
+    }
+
+    /**
+     * Fill the mapping dialog's selects from a saved template; columns it does not know are left as they are
+     */
+    applyHeaderTemplateToDialog(containerId, templateId) {
+        const template = this.headerMapper.getTemplates()[templateId];
+        if (!template) return;
+
+        // Compared on the dataset: the template's data type comes from localStorage and is not put in a selector
+        document.querySelectorAll(`#${containerId} select[data-data-type]`).forEach(select => {
+            if (select.dataset.dataType !== template.dataType) return;
+            const key = this.headerMapper.normalizeName(select.dataset.header);
+            if (key in template.columns) {
+                select.value = template.columns[key];
+            }
+        });
+    }
+
     showSuccessNotification(uploadItem) {
         this.showNotification('success', `
             <i class="fas fa-check-circle"></i>
@@ -713,7 +1501,16 @@ class AdvancedUploadHandler {
     }
 
     getUploadItem(uploadId) {
-        return this.activeUploads.get(uploadId) || this.uploadQueue.get(uploadId);
+        return this.activeUploads.get(uploadId) || this.uploadQueue.get(uploadId) || this.pendingReviews.get(uploadId);
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     createModal(title, content, buttons = []) {
@@ -795,6 +1592,7 @@ class AdvancedUploadHandler {
 
     clearQueue() {
         this.uploadQueue.clear();
+        this.workerClient.cancelAll();
         this.updateUploadQueueUI();
     }
 
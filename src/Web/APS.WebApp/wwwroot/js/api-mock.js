@@ -5,32 +5,10 @@ class APSHealthcareAPI {
     constructor() {
         this.baseUrl = '/api';
         this.enableLogs = true;
-        this.fileNormalizer = new FileNormalizer();
-        this.validationService = new FileValidationService();
-        
-        // Healthcare data schemas based on Tabelas directory
-        this.healthcareSchemas = {
-            medicos: {
-                requiredFields: ['codigo', 'nome_completo', 'especialidade', 'cidade'],
-                dataType: 'medicos'
-            },
-            hospitais: {
-                requiredFields: ['codigo', 'nome', 'cidade', 'bairro', 'leitos_totais'],
-                dataType: 'hospitais'
-            },
-            municipios: {
-                requiredFields: ['codigo_ibge', 'nome', 'latitude', 'longitude', 'codigo_uf', 'populacao'],
-                dataType: 'municipios'
-            },
-            estados: {
-                requiredFields: ['codigo_uf', 'uf', 'nome', 'latitude', 'longitude', 'regiao'],
-                dataType: 'estados'
-            },
-            pacientes: {
-                requiredFields: ['id', 'nome', 'cpf'],
-                dataType: 'pacientes'
-            }
-        };
+        // Healthcare data schemas, shared by normalization and validation
+        this.schemaRegistry = new SchemaRegistry();
+        this.fileNormalizer = new FileNormalizer(this.schemaRegistry);
+        this.validationService = new FileValidationService(this.schemaRegistry);
     }
 
     // ===== SIMULAÇÃO DE DELAY DE REDE =====
@@ -53,27 +31,32 @@ class APSHealthcareAPI {
         this.log(`Iniciando processamento do arquivo: ${file.name}`);
         
         try {
-            // Step 1: Detect healthcare data type from filename
-            const dataType = this.detectDataTypeFromFilename(file.name);
-            this.log(`Tipo de dados detectado: ${dataType}`);
+            // Step 1: Detect file format; the healthcare data type comes from the content during validation
+            let fileType = this.getFileType(file.name);
             
             // Step 2: Read file content
             if (onProgress) onProgress(10, 'Lendo arquivo...');
             
-            const fileContent = await this.readFileContent(file);
+            const fileContent = fileType === 'xlsx'
+                ? (await this.fileNormalizer.readSpreadsheet(file)).content
+                : await this.readFileContent(file);
             this.log(`Conteúdo lido: ${fileContent.length} caracteres`);
+
+            if (fileType === 'json' && this.fileNormalizer.fhirParser.isFHIRContent(fileContent)) {
+                fileType = 'fhir';
+            }
             
             // Step 3: Validate using healthcare data validation directly
             if (onProgress) onProgress(30, 'Validando dados de saúde...');
             
-            const fileType = this.getFileType(file.name);
             this.log(`Tipo de arquivo: ${fileType}`);
             
-            const healthcareValidation = await this.validationService.validateHealthcareData(
-                fileContent,
-                fileType,
-                dataType
-            );
+            const healthcareValidation = await this.validationService.validateHealthcareData(fileContent, fileType, 'auto-detect');
+
+            // Records are classified by their headers and values; Bundles and workbooks by their dominant record type
+            const dataType = healthcareValidation.detectedDataType;
+            const confidence = healthcareValidation.classification ? ` (confiança ${Math.round(healthcareValidation.classification.confidence * 100)}%)` : '';
+            this.log(`Tipo de dados detectado: ${dataType}${confidence}`);
 
             this.log(`Validação concluída. Passou: ${healthcareValidation.passed}`);
             if (healthcareValidation.issues.length > 0) {
@@ -90,9 +73,16 @@ class APSHealthcareAPI {
             const processResult = await this.processHealthcareDataByType(
                 fileContent,
                 dataType,
-                onProgress
+                onProgress,
+                fileType
             );
 
+            // Imported estados and municipios are kept to check the references of later files
+            const referenceData = await this.validationService.importReferenceData(fileContent, fileType, healthcareValidation);
+            Object.entries(referenceData).forEach(([type, count]) => {
+                this.log(`${count} registro(s) de ${type} guardado(s) como dados de referência`);
+            });
+
             if (onProgress) onProgress(100, 'Processamento concluído');
 
             return {
@@ -134,40 +124,22 @@ class APSHealthcareAPI {
             'csv': 'csv',
             'json': 'json',
             'xml': 'xml',
+            'hl7': 'hl7',
+            'xlsx': 'xlsx',
+            'xls': 'xlsx',
             'txt': 'csv' // Assume txt files are CSV format
         };
         return typeMap[extension] || 'csv';
     }
 
-    detectDataTypeFromFilename(filename) {
-        const lowerName = filename.toLowerCase();
-        
-        if (lowerName.includes('medico')) return 'medicos';
-        if (lowerName.includes('hospital') || lowerName.includes('hospitais')) return 'hospitais';
-        if (lowerName.includes('municipio') || lowerName.includes('municipios')) return 'municipios';
-        if (lowerName.includes('estado') || lowerName.includes('estados')) return 'estados';
-        if (lowerName.includes('paciente') || lowerName.includes('pacientes')) return 'pacientes';
-        
-        return 'generic';
-    }
-
-    async processHealthcareDataByType(content, dataType, onProgress) {
-        const schema = this.healthcareSchemas[dataType];
+    async processHealthcareDataByType(content, dataType, onProgress, fileType = 'csv') {
+        const schema = this.schemaRegistry.get(dataType);
         if (!schema) {
             throw new Error(`Tipo de dados não suportado: ${dataType}`);
         }
 
-        // Parse CSV content
-        const lines = content.split('\n').filter(line => line.trim());
-        const headers = lines[0].split(',').map(h => h.trim());
-        const records = lines.slice(1).map(line => {
-            const values = line.split(',');
-            const record = {};
-            headers.forEach((header, index) => {
-                record[header] = values[index] ? values[index].trim() : '';
-            });
-            return record;
-        });
+        // Parse content into records with the same parsers used by validation
+        const records = this.validationService.parseRecords(content, fileType, dataType) || [];
 
         if (onProgress) onProgress(50, `Processando ${records.length} registros...`);
 
@@ -177,7 +149,10 @@ class APSHealthcareAPI {
 
         // Validate each record
         records.forEach((record, index) => {
-            const missingFields = schema.requiredFields.filter(field => !record[field]);
+            const presentFields = Object.keys(record)
+                .filter(key => record[key])
+                .map(key => this.schemaRegistry.resolveField(dataType, key));
+            const missingFields = this.schemaRegistry.missingRequired(dataType, presentFields);
             if (missingFields.length === 0) {
                 validRecords++;
             } else {
@@ -0,0 +1,244 @@
+/**
+ * APS Healthcare Platform - CID-10 Catalog
+ * Format check and normalization of CID-10 codes (b151 -> B15.1), lookup in a loadable code table
+ * and the sex and age restrictions of each code
+ */
+
+class CID10Catalog {
+    constructor() {
+        // Category A00-Z99 with an optional one-digit subcategory
+        this.codePattern = /^[A-Z]\d{2}(\.\d)?$/;
+
+        // Restrictions of whole CID-10 blocks, used when the loaded table gives none for a code.
+        // Bounds are compared on the code prefix of their own length ("N51" covers N51.x).
+        this.blockRestrictions = [
+            { from: 'C51', to: 'C58', sex: 'F', label: 'neoplasias dos órgãos genitais femininos' },
+            { from: 'C60', to: 'C63', sex: 'M', label: 'neoplasias dos órgãos genitais masculinos' },
+            { from: 'D06', to: 'D06', sex: 'F', label: 'carcinoma in situ do colo do útero' },
+            { from: 'D07.4', to: 'D07.6', sex: 'M', label: 'carcinoma in situ de órgãos genitais masculinos' },
+            { from: 'D25', to: 'D28', sex: 'F', label: 'neoplasias benignas de órgãos genitais femininos' },
+            { from: 'D29', to: 'D29', sex: 'M', label: 'neoplasias benignas de órgãos genitais masculinos' },
+            { from: 'E28', to: 'E28', sex: 'F', label: 'disfunção ovariana' },
+            { from: 'E29', to: 'E29', sex: 'M', label: 'disfunção testicular' },
+            { from: 'N40', to: 'N51', sex: 'M', label: 'doenças dos órgãos genitais masculinos' },
+            { from: 'N70', to: 'N98', sex: 'F', label: 'doenças dos órgãos genitais femininos' },
+            { from: 'O00', to: 'O99', sex: 'F', label: 'gravidez, parto e puerpério' },
+            { from: 'P00', to: 'P96', maxAge: 0, label: 'afecções originadas no período perinatal' },
+            { from: 'Q50', to: 'Q52', sex: 'F', label: 'malformações dos órgãos genitais femininos' },
+            { from: 'Q53', to: 'Q55', sex: 'M', label: 'malformações dos órgãos genitais masculinos' },
+            { from: 'Z32', to: 'Z37', sex: 'F', label: 'gravidez' }
+        ];
+
+        // Values of the sex column of a table or record; DATASUS tables use 1 (masculino) and 3 (feminino)
+        this.sexValues = {
+            m: 'M', masculino: 'M', masc: 'M', '1': 'M',
+            f: 'F', feminino: 'F', fem: 'F', '3': 'F'
+        };
+
+        // Column names accepted when loading a table (compared without accents and case)
+        this.tableColumns = {
+            codigo: ['codigo', 'cid', 'cid10', 'subcat', 'cat'],
+            descricao: ['descricao', 'descrabrev'],
+            sexo: ['sexo', 'restrsexo'],
+            faixaEtaria: ['faixa_etaria', 'faixaetaria'],
+            idadeMinima: ['idade_minima'],
+            idadeMaxima: ['idade_maxima']
+        };
+
+        // code -> { codigo, descricao, sexo, idadeMinima, idadeMaxima }
+        this.entries = new Map();
+        // Categories the table lists subcategories for
+        this.subdividedCategories = new Set();
+    }
+
+    /**
+     * Canonical form of a code: uppercase, dot before the subcategory ("b151", "B15-1", " b15.1 " -> "B15.1").
+     * Values that cannot be read as a code are returned trimmed.
+     */
+    normalize(value) {
+        const text = String(value === undefined || value === null ? '' : value).trim();
+        const compact = text.toUpperCase().replace(/[\s.\-]/g, '').replace(/[*+†]$/, '');
+        const match = compact.match(/^([A-Z]\d{2})(\d)?$/);
+        if (!match) {
+            return text;
+        }
+        return match[2] ? `${match[1]}.${match[2]}` : match[1];
+    }
+
+    isValidFormat(code) {
+        return this.codePattern.test(code);
+    }
+
+    /**
+     * Check a code: format, then presence in the loaded table (a category alone is accepted when the
+     * table lists it). Without a table only the format is checked.
+     * @returns {{isValid: boolean, code: string, entry: Object|null, error: {message: string}|null}}
+     */
+    validate(value) {
+        const code = this.normalize(value);
+
+        if (!this.isValidFormat(code)) {
+            return {
+                isValid: false,
+                code,
+                entry: null,
+                error: { message: `Código CID-10 inválido: ${value} (esperado letra, dois dígitos e subcategoria opcional, ex.: B15.1)` }
+            };
+        }
+
+        if (this.entries.size === 0) {
+            return { isValid: true, code, entry: null, error: null };
+        }
+
+        const entry = this.lookup(code);
+        if (!entry) {
+            return {
+                isValid: false,
+                code,
+                entry: null,
+                error: { message: `CID-10 ${code} não consta da tabela carregada` }
+            };
+        }
+
+        return { isValid: true, code, entry, error: null };
+    }
+
+    /**
+     * Table entry of a code, falling back to its category for tables without subcategories
+     */
+    lookup(code) {
+        const normalized = this.normalize(code);
+        if (this.entries.has(normalized)) {
+            return this.entries.get(normalized);
+        }
+        const category = normalized.substring(0, 3);
+        return this.subdividedCategories.has(category) ? null : (this.entries.get(category) || null);
+    }
+
+    /**
+     * Sex and age restriction of a code: the table entry (or its category) when it has one,
+     * else the block restriction
+     * @returns {{sex: 'M'|'F'|null, minAge: number|null, maxAge: number|null, label: string}|null}
+     */
+    restrictionFor(code) {
+        const normalized = this.normalize(code);
+        const entry = this.entries.get(normalized) || this.entries.get(normalized.substring(0, 3));
+        if (entry && (entry.sexo || entry.idadeMinima !== null || entry.idadeMaxima !== null)) {
+            return {
+                sex: entry.sexo,
+                minAge: entry.idadeMinima,
+                maxAge: entry.idadeMaxima,
+                label: entry.descricao || entry.codigo
+            };
+        }
+
+        const block = this.blockRestrictions.find(({ from, to }) =>
+            normalized.substring(0, from.length) >= from && normalized.substring(0, to.length) <= to);
+        return block ? {
+            sex: block.sex || null,
+            minAge: block.minAge === undefined ? null : block.minAge,
+            maxAge: block.maxAge === undefined ? null : block.maxAge,
+            label: block.label
+        } : null;
+    }
+
+    /**
+     * 'M', 'F' or null for a sex value of a table or record
+     */
+    normalizeSex(value) {
+        const key = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+        return this.sexValues[key] || null;
+    }
+
+    /**
+     * Load code table entries, replacing codes already loaded
+     * @param {Array<Object>} rows - Objects with a code column and optional description, sex and age
+     *        columns (see tableColumns), e.g. exported from ClassificacaoCID10 or the DATASUS CID-10 files.
+     *        Age ranges are "min-max", "<n", "<=n", ">n", ">=n" or "n+" in years.
+     * @returns {number} Codes loaded
+     */
+    load(rows) {
+        if (!Array.isArray(rows)) {
+            throw new Error('Tabela CID-10 inválida: esperada uma lista de códigos');
+        }
+
+        let loaded = 0;
+        rows.forEach(row => {
+            const columns = TableLoader.readColumns(row, this.tableColumns);
+            const code = this.normalize(columns.codigo);
+            if (!this.isValidFormat(code)) {
+                return;
+            }
+
+            const ageRange = this.parseAgeRange(columns.faixaEtaria);
+            const number = value => (value === undefined || value === null || String(value).trim() === '' ? null : Number(value));
+            this.entries.set(code, {
+                codigo: code,
+                descricao: columns.descricao ? String(columns.descricao).trim() : '',
+                sexo: this.normalizeSex(columns.sexo),
+                idadeMinima: number(columns.idadeMinima) ?? ageRange.min,
+                idadeMaxima: number(columns.idadeMaxima) ?? ageRange.max
+            });
+            if (code.length > 3) {
+                this.subdividedCategories.add(code.substring(0, 3));
+            }
+            loaded++;
+        });
+
+        return loaded;
+    }
+
+    /**
+     * Load a table from JSON (list of codes) or CSV text (see TableLoader.parse)
+     */
+    loadFromText(text) {
+        return this.load(TableLoader.parse(text, 'tabela CID-10'));
+    }
+
+    /**
+     * Fetch and load a table published next to the application
+     */
+    async loadFromUrl(url) {
+        return this.load(await TableLoader.fetch(url, 'tabela CID-10'));
+    }
+
+    clear() {
+        this.entries.clear();
+        this.subdividedCategories.clear();
+    }
+
+    size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Loaded entries in the form load() accepts, e.g. to hand the table to the normalization worker
+     */
+    toJSON() {
+        return Array.from(this.entries.values());
+    }
+
+    parseAgeRange(value) {
+        const text = String(value === undefined || value === null ? '' : value).trim().replace(/\s+/g, '');
+        let match;
+        if ((match = text.match(/^(\d+)-(\d+)$/))) {
+            return { min: Number(match[1]), max: Number(match[2]) };
+        }
+        if ((match = text.match(/^(<=?|>=?)(\d+)$/))) {
+            const limit = Number(match[2]);
+            return {
+                '<': { min: null, max: limit - 1 },
+                '<=': { min: null, max: limit },
+                '>': { min: limit + 1, max: null },
+                '>=': { min: limit, max: null }
+            }[match[1]];
+        }
+        if ((match = text.match(/^(\d+)\+$/))) {
+            return { min: Number(match[1]), max: null };
+        }
+        return { min: null, max: null };
+    }
+}
+
+// Export for use in other modules
+window.CID10Catalog = CID10Catalog;
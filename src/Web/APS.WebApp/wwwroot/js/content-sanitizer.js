@@ -0,0 +1,206 @@
+/**
+ * APS Healthcare Platform - Content Sanitizer
+ * Flags suspicious cell values (markup, script URIs, SQL, spreadsheet formulas) and escapes them
+ * according to the operator's decision, keeping the rest of the value intact
+ */
+
+class ContentSanitizer {
+    constructor() {
+        // Each rule inspects a single cell value; contexts limits it to the file types where it is harmful.
+        // The normalizer registers them as the 'core.sanitizer' rule pack, next to the packs' own rules.
+        this.rules = [
+            {
+                id: 'html_tag',
+                reason: 'Tag HTML executável',
+                severity: 'high',
+                pattern: /<\s*\/?\s*(script|iframe|object|embed|applet|svg|img|link|meta|style|base|form)\b/i,
+                escape: 'html'
+            },
+            {
+                id: 'event_handler',
+                reason: 'Atributo de evento HTML',
+                severity: 'high',
+                pattern: /<[^>]*\son[a-z]+\s*=/i,
+                escape: 'html'
+            },
+            {
+                id: 'script_uri',
+                reason: 'URI com esquema de script',
+                severity: 'high',
+                pattern: /\b(javascript|vbscript)\s*:|\bdata\s*:\s*text\/html/i,
+                escape: 'uri'
+            },
+            {
+                // Whole statements or injection idioms only: words like "update" or "select" alone are data
+                id: 'sql_injection',
+                reason: 'Comando ou expressão de injeção SQL',
+                severity: 'high',
+                pattern: /;\s*(drop|delete|truncate|alter|insert|update|exec)\b|\b(drop|truncate|alter)\s+table\b|\bdelete\s+from\b|\binsert\s+into\b|\bupdate\s+\w+\s+set\b|\bunion\s+(all\s+)?select\b|'\s*(or|and)\s+'?(\w+)'?\s*=\s*'?\5\b|'\s*;?\s*--/i,
+                escape: 'sql'
+            },
+            {
+                // Dynamic Data Exchange and external-call formulas run commands or send data out when opened
+                id: 'formula_dde',
+                reason: 'Fórmula com DDE ou chamada externa',
+                severity: 'high',
+                pattern: /^\s*[=+\-@\uFF1D\uFF0B\uFF0D\uFF20][\s\S]*(\||\bDDE(AUTO)?\s*\(|\b(HYPERLINK|WEBSERVICE|IMPORTXML|IMPORTDATA|IMPORTHTML|IMPORTFEED|IMPORTRANGE|CALL|REGISTER)\s*\()/i,
+                contexts: ['csv', 'xlsx'],
+                escape: 'formula'
+            },
+            {
+                // Spreadsheet applications evaluate cells starting with = + - @ (or their full-width forms),
+                // and tab or carriage return before them
+                id: 'formula',
+                reason: 'Fórmula de planilha',
+                severity: 'medium',
+                pattern: /^[\t\r]|^\s*[=+\-@\uFF1D\uFF0B\uFF0D\uFF20]/,
+                // Signed numbers such as -23.5 or +55, and international phones such as +55 (11) 98765-4321,
+                // are not formulas
+                exclude: /^[+\-]?\d+([.,]\d+)*$|^\+\s*\(?\d[\d\s()\-]*$/,
+                contexts: ['csv', 'xlsx'],
+                escape: 'formula'
+            }
+        ];
+
+        this.actions = ['escape', 'block', 'allow'];
+        this.defaultAction = 'escape';
+
+        // Values accepted as numbers in columns declared decimal or integer, e.g. -25.4195, -1.234,56, -2.5E-3
+        this.numericTypes = ['decimal', 'integer'];
+        this.numberPattern = /^[+\-]?\s?\d+([.,]\d+)*([eE][+\-]?\d+)?$/;
+
+        // Characters of the original value kept in a finding
+        this.previewLength = 120;
+    }
+
+    /**
+     * Rules matched by a cell value
+     * @param {string} value - Cell value
+     * @param {string} fileType - 'csv', 'xlsx', 'json', 'fhir', 'xml' or 'hl7'
+     * @param {string|null} dataType - Declared type of the column, when known
+     * @param {Array<Object>} rules - Rules to apply (see RuleRegistry, kind 'sanitizer')
+     * @returns {Array<Object>} Matching rules (empty when the value is clean)
+     */
+    inspect(value, fileType, dataType = null, rules = this.rules) {
+        if (typeof value !== 'string' || value === '') {
+            return [];
+        }
+
+        if (this.numericTypes.includes(dataType) && this.numberPattern.test(value.trim())) {
+            return [];
+        }
+
+        const matched = rules.filter(rule =>
+            (!rule.contexts || rule.contexts.includes(fileType)) &&
+            rule.pattern.test(value) &&
+            !(rule.exclude && rule.exclude.test(value.trim()))
+        );
+
+        // A DDE payload is also a formula; report it once, under the more specific rule
+        return matched.some(rule => rule.id === 'formula_dde') ? matched.filter(rule => rule.id !== 'formula') : matched;
+    }
+
+    /**
+     * Inspect a cell and apply the operator's decision for it
+     * @param {string} value - Cell value
+     * @param {Object} location - { fileType, row, column, sheet, dataType, rules }; rules are the rules
+     *        active for the upload, this.rules when not given
+     * @param {Object} decisions - { [findingId]: 'escape'|'block'|'allow' }
+     * @returns {{value: string, finding: Object|null}} value is the escaped or original value;
+     *          finding is null when the value is clean
+     */
+    sanitizeValue(value, location, decisions = {}) {
+        const rules = this.inspect(value, location.fileType, location.dataType, location.rules || this.rules);
+        if (rules.length === 0) {
+            return { value, finding: null };
+        }
+
+        const ruleIds = rules.map(rule => rule.id);
+        const id = this.findingId(location, ruleIds);
+        const action = this.actions.includes(decisions[id]) ? decisions[id] : this.defaultAction;
+        const escaped = this.escape(value, ruleIds, rules);
+
+        const finding = {
+            id,
+            ...(location.sheet ? { sheet: location.sheet } : {}),
+            row: location.row,
+            column: location.column,
+            value: value.length > this.previewLength ? `${value.substring(0, this.previewLength)}…` : value,
+            escaped: escaped.length > this.previewLength ? `${escaped.substring(0, this.previewLength)}…` : escaped,
+            rules: ruleIds,
+            reason: rules.map(rule => rule.reason).join('; '),
+            severity: rules.some(rule => rule.severity === 'high') ? 'high' : 'medium',
+            action
+        };
+
+        return { value: action === 'escape' ? escaped : value, finding };
+    }
+
+    /**
+     * Stable id of a finding, so decisions taken on one run apply to the next run of the same file
+     */
+    findingId(location, ruleIds) {
+        return [location.sheet || '', location.row, location.column, ruleIds.join('+')].join('|');
+    }
+
+    /**
+     * Escape a value for every matched rule; the text is kept, only its active characters change
+     * @param {string} value - Cell value
+     * @param {Array<string>} ruleIds - Ids of the matched rules
+     * @param {Array<Object>} rules - Rules the ids refer to; an escape given as a function runs after
+     *        the built-in escapes
+     */
+    escape(value, ruleIds, rules = this.rules) {
+        const matched = rules.filter(rule => ruleIds.includes(rule.id));
+        const escapes = new Set(matched.map(rule => rule.escape));
+        let escaped = value;
+
+        if (escapes.has('sql')) {
+            // Quote doubling keeps the value a single SQL string literal
+            escaped = escaped.replace(/'/g, "''");
+        }
+
+        if (escapes.has('html')) {
+            escaped = escaped
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+
+        if (escapes.has('uri')) {
+            escaped = escaped.replace(/\b(javascript|vbscript|data)(\s*):/gi, '$1$2&#58;');
+        }
+
+        if (escapes.has('formula')) {
+            // A leading apostrophe makes spreadsheet applications read the cell as text
+            escaped = `'${escaped}`;
+        }
+
+        matched.filter(rule => typeof rule.escape === 'function').forEach(rule => {
+            escaped = String(rule.escape(escaped));
+        });
+
+        return escaped;
+    }
+
+    /**
+     * Whether the operator chose to drop the record holding any of these findings
+     */
+    isBlocked(findings) {
+        return findings.some(finding => finding.action === 'block');
+    }
+
+    /**
+     * Counts of findings by applied action
+     */
+    summarize(findings) {
+        return this.actions.reduce((summary, action) => {
+            summary[action] = findings.filter(finding => finding.action === action).length;
+            return summary;
+        }, { total: findings.length });
+    }
+}
+
+// Export for use in other modules
+window.ContentSanitizer = ContentSanitizer;
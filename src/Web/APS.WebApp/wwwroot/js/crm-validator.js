@@ -0,0 +1,92 @@
+/**
+ * APS Healthcare Platform - CRM Validator
+ * Parsing and canonical formatting of CRM registrations (number + UF of the regional council),
+ * e.g. "123456-SP", "crm sp 123.456" and "SP123456" -> "CRM/SP 123456"
+ */
+
+class CRMValidator {
+    constructor() {
+        // States with a Conselho Regional de Medicina
+        this.ufs = [
+            'AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA',
+            'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO'
+        ];
+
+        // Registration numbers have up to 7 digits; leading zeros are not significant
+        this.maxDigits = 7;
+    }
+
+    /**
+     * Number and UF of a CRM value. The UF may come with the value (before or after the number)
+     * or from a separate column (EstadoCRM).
+     * @param {string} value - CRM as written in the source
+     * @param {string|null} uf - UF from a separate column, if any
+     * @returns {{numero: string, uf: string|null}|null} null when no number can be read
+     */
+    parse(value, uf = null) {
+        const text = String(value === undefined || value === null ? '' : value)
+            .toUpperCase()
+            .replace(/\bCRM\b/g, ' ')
+            // Thousands separators ("123.456")
+            .replace(/(\d)[.\s](?=\d{3}\b)/g, '$1')
+            .replace(/[.\s\-\/:]+/g, ' ')
+            .trim();
+
+        const match = text.match(/^(?:([A-Z]{2})\s*)?(\d+)(?:\s*([A-Z]{2}))?$/);
+        if (!match || (match[1] && match[3])) {
+            return null;
+        }
+
+        const digits = match[2].replace(/^0+(?=\d)/, '');
+        if (digits.length > this.maxDigits) {
+            return null;
+        }
+
+        return {
+            numero: digits,
+            uf: match[1] || match[3] || (uf ? String(uf).trim().toUpperCase() : null) || null
+        };
+    }
+
+    format({ numero, uf }) {
+        return uf ? `CRM/${uf} ${numero}` : numero;
+    }
+
+    /**
+     * Canonical form of a CRM ("CRM/SP 123456"); just the number when the UF is not known,
+     * and the value unchanged when it cannot be read
+     */
+    normalize(value, uf = null) {
+        const crm = this.parse(value, uf);
+        return crm ? this.format(crm) : String(value === undefined || value === null ? '' : value).trim();
+    }
+
+    /**
+     * Validate a CRM: a readable number with a valid UF, matching the UF column when both are given
+     * @returns {{isValid: boolean, crm: string, error: {message: string}|null}} crm is the canonical form
+     */
+    validate(value, uf = null) {
+        const crm = this.parse(value, uf);
+        if (!crm) {
+            return { isValid: false, crm: String(value).trim(), error: { message: `CRM inválido: ${value} (esperado número e UF, ex.: CRM/SP 123456)` } };
+        }
+
+        const canonical = this.format(crm);
+        if (!crm.uf) {
+            return { isValid: false, crm: canonical, error: { message: `CRM ${value} sem UF do conselho regional` } };
+        }
+        if (!this.ufs.includes(crm.uf)) {
+            return { isValid: false, crm: canonical, error: { message: `UF do CRM inválida: ${crm.uf} em ${value}` } };
+        }
+
+        const columnUF = uf ? String(uf).trim().toUpperCase() : '';
+        if (columnUF && columnUF !== crm.uf) {
+            return { isValid: false, crm: canonical, error: { message: `UF do CRM ${value} diverge do estado informado (${columnUF})` } };
+        }
+
+        return { isValid: true, crm: canonical, error: null };
+    }
+}
+
+// Export for use in other modules
+window.CRMValidator = CRMValidator;
@@ -0,0 +1,262 @@
+/**
+ * APS Healthcare Platform - CSV Parser
+ * RFC 4180 compliant streaming tokenizer shared by normalization and validation
+ */
+
+class CSVParser {
+    /**
+     * @param {Object} options - Parser options
+     * @param {string} options.delimiter - Field delimiter (default ',')
+     * @param {boolean} options.skipEmptyLines - Ignore records with a single empty field (default true)
+     */
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.skipEmptyLines = options.skipEmptyLines !== false;
+        this.reset();
+    }
+
+    /**
+     * Reset tokenizer state so the instance can parse a new document
+     */
+    reset() {
+        this.state = 'fieldStart';
+        this.field = '';
+        this.row = [];
+        this.rows = [];
+        this.pendingCR = false;
+        this.atStart = true;
+        // Line of the document being read (CRLF, LF or CR ends a line, also inside quotes)
+        this.line = 1;
+        this.afterCR = false;
+        this.quoteLine = null;
+        // Line where a quoted field was opened and never closed, set by end(); the field then holds
+        // the rest of the document
+        this.unclosedQuoteLine = null;
+    }
+
+    /**
+     * Feed a chunk of text into the tokenizer
+     * @param {string} chunk - Next piece of the document
+     * @returns {Array<Array<string>>} Records completed by this chunk
+     */
+    push(chunk) {
+        if (this.atStart) {
+            chunk = CSVParser.stripBOM(chunk);
+            if (chunk.length > 0) this.atStart = false;
+        }
+
+        const delimiter = this.delimiter;
+
+        for (let i = 0; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            if (char === '\r' || (char === '\n' && !this.afterCR)) {
+                this.line++;
+            }
+            this.afterCR = char === '\r';
+
+            // A CR followed by LF is a single record terminator
+            if (this.pendingCR) {
+                this.pendingCR = false;
+                if (char === '\n') continue;
+            }
+
+            switch (this.state) {
+                case 'fieldStart':
+                    if (char === '"') {
+                        this.state = 'quoted';
+                        this.quoteLine = this.line;
+                    } else if (char === delimiter) {
+                        this.endField();
+                    } else if (char === '\r' || char === '\n') {
+                        this.endRecord(char);
+                    } else {
+                        this.field += char;
+                        this.state = 'unquoted';
+                    }
+                    break;
+
+                case 'unquoted':
+                    if (char === delimiter) {
+                        this.endField();
+                        this.state = 'fieldStart';
+                    } else if (char === '\r' || char === '\n') {
+                        this.endRecord(char);
+                    } else {
+                        this.field += char;
+                    }
+                    break;
+
+                case 'quoted':
+                    if (char === '"') {
+                        this.state = 'quoteInQuoted';
+                    } else {
+                        this.field += char;
+                    }
+                    break;
+
+                case 'quoteInQuoted':
+                    if (char === '"') {
+                        // Escaped quote ("")
+                        this.field += '"';
+                        this.state = 'quoted';
+                    } else if (char === delimiter) {
+                        this.endField();
+                        this.state = 'fieldStart';
+                    } else if (char === '\r' || char === '\n') {
+                        this.endRecord(char);
+                    } else {
+                        // Lenient: text after a closing quote is kept as part of the field
+                        this.field += char;
+                        this.state = 'unquoted';
+                    }
+                    break;
+            }
+        }
+
+        return this.drain();
+    }
+
+    /**
+     * Flush the last record when the input ends without a line break; a quoted field still open is
+     * reported in unclosedQuoteLine
+     * @returns {Array<Array<string>>} Remaining records
+     */
+    end() {
+        if (this.state === 'quoted') {
+            this.unclosedQuoteLine = this.quoteLine;
+        }
+        if (this.state !== 'fieldStart' || this.row.length > 0 || this.field !== '') {
+            this.endField();
+            this.commitRow();
+        }
+        this.state = 'fieldStart';
+        return this.drain();
+    }
+
+    endField() {
+        this.row.push(this.field);
+        this.field = '';
+    }
+
+    endRecord(terminator) {
+        this.endField();
+        this.commitRow();
+        this.state = 'fieldStart';
+        this.pendingCR = terminator === '\r';
+    }
+
+    commitRow() {
+        const isEmpty = this.row.length === 1 && this.row[0].trim() === '';
+        if (!(this.skipEmptyLines && isEmpty)) {
+            this.rows.push(this.row);
+        }
+        this.row = [];
+    }
+
+    drain() {
+        const rows = this.rows;
+        this.rows = [];
+        return rows;
+    }
+
+    /**
+     * Parse a complete document into rows of fields
+     * @param {string} content - CSV text
+     * @param {Object} options - Same options as the constructor; delimiter is auto-detected when omitted
+     * @returns {Array<Array<string>>} Parsed rows
+     */
+    static parse(content, options = {}) {
+        const parser = new CSVParser({
+            ...options,
+            delimiter: options.delimiter || CSVParser.detectDelimiter(content)
+        });
+        return parser.push(content).concat(parser.end());
+    }
+
+    /**
+     * Parse a document into header-keyed record objects
+     * @param {string} content - CSV text
+     * @param {Object} options - Parser options plus normalizeHeaders (lowercase + trim)
+     * @returns {{headers: Array<string>, records: Array<Object>, delimiter: string}}
+     */
+    static parseRecords(content, options = {}) {
+        const delimiter = options.delimiter || CSVParser.detectDelimiter(content);
+        const rows = CSVParser.parse(content, { ...options, delimiter });
+        if (rows.length === 0) {
+            return { headers: [], records: [], delimiter };
+        }
+
+        const headers = rows[0].map(h => {
+            const header = h.trim();
+            return options.normalizeHeaders ? header.toLowerCase() : header;
+        });
+
+        const records = rows.slice(1).map(values => {
+            const record = {};
+            headers.forEach((header, index) => {
+                record[header] = values[index] !== undefined ? values[index].trim() : '';
+            });
+            return record;
+        });
+
+        return { headers, records, delimiter };
+    }
+
+    /**
+     * Detect the delimiter by counting candidates outside quoted sections of the first record
+     * @param {string} content - CSV text or its first line
+     * @returns {string} Most frequent delimiter (',' when none is found)
+     */
+    static detectDelimiter(content) {
+        const delimiters = [',', ';', '\t', '|'];
+        const counts = { ',': 0, ';': 0, '\t': 0, '|': 0 };
+        const text = CSVParser.stripBOM(content || '');
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                break;
+            } else if (!inQuotes && counts[char] !== undefined) {
+                counts[char]++;
+            }
+        }
+
+        let bestDelimiter = ',';
+        let maxCount = 0;
+        delimiters.forEach(delimiter => {
+            if (counts[delimiter] > maxCount) {
+                maxCount = counts[delimiter];
+                bestDelimiter = delimiter;
+            }
+        });
+
+        return bestDelimiter;
+    }
+
+    /**
+     * Serialize a row, quoting fields that contain the delimiter, quotes or line breaks
+     * @param {Array<string>} values - Field values
+     * @param {string} delimiter - Output delimiter (default ',')
+     * @returns {string} CSV line without terminator
+     */
+    static stringifyRow(values, delimiter = ',') {
+        return values.map(value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            if (text.includes(delimiter) || text.includes('"') || text.includes('\n') || text.includes('\r')) {
+                return `"${text.replace(/"/g, '""')}"`;
+            }
+            return text;
+        }).join(delimiter);
+    }
+
+    static stripBOM(text) {
+        return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    }
+}
+
+// Export for use in other modules
+window.CSVParser = CSVParser;
@@ -449,6 +449,7 @@ function loadHospitalsData() {
         const hospitalsData = [
             {
                 nome: 'Hospital das Clínicas',
+                cnes: '2078015',
                 cidade: 'São Paulo',
                 tipo: 'Público',
                 medicos: 450,
@@ -457,6 +458,7 @@ function loadHospitalsData() {
             },
             {
                 nome: 'Hospital Sírio-Libanês',
+                cnes: '2078775',
                 cidade: 'São Paulo',
                 tipo: 'Privado',
                 medicos: 320,
@@ -475,6 +477,13 @@ function loadHospitalsData() {
                         return `<strong>${data}</strong>`;
                     }
                 },
+                {
+                    data: 'cnes',
+                    defaultContent: '-',
+                    render: function(data, type) {
+                        return type === 'display' && data ? `<code>${data}</code>` : data;
+                    }
+                },
                 { data: 'cidade' },
                 { 
                     data: 'tipo',
@@ -532,11 +541,11 @@ function initHospitalFilters() {
     });
     
     $('#hospital-city-filter').on('change', function() {
-        DASHBOARD_CONFIG.tables.hospitals.column(1).search(this.value).draw();
+        DASHBOARD_CONFIG.tables.hospitals.column(2).search(this.value).draw();
     });
     
     $('#hospital-type-filter').on('change', function() {
-        DASHBOARD_CONFIG.tables.hospitals.column(2).search(this.value).draw();
+        DASHBOARD_CONFIG.tables.hospitals.column(3).search(this.value).draw();
     });
     
     $('#clear-hospital-filters').on('click', function() {
@@ -0,0 +1,169 @@
+/**
+ * APS Healthcare Platform - Data Type Classifier
+ * Ranks the registered schemas for a table by how well its headers and sample values fit each one
+ */
+
+class DataTypeClassifier {
+    /**
+     * @param {SchemaRegistry} schemaRegistry - Schemas to rank
+     * @param {HeaderMapper} headerMapper - Column to field matcher; one over the same registry by default
+     */
+    constructor(schemaRegistry, headerMapper = null) {
+        this.schemaRegistry = schemaRegistry;
+        this.headerMapper = headerMapper || new HeaderMapper(schemaRegistry);
+
+        // Rows inspected for value patterns
+        this.sampleSize = 50;
+        // Below this score the table is not classified
+        this.minScore = 0.4;
+        // Top candidates closer than this need the user's confirmation
+        this.closeMargin = 0.1;
+        // Small boost when the file name names the data type; only breaks near ties
+        this.fileNameBonus = 0.05;
+
+        // Weights of header fit and value fit in the final score
+        this.weights = { headers: 0.75, values: 0.25 };
+
+        // Value shapes per declared field type; schema patterns, ranges and value sets are checked as well
+        this.typePatterns = {
+            uuid: /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i,
+            integer: /^[+\-]?\d+$/,
+            decimal: /^[+\-]?\d+([.,]\d+)?$/,
+            numeric_code: /^\d+$/,
+            boolean: /^(true|false|sim|n[aã]o|s|n|1|0|yes|no)$/i,
+            date: /^\d{1,4}[\/\-.]\d{1,2}[\/\-.]\d{1,4}/,
+            email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+            phone: /^[+\d\s().\-]{8,}$/,
+            cpf: /^\d{3}\.?\d{3}\.?\d{3}-?\d{2}$/,
+            cnpj: /^[0-9A-Z]{2}\.?[0-9A-Z]{3}\.?[0-9A-Z]{3}\/?[0-9A-Z]{4}-?\d{2}$/i,
+            cid10: /^[A-Z]\d{2}[.\-]?\d?$/i,
+            cnes: /^\d{7}$/,
+            cep: /^\d{2}\.?\d{3}-?\d{3}$/,
+            crm: /^(CRM\W*)?([A-Z]{2}\W*)?[\d.]{1,9}(\W*[A-Z]{2})?$/i,
+            // Text fields holding only digits are more likely codes of another table
+            string: /\D/
+        };
+    }
+
+    /**
+     * Rank the schemas for a table
+     * @param {Array<string>} headers - Column names
+     * @param {Array<Array<string>>} rows - Sample rows, aligned with headers
+     * @param {string|null} fileName - Original file name, used only to break near ties
+     * @returns {Object} { dataType, confidence, ambiguous, candidates } where dataType is 'unknown' below minScore
+     *          and each candidate is { dataType, label, confidence, headerScore, valueScore, matchedFields }
+     */
+    classify(headers, rows = [], fileName = null) {
+        const sample = rows.slice(0, this.sampleSize);
+        const nameWords = this.headerMapper.normalizeName(String(fileName || '').replace(/\.[^.]+$/, '')).split('_');
+
+        const candidates = this.schemaRegistry.getDataTypes()
+            .map(dataType => this.scoreSchema(dataType, headers, sample, nameWords))
+            .sort((a, b) => b.confidence - a.confidence);
+
+        const [top, second] = candidates;
+        const classified = top && top.confidence >= this.minScore;
+
+        return {
+            dataType: classified ? top.dataType : 'unknown',
+            confidence: top ? top.confidence : 0,
+            ambiguous: Boolean(classified && second && second.confidence >= this.minScore &&
+                top.confidence - second.confidence < this.closeMargin),
+            candidates: candidates.filter(candidate => candidate.confidence > 0)
+        };
+    }
+
+    /**
+     * Rank the schemas for parsed records (objects keyed by column name)
+     */
+    classifyRecords(records, fileName = null) {
+        const sample = records.slice(0, this.sampleSize).filter(record => record && typeof record === 'object');
+        const headers = Array.from(new Set(sample.flatMap(record => Object.keys(record))));
+        const rows = sample.map(record => headers.map(header => {
+            const value = record[header];
+            return value === undefined || value === null || typeof value === 'object' ? '' : String(value);
+        }));
+        return this.classify(headers, rows, fileName);
+    }
+
+    /**
+     * Score of one schema from 0 to 1
+     */
+    scoreSchema(dataType, headers, rows, nameWords) {
+        const schema = this.schemaRegistry.get(dataType);
+        const match = this.headerMapper.match(dataType, headers);
+
+        // Best evidence for each field: an applied match, or half the score of an unconfirmed candidate
+        const fieldScore = (field) => Math.max(0, ...match.columns.map(column =>
+            column.field === field ? column.score :
+                (column.candidates.find(candidate => candidate.field === field)?.score || 0) / 2));
+
+        const average = (scores) => scores.length > 0
+            ? scores.reduce((total, score) => total + score, 0) / scores.length
+            : null;
+
+        // Alternative keys count as one required field, scored by the best matched key
+        const keyScores = schema.keys.length > 0 ? [Math.max(...schema.keys.map(fieldScore))] : [];
+        const required = average([...schema.requiredFields.map(fieldScore), ...keyScores]);
+        const optional = average(schema.optionalFields.filter(field => !schema.keys.includes(field)).map(fieldScore));
+        const mappedColumns = match.columns.filter(column => column.field);
+        const columnCoverage = headers.length > 0 ? mappedColumns.length / headers.length : 0;
+
+        const requiredScore = required === null ? (optional || 0) : required;
+        const headerScore = 0.6 * requiredScore + 0.15 * (optional === null ? requiredScore : optional) + 0.25 * columnCoverage;
+        const valueScore = this.scoreValues(schema, mappedColumns, rows);
+
+        let confidence = valueScore === null
+            ? headerScore
+            : this.weights.headers * headerScore + this.weights.values * valueScore;
+
+        const stem = dataType.replace(/(is|s)$/, '');
+        if (confidence > 0 && stem.length >= 4 && nameWords.some(word => word.startsWith(stem))) {
+            confidence += this.fileNameBonus;
+        }
+
+        return {
+            dataType,
+            label: schema.label,
+            confidence: Math.round(Math.min(1, confidence) * 100) / 100,
+            headerScore: Math.round(headerScore * 100) / 100,
+            valueScore: valueScore === null ? null : Math.round(valueScore * 100) / 100,
+            matchedFields: mappedColumns.map(column => column.field)
+        };
+    }
+
+    /**
+     * Share of sample values of the mapped columns that fit their field, averaged over columns
+     * @returns {number|null} null when there are no values to inspect
+     */
+    scoreValues(schema, mappedColumns, rows) {
+        const columnScores = mappedColumns
+            .map(column => {
+                const values = rows
+                    .map(row => String(row[column.index] === undefined ? '' : row[column.index]).trim())
+                    .filter(value => value !== '');
+                if (values.length === 0) {
+                    return null;
+                }
+                const field = schema.fields[column.field];
+                const fitting = values.filter(value => this.valueFits(schema.name, field, value)).length;
+                return fitting / values.length;
+            })
+            .filter(score => score !== null);
+
+        return columnScores.length > 0
+            ? columnScores.reduce((total, score) => total + score, 0) / columnScores.length
+            : null;
+    }
+
+    valueFits(dataType, field, value) {
+        const shape = this.typePatterns[field.type];
+        if (shape && !shape.test(value)) {
+            return false;
+        }
+        return this.schemaRegistry.checkValue(dataType, field.name, value) === null;
+    }
+}
+
+// Export for use in other modules
+window.DataTypeClassifier = DataTypeClassifier;
@@ -0,0 +1,221 @@
+/**
+ * APS Healthcare Platform - Date Parser
+ * Reads dates in a configurable set of formats (ISO, DD/MM/YYYY, MM/DD/YYYY, HL7 YYYYMMDD, with optional
+ * time and zone), rejects dates that do not exist and tells DD/MM from MM/DD by the values of a column
+ */
+
+class DateParser {
+    constructor() {
+        // Optional time after the date: HH:MM[:SS[.fff]] and a zone (Z, -03:00, -0300)
+        const time = '(?:[T\\s]+(\\d{1,2}):(\\d{2})(?::(\\d{2})(?:[.,]\\d+)?)?\\s*(Z|[+\\-]\\d{2}:?\\d{2})?)?';
+        const dayMonthYear = new RegExp(`^(\\d{1,2})([\\/\\-.])(\\d{1,2})\\2(\\d{4})${time}$`, 'i');
+
+        // Accepted formats: the pattern captures the date parts named in `parts`, then hour, minute,
+        // second and zone. Separators are not significant ("DD/MM/YYYY" also reads 31-01-2020 and 31.01.2020).
+        this.formats = {
+            'YYYY-MM-DD': {
+                pattern: new RegExp(`^(\\d{4})([\\-\\/.])(\\d{1,2})\\2(\\d{1,2})${time}$`, 'i'),
+                parts: ['year', null, 'month', 'day']
+            },
+            'DD/MM/YYYY': { pattern: dayMonthYear, parts: ['day', null, 'month', 'year'] },
+            'MM/DD/YYYY': { pattern: dayMonthYear, parts: ['month', null, 'day', 'year'] },
+            // HL7 DTM: YYYYMMDD[HHMM[SS[.S...]]][+/-ZZZZ]
+            'YYYYMMDD': {
+                pattern: /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(?:(\d{2})(?:\.\d+)?)?)?([+\-]\d{4})?$/,
+                parts: ['year', 'month', 'day']
+            }
+        };
+        this.defaultFormats = Object.keys(this.formats);
+
+        // Formats that read the same text with day and month swapped
+        this.dayMonthFormats = ['DD/MM/YYYY', 'MM/DD/YYYY'];
+
+        // Day/month order of each locale, used when the values of a column do not tell
+        this.localeOrders = {
+            'pt-BR': 'DD/MM/YYYY',
+            'en-US': 'MM/DD/YYYY'
+        };
+    }
+
+    /**
+     * Every reading of a value that is a real calendar date
+     * @param {string} value - Date as written in the source
+     * @param {Array<string>} formats - Formats to try
+     * @returns {{readings: Array<Object>, matched: boolean}} readings are { format, year, month, day,
+     *          hour, minute, second, zone }; matched tells whether the value had the shape of some format
+     */
+    read(value, formats = this.defaultFormats) {
+        const text = String(value === undefined || value === null ? '' : value).trim();
+        const readings = [];
+        let matched = false;
+
+        formats.forEach(format => {
+            const { pattern, parts } = this.formats[format];
+            const match = text.match(pattern);
+            if (!match) {
+                return;
+            }
+            matched = true;
+
+            const reading = { format };
+            parts.forEach((part, index) => {
+                if (part) reading[part] = Number(match[index + 1]);
+            });
+            const [hour, minute, second, zone] = match.slice(parts.length + 1);
+            if (hour !== undefined) {
+                reading.hour = Number(hour);
+                reading.minute = Number(minute);
+                reading.second = second === undefined ? 0 : Number(second);
+                reading.zone = zone ? this.normalizeZone(zone) : null;
+            }
+
+            if (this.isValidReading(reading)) {
+                readings.push(reading);
+            }
+        });
+
+        return { readings, matched };
+    }
+
+    /**
+     * Read a value into ISO form
+     * @param {string} value - Date as written in the source
+     * @param {Object} options - { formats: accepted formats (all by default),
+     *        order: 'DD/MM/YYYY'|'MM/DD/YYYY' to read values that fit both }
+     * @returns {{date: string|null, iso: string|null, format: string|null, candidates: Array<string>,
+     *          error: {code: 'format'|'calendar'|'order'|'ambiguous', message: string}|null}}
+     *          date is YYYY-MM-DD; iso keeps the time and zone when the value has them
+     */
+    parse(value, { formats = this.defaultFormats, order = null } = {}) {
+        const text = String(value === undefined || value === null ? '' : value).trim();
+        const { readings, matched } = this.read(text, formats);
+        const result = { date: null, iso: null, format: null, candidates: [], error: null };
+
+        const accepted = order
+            ? readings.filter(reading => !this.dayMonthFormats.includes(reading.format) || reading.format === order)
+            : readings;
+
+        // Readings that give the same date (05/05/2020) are not ambiguous
+        const distinct = new Map();
+        accepted.forEach(reading => {
+            const iso = this.toISO(reading);
+            if (!distinct.has(iso)) distinct.set(iso, reading);
+        });
+
+        if (distinct.size === 0) {
+            result.error = readings.length > 0
+                ? { code: 'order', message: `Data ${text} não corresponde ao formato ${order} da coluna` }
+                : matched
+                    ? { code: 'calendar', message: `Data inexistente: ${text}` }
+                    : { code: 'format', message: `Data em formato não reconhecido: ${text} (formatos aceitos: ${formats.join(', ')})` };
+            return result;
+        }
+
+        if (distinct.size > 1) {
+            result.candidates = Array.from(distinct.keys());
+            result.error = {
+                code: 'ambiguous',
+                message: `Data ambígua: ${text} (${result.candidates.join(' ou ')}); informe a ordem dia/mês da coluna`
+            };
+            return result;
+        }
+
+        const [[iso, reading]] = distinct;
+        return { ...result, date: iso.substring(0, 10), iso, format: reading.format };
+    }
+
+    /**
+     * Local Date (midnight) of a value, or null when it cannot be read unambiguously
+     */
+    toDate(value, options = {}) {
+        const { date } = this.parse(value, options);
+        if (!date) {
+            return null;
+        }
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Day/month order shown by the values of a column: values whose first part is above 12 can only be
+     * DD/MM, values whose second part is above 12 only MM/DD
+     * @param {Array<string>} values - Column values
+     * @param {Array<string>} formats - Formats accepted for the column
+     * @returns {{order: string|null, dayFirst: number, monthFirst: number}} order is null when the
+     *          values fit both orders or contradict each other
+     */
+    detectOrder(values, formats = this.defaultFormats) {
+        const detection = { order: null, dayFirst: 0, monthFirst: 0 };
+        if (!this.dayMonthFormats.every(format => formats.includes(format))) {
+            return detection;
+        }
+
+        values.forEach(value => {
+            const found = this.read(value, this.dayMonthFormats).readings.map(reading => reading.format);
+            if (found.length === 1) {
+                found[0] === 'DD/MM/YYYY' ? detection.dayFirst++ : detection.monthFirst++;
+            }
+        });
+
+        if (detection.dayFirst > 0 && detection.monthFirst === 0) {
+            detection.order = 'DD/MM/YYYY';
+        } else if (detection.monthFirst > 0 && detection.dayFirst === 0) {
+            detection.order = 'MM/DD/YYYY';
+        }
+        return detection;
+    }
+
+    /**
+     * Day/month order to read a column with: none needed when its formats allow only one, else the one
+     * shown by the data, else the one shown by the rest of the file (when the column's values
+     * do not point either way), else the locale's
+     * @returns {{order: string|null, source: 'formats'|'data'|'file'|'locale'|null}}
+     */
+    chooseOrder(formats, detection, locale = null, fileOrder = null) {
+        if (!this.dayMonthFormats.every(format => formats.includes(format))) {
+            return { order: null, source: 'formats' };
+        }
+        if (detection.order) {
+            return { order: detection.order, source: 'data' };
+        }
+        if (fileOrder && detection.dayFirst === 0 && detection.monthFirst === 0) {
+            return { order: fileOrder, source: 'file' };
+        }
+        if (locale && this.localeOrders[locale]) {
+            return { order: this.localeOrders[locale], source: 'locale' };
+        }
+        return { order: null, source: null };
+    }
+
+    isValidReading({ year, month, day, hour, minute, second }) {
+        if (month < 1 || month > 12 || day < 1 || day > new Date(year, month, 0).getDate()) {
+            return false;
+        }
+        return hour === undefined || (hour < 24 && minute < 60 && second < 60);
+    }
+
+    /**
+     * YYYY-MM-DD, or YYYY-MM-DDTHH:MM:SS with the zone when the value has a time
+     */
+    toISO({ year, month, day, hour, minute, second, zone }) {
+        const pad = (number, length = 2) => String(number).padStart(length, '0');
+        const date = `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+        return hour === undefined
+            ? date
+            : `${date}T${pad(hour)}:${pad(minute)}:${pad(second)}${zone || ''}`;
+    }
+
+    /**
+     * "Z", "-0300" or "-03:00" -> "Z" or "-03:00"
+     */
+    normalizeZone(zone) {
+        if (zone.toUpperCase() === 'Z') {
+            return 'Z';
+        }
+        const digits = zone.replace(':', '');
+        return `${digits.substring(0, 3)}:${digits.substring(3)}`;
+    }
+}
+
+// Export for use in other modules
+window.DateParser = DateParser;
@@ -0,0 +1,201 @@
+/**
+ * APS Healthcare Platform - Document Validator
+ * Modulo-11 check-digit validation and formatting of CPF, CNPJ and CNES numbers
+ */
+
+class DocumentValidator {
+    constructor() {
+        this.documents = {
+            cpf: {
+                label: 'CPF',
+                length: 11,
+                // Weights for the first and second check digits
+                weights: [
+                    [10, 9, 8, 7, 6, 5, 4, 3, 2],
+                    [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]
+                ],
+                // Only digits are allowed
+                characters: /^\d+$/
+            },
+            cnpj: {
+                label: 'CNPJ',
+                length: 14,
+                weights: [
+                    [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2],
+                    [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]
+                ],
+                // Alphanumeric CNPJ (IN RFB 2.229/2024): letters in the 12-character base, numeric check digits
+                characters: /^[0-9A-Z]{12}\d*$/
+            },
+            cnes: {
+                label: 'CNES',
+                length: 7,
+                // Single check digit over the six-digit base
+                weights: [
+                    [7, 6, 5, 4, 3, 2]
+                ],
+                characters: /^\d+$/
+            }
+        };
+
+        // Column names that hold each document, e.g. cpf, cpf_responsavel, cnpj_mantenedora, codigo_cnes
+        this.fieldPatterns = {
+            cpf: /(^|_)cpf($|_)/i,
+            cnpj: /(^|_)cnpj($|_)/i,
+            cnes: /(^|_)cnes($|_)/i
+        };
+    }
+
+    /**
+     * Document type held by a column, from its name
+     * @returns {string|null} 'cpf', 'cnpj', 'cnes' or null
+     */
+    fieldDocumentType(fieldName) {
+        return Object.keys(this.fieldPatterns).find(type => this.fieldPatterns[type].test(fieldName || '')) || null;
+    }
+
+    validateCPF(value) {
+        return this.validate(value, 'cpf');
+    }
+
+    validateCNPJ(value) {
+        return this.validate(value, 'cnpj');
+    }
+
+    validateCNES(value) {
+        return this.validate(value, 'cnes');
+    }
+
+    /**
+     * Validate a CPF, CNPJ or CNES
+     * @param {string} value - Number, formatted or not
+     * @param {string} type - 'cpf', 'cnpj' or 'cnes'
+     * @returns {Object} { isValid, type, digits, formatted, error } where error is null or
+     *          { code: 'characters'|'length'|'repeated'|'check_digit', message, positions, expected, found, suggestion }
+     */
+    validate(value, type) {
+        const document = this.documents[type];
+        const digits = this.clean(value, type);
+        const result = { isValid: false, type, digits, formatted: null, error: null };
+
+        if (!document.characters.test(digits)) {
+            result.error = {
+                code: 'characters',
+                message: `${document.label} contém caracteres inválidos`
+            };
+            return result;
+        }
+
+        if (digits.length !== document.length) {
+            result.error = {
+                code: 'length',
+                message: `${document.label} deve ter ${document.length} dígitos (encontrados ${digits.length})`
+            };
+            return result;
+        }
+
+        result.formatted = this.format(digits, type);
+
+        if (/^(.)\1+$/.test(digits)) {
+            result.error = {
+                code: 'repeated',
+                message: `${document.label} com todos os dígitos iguais não é válido`
+            };
+            return result;
+        }
+
+        const baseLength = document.length - document.weights.length;
+        const base = digits.substring(0, baseLength);
+        const expected = this.computeCheckDigits(base, type);
+        const found = digits.substring(baseLength);
+
+        if (expected !== found) {
+            // 1-based positions in the full number of the check digits that differ
+            const positions = document.weights
+                .map((weights, i) => i)
+                .filter(i => expected[i] !== found[i])
+                .map(i => baseLength + 1 + i);
+            const which = positions.length > 1
+                ? `1º e 2º dígitos verificadores incorretos (posições ${positions.join(' e ')})`
+                : document.weights.length > 1
+                    ? `${positions[0] - baseLength}º dígito verificador incorreto (posição ${positions[0]})`
+                    : `Dígito verificador incorreto (posição ${positions[0]})`;
+
+            result.error = {
+                code: 'check_digit',
+                message: `${which}: esperado ${expected}, encontrado ${found}`,
+                positions,
+                expected,
+                found,
+                suggestion: this.format(base + expected, type)
+            };
+            return result;
+        }
+
+        result.isValid = true;
+        return result;
+    }
+
+    /**
+     * Check digits for a base (9 digits for CPF, 12 characters for CNPJ, 6 digits for CNES);
+     * each digit is computed over the base and the digits before it
+     */
+    computeCheckDigits(base, type) {
+        return this.documents[type].weights.reduce((digits, weights) => digits + this.checkDigit(base + digits, weights), '');
+    }
+
+    checkDigit(base, weights) {
+        // Characters count as their ASCII code minus 48, so '0'-'9' keep their value and 'A' is 17
+        const sum = weights.reduce((total, weight, index) => total + (base.charCodeAt(index) - 48) * weight, 0);
+        const remainder = sum % 11;
+        return remainder < 2 ? 0 : 11 - remainder;
+    }
+
+    /**
+     * Formatted document for a CPF/CNPJ/CNES column, or the value unchanged when it cannot be formatted.
+     * Leading zeros lost by spreadsheets are restored when the padded number has valid check digits.
+     */
+    normalize(value, type) {
+        const document = this.documents[type];
+        let digits = this.clean(value, type);
+
+        if (!digits || !document.characters.test(digits.padStart(document.length, '0'))) {
+            return value;
+        }
+
+        if (digits.length < document.length && /^\d+$/.test(digits) && digits.length >= document.length - 2) {
+            const padded = digits.padStart(document.length, '0');
+            if (this.validate(padded, type).isValid) {
+                digits = padded;
+            }
+        }
+
+        return digits.length === document.length ? this.format(digits, type) : value;
+    }
+
+    format(digits, type) {
+        if (type === 'cnes') {
+            // XXXXXXX, as published by the CNES registry
+            return digits;
+        }
+        if (type === 'cpf') {
+            // XXX.XXX.XXX-XX
+            return `${digits.substring(0, 3)}.${digits.substring(3, 6)}.${digits.substring(6, 9)}-${digits.substring(9)}`;
+        }
+        // XX.XXX.XXX/XXXX-XX
+        return `${digits.substring(0, 2)}.${digits.substring(2, 5)}.${digits.substring(5, 8)}/${digits.substring(8, 12)}-${digits.substring(12)}`;
+    }
+
+    /**
+     * Strip punctuation and whitespace; CNPJ letters are upper-cased
+     */
+    clean(value, type) {
+        const text = String(value || '').trim();
+        return type === 'cnpj'
+            ? text.toUpperCase().replace(/[.\-\/\s]/g, '')
+            : text.replace(/[.\-\s]/g, '');
+    }
+}
+
+// Export for use in other modules
+window.DocumentValidator = DocumentValidator;
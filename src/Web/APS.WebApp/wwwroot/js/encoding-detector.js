@@ -0,0 +1,263 @@
+/**
+ * APS Healthcare Platform - Encoding Detector
+ * Inspects raw file bytes to pick the character encoding before decoding
+ */
+
+class EncodingDetector {
+    constructor() {
+        // Bytes 0x80-0x9F that Windows-1252 maps to printable characters.
+        // In ISO-8859-1 the same range holds C1 control codes, which never appear in real text.
+        this.windows1252Printable = new Set([
+            0x80, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89, 0x8A, 0x8B, 0x8C, 0x8E,
+            0x91, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9A, 0x9B, 0x9C, 0x9E, 0x9F
+        ]);
+
+        // Latin-1 code points of letters used in Portuguese (á à â ã ç é ê í ó ô õ ú ü and uppercase)
+        this.portugueseLetters = new Set([
+            0xC0, 0xC1, 0xC2, 0xC3, 0xC7, 0xC9, 0xCA, 0xCD, 0xD3, 0xD4, 0xD5, 0xDA, 0xDC,
+            0xE0, 0xE1, 0xE2, 0xE3, 0xE7, 0xE9, 0xEA, 0xED, 0xF3, 0xF4, 0xF5, 0xFA, 0xFC
+        ]);
+
+        // UTF-8 text that was decoded as Latin-1 and re-encoded ("Ã§", "Ã£", "Ã©"...)
+        this.mojibakePattern = /[ÃÂ][\u0080-¿]/g;
+    }
+
+    /**
+     * Detect the encoding of a byte buffer
+     * @param {ArrayBuffer|Uint8Array} buffer - Raw file content
+     * @returns {Object} { name, confidence, bom, method, details }
+     */
+    detect(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+        const bom = this.sniffBOM(bytes);
+        if (bom) {
+            return {
+                name: bom.encoding,
+                confidence: 1,
+                bom: true,
+                method: 'bom',
+                details: [`BOM ${bom.encoding.toUpperCase()} encontrado`]
+            };
+        }
+
+        const utf8 = this.scanUTF8(bytes);
+
+        if (utf8.invalidSequences === 0) {
+            if (utf8.multibyteSequences === 0) {
+                return {
+                    name: 'utf-8',
+                    confidence: 1,
+                    bom: false,
+                    method: 'ascii-only',
+                    details: ['Arquivo contém apenas caracteres ASCII']
+                };
+            }
+
+            return {
+                name: 'utf-8',
+                confidence: utf8.multibyteSequences >= 3 ? 0.99 : 0.9,
+                bom: false,
+                method: 'utf8-scan',
+                details: [`${utf8.multibyteSequences} sequências UTF-8 válidas, nenhuma inválida`]
+            };
+        }
+
+        // A handful of broken sequences in an otherwise UTF-8 file: keep UTF-8, lower confidence
+        if (utf8.multibyteSequences > 0 && utf8.invalidSequences <= utf8.multibyteSequences * 0.01) {
+            return {
+                name: 'utf-8',
+                confidence: 0.6,
+                bom: false,
+                method: 'utf8-scan',
+                details: [
+                    `${utf8.multibyteSequences} sequências UTF-8 válidas`,
+                    `${utf8.invalidSequences} sequências inválidas (primeira no byte ${utf8.firstInvalidOffset}) serão substituídas por �`
+                ]
+            };
+        }
+
+        return this.detectSingleByte(bytes, utf8);
+    }
+
+    /**
+     * Choose between Windows-1252 and ISO-8859-1 for bytes that are not valid UTF-8
+     */
+    detectSingleByte(bytes, utf8) {
+        let highBytes = 0;
+        let portugueseBytes = 0;
+        let printableC1 = 0;
+        let undefinedC1 = 0;
+
+        for (let i = 0; i < bytes.length; i++) {
+            const byte = bytes[i];
+            if (byte < 0x80) continue;
+
+            highBytes++;
+            if (this.portugueseLetters.has(byte)) {
+                portugueseBytes++;
+            } else if (byte <= 0x9F) {
+                if (this.windows1252Printable.has(byte)) {
+                    printableC1++;
+                } else {
+                    undefinedC1++;
+                }
+            }
+        }
+
+        const portugueseRatio = highBytes > 0 ? portugueseBytes / highBytes : 0;
+        const details = [
+            `${utf8.invalidSequences} sequências UTF-8 inválidas (primeira no byte ${utf8.firstInvalidOffset})`,
+            `${portugueseBytes} de ${highBytes} bytes não-ASCII são letras acentuadas do português`
+        ];
+
+        // Curly quotes, dashes and "…" in 0x80-0x9F only exist in Windows-1252
+        const name = printableC1 > 0 ? 'windows-1252' : 'iso-8859-1';
+        if (printableC1 > 0) {
+            details.push(`${printableC1} bytes na faixa 0x80-0x9F com significado em Windows-1252`);
+        }
+        if (undefinedC1 > 0) {
+            details.push(`${undefinedC1} bytes sem mapeamento em Windows-1252`);
+        }
+
+        let confidence = 0.5 + portugueseRatio * 0.45;
+        if (undefinedC1 > 0) {
+            confidence -= 0.2;
+        }
+
+        return {
+            name,
+            confidence: Math.max(0.1, Math.round(confidence * 100) / 100),
+            bom: false,
+            method: 'single-byte-heuristic',
+            details
+        };
+    }
+
+    /**
+     * Decode bytes with TextDecoder using the detected (or given) encoding
+     * @param {ArrayBuffer|Uint8Array} buffer - Raw file content
+     * @param {Object} detection - Result of detect(); computed when omitted
+     * @returns {{content: string, encoding: Object, unrepaired: string|undefined}} unrepaired is the text
+     *          before double-encoding repairs, present when some were made
+     */
+    decode(buffer, detection = null) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const encoding = { ...(detection || this.detect(bytes)), repairedMojibake: 0 };
+
+        // TextDecoder strips a matching BOM by default
+        let content = new TextDecoder(encoding.name).decode(bytes);
+
+        const repaired = this.repairDoubleEncoding(content);
+        if (repaired.fixed > 0) {
+            encoding.repairedMojibake = repaired.fixed;
+            encoding.details = [...encoding.details, `${repaired.fixed} trechos com UTF-8 duplamente codificado foram reparados`];
+            return { content: repaired.content, encoding, unrepaired: content };
+        }
+
+        return { content, encoding };
+    }
+
+    /**
+     * Undo UTF-8 that was decoded as Latin-1 before being saved ("SÃ£o Paulo" -> "São Paulo").
+     * Each suspicious run is re-encoded as Latin-1 bytes and decoded strictly as UTF-8;
+     * runs that do not round-trip are left untouched.
+     */
+    repairDoubleEncoding(content) {
+        const matches = content.match(this.mojibakePattern);
+        if (!matches) {
+            return { content, fixed: 0 };
+        }
+
+        const strictDecoder = new TextDecoder('utf-8', { fatal: true });
+        let fixed = 0;
+
+        const repairedContent = content.replace(/(?:[Â-ß][\u0080-¿])+/g, run => {
+            const runBytes = new Uint8Array(run.length);
+            for (let i = 0; i < run.length; i++) {
+                runBytes[i] = run.charCodeAt(i);
+            }
+            try {
+                const decoded = strictDecoder.decode(runBytes);
+                fixed++;
+                return decoded;
+            } catch (error) {
+                return run;
+            }
+        });
+
+        return { content: repairedContent, fixed };
+    }
+
+    sniffBOM(bytes) {
+        if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { encoding: 'utf-8', length: 3 };
+        }
+        if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { encoding: 'utf-16le', length: 2 };
+        }
+        if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { encoding: 'utf-16be', length: 2 };
+        }
+        return null;
+    }
+
+    /**
+     * Walk the buffer validating UTF-8 sequences (overlongs and surrogates count as invalid)
+     */
+    scanUTF8(bytes) {
+        let multibyteSequences = 0;
+        let invalidSequences = 0;
+        let firstInvalidOffset = -1;
+        let i = 0;
+
+        while (i < bytes.length) {
+            const byte = bytes[i];
+
+            if (byte < 0x80) {
+                i++;
+                continue;
+            }
+
+            let length = 0;
+            let min = 0;
+            if (byte >= 0xC2 && byte <= 0xDF) {
+                length = 2; min = 0x80;
+            } else if (byte >= 0xE0 && byte <= 0xEF) {
+                length = 3; min = 0x800;
+            } else if (byte >= 0xF0 && byte <= 0xF4) {
+                length = 4; min = 0x10000;
+            }
+
+            let valid = length > 0 && i + length <= bytes.length;
+            let codePoint = length === 2 ? byte & 0x1F : length === 3 ? byte & 0x0F : byte & 0x07;
+
+            for (let j = 1; valid && j < length; j++) {
+                const next = bytes[i + j];
+                if ((next & 0xC0) !== 0x80) {
+                    valid = false;
+                } else {
+                    codePoint = (codePoint << 6) | (next & 0x3F);
+                }
+            }
+
+            if (valid && (codePoint < min || codePoint > 0x10FFFF || (codePoint >= 0xD800 && codePoint <= 0xDFFF))) {
+                valid = false;
+            }
+
+            if (valid) {
+                multibyteSequences++;
+                i += length;
+            } else {
+                if (firstInvalidOffset === -1) firstInvalidOffset = i;
+                invalidSequences++;
+                i++;
+            }
+        }
+
+        return { multibyteSequences, invalidSequences, firstInvalidOffset };
+    }
+}
+
+// Export for use in other modules
+window.EncodingDetector = EncodingDetector;
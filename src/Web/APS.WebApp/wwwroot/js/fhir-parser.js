@@ -0,0 +1,324 @@
+/**
+ * APS Healthcare Platform - FHIR R4 Parser
+ * Unpacks Bundles, validates resources and maps them onto the pacientes, medicos and hospitais schemas
+ */
+
+class FHIRParser {
+    constructor() {
+        // Elements each supported resource must carry to be imported
+        this.resourceRules = {
+            Patient: {
+                required: ['identifier', 'name'],
+                dataType: 'pacientes'
+            },
+            Practitioner: {
+                required: ['identifier', 'name'],
+                dataType: 'medicos'
+            },
+            Organization: {
+                // org-1: an Organization SHALL have at least a name or an identifier
+                requiredOneOf: [['name', 'identifier']],
+                dataType: 'hospitais'
+            },
+            Location: {
+                required: ['name'],
+                dataType: null
+            },
+            Condition: {
+                required: ['subject', 'code'],
+                dataType: null
+            }
+        };
+
+        this.enums = {
+            'Patient.gender': ['male', 'female', 'other', 'unknown'],
+            'Practitioner.gender': ['male', 'female', 'other', 'unknown'],
+            'Condition.clinicalStatus': ['active', 'recurrence', 'relapse', 'inactive', 'remission', 'resolved']
+        };
+
+        this.idPattern = /^[A-Za-z0-9\-.]{1,64}$/;
+        this.datePattern = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+        // Identifier systems/types that carry the CPF (RNDS and generic tax id)
+        this.cpfSystemPattern = /cpf/i;
+        this.cpfTypeCodes = ['TAX', 'CPF'];
+
+        // Code systems for CID-10 (ICD-10) diagnoses
+        this.cid10SystemPattern = /icd-?10|cid-?10/i;
+
+        // Address extensions that hold the IBGE municipality code
+        this.ibgeExtensionPattern = /municipio|ibge/i;
+    }
+
+    /**
+     * Whether a JSON document looks like FHIR (has a top-level resourceType)
+     */
+    isFHIRContent(content) {
+        try {
+            const parsed = JSON.parse(content);
+            const items = Array.isArray(parsed) ? parsed : [parsed];
+            return items.length > 0 && items.every(item => item && typeof item.resourceType === 'string');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Flatten Bundles (recursively) and arrays into a list of resources
+     * @param {Object|Array} parsed - Parsed JSON
+     * @param {Map} fullUrls - When given, filled with the fullUrl of each Bundle entry -> its resource
+     * @returns {Array<Object>} Resources
+     */
+    extractResources(parsed, fullUrls = null) {
+        const items = Array.isArray(parsed) ? parsed : [parsed];
+        const resources = [];
+
+        items.forEach(item => {
+            if (!item || typeof item !== 'object') return;
+
+            if (item.resourceType === 'Bundle') {
+                (item.entry || []).forEach(entry => {
+                    if (entry && entry.resource) {
+                        if (fullUrls && entry.fullUrl) {
+                            fullUrls.set(entry.fullUrl, entry.resource);
+                        }
+                        resources.push(...this.extractResources(entry.resource, fullUrls));
+                    }
+                });
+            } else {
+                resources.push(item);
+            }
+        });
+
+        return resources;
+    }
+
+    /**
+     * Validate each resource against its required elements and value sets
+     * @param {Array<Object>} resources - Resources from extractResources
+     * @returns {{errors: Array<string>, warnings: Array<string>, counts: Object}}
+     */
+    validateResources(resources) {
+        const errors = [];
+        const warnings = [];
+        const counts = {};
+
+        resources.forEach((resource, index) => {
+            const type = resource.resourceType;
+            const label = `${type || 'Recurso'}/${resource.id || `#${index + 1}`}`;
+            counts[type] = (counts[type] || 0) + 1;
+
+            const rules = this.resourceRules[type];
+            if (!rules) {
+                warnings.push(`${label}: tipo de recurso não suportado, ignorado`);
+                return;
+            }
+
+            if (resource.id !== undefined && !this.idPattern.test(resource.id)) {
+                errors.push(`${label}: id inválido`);
+            }
+
+            (rules.required || []).forEach(element => {
+                if (this.isEmpty(resource[element])) {
+                    errors.push(`${label}: elemento obrigatório '${element}' ausente`);
+                }
+            });
+
+            (rules.requiredOneOf || []).forEach(elements => {
+                if (elements.every(element => this.isEmpty(resource[element]))) {
+                    errors.push(`${label}: pelo menos um dos elementos ${elements.join(' ou ')} é obrigatório`);
+                }
+            });
+
+            if (resource.gender && !this.enums[`${type}.gender`]?.includes(resource.gender)) {
+                errors.push(`${label}: gender inválido: ${resource.gender}`);
+            }
+
+            if (resource.birthDate && !this.datePattern.test(resource.birthDate)) {
+                errors.push(`${label}: birthDate inválido: ${resource.birthDate}`);
+            }
+
+            if (type === 'Condition') {
+                const status = this.getCode(resource.clinicalStatus);
+                if (status && !this.enums['Condition.clinicalStatus'].includes(status)) {
+                    errors.push(`${label}: clinicalStatus inválido: ${status}`);
+                }
+                if (resource.code && !this.findCID10(resource.code)) {
+                    warnings.push(`${label}: nenhum código CID-10 encontrado em Condition.code`);
+                }
+            }
+
+            if (type === 'Patient' && resource.identifier && !this.findCPF(resource.identifier)) {
+                warnings.push(`${label}: nenhum identifier com CPF`);
+            }
+        });
+
+        return { errors, warnings, counts };
+    }
+
+    /**
+     * Parse a FHIR document into records grouped by healthcare data type
+     * @param {string} content - FHIR JSON
+     * @returns {{records: Object, errors: Array<string>, warnings: Array<string>, counts: Object}}
+     */
+    toRecords(content) {
+        // Resources by the forms a reference can take: "Patient/123", or the entry's fullUrl
+        // ("urn:uuid:..." in transaction Bundles)
+        const byReference = new Map();
+        const resources = this.extractResources(JSON.parse(content), byReference);
+        const validation = this.validateResources(resources);
+
+        resources.forEach(resource => {
+            if (resource.id) {
+                byReference.set(`${resource.resourceType}/${resource.id}`, resource);
+            }
+        });
+
+        const conditions = resources.filter(resource => resource.resourceType === 'Condition');
+        const locations = resources.filter(resource => resource.resourceType === 'Location');
+
+        const records = { pacientes: [], medicos: [], hospitais: [] };
+
+        resources.forEach(resource => {
+            switch (resource.resourceType) {
+                case 'Patient':
+                    records.pacientes.push(this.mapPatient(resource, conditions, byReference));
+                    break;
+                case 'Practitioner':
+                    records.medicos.push(this.mapPractitioner(resource));
+                    break;
+                case 'Organization':
+                    records.hospitais.push(this.mapOrganization(resource, locations, byReference));
+                    break;
+            }
+        });
+
+        return { records, ...validation };
+    }
+
+    /**
+     * Patient -> pacientes; diagnosticos lists the CID-10 codes of the Conditions whose subject is the patient
+     * @param {Map} byReference - Resources by reference (see toRecords)
+     */
+    mapPatient(patient, conditions, byReference) {
+        const diagnoses = conditions
+            .filter(condition => byReference.get(condition.subject?.reference) === patient)
+            .map(condition => this.findCID10(condition.code))
+            .filter(Boolean);
+
+        const genderMap = { male: 'M', female: 'F', other: 'O', unknown: 'I' };
+
+        return {
+            id: patient.id || '',
+            nome: this.formatHumanName(patient.name),
+            cpf: this.findCPF(patient.identifier) || '',
+            email: this.findTelecom(patient.telecom, 'email'),
+            telefone: this.findTelecom(patient.telecom, 'phone'),
+            endereco: this.formatAddress(patient.address),
+            nascimento: patient.birthDate || '',
+            sexo: genderMap[patient.gender] || '',
+            diagnosticos: diagnoses.join(';')
+        };
+    }
+
+    mapPractitioner(practitioner) {
+        const qualification = (practitioner.qualification || [])[0];
+
+        return {
+            codigo: practitioner.id || '',
+            nome_completo: this.formatHumanName(practitioner.name),
+            especialidade: qualification ? this.getText(qualification.code) : '',
+            cidade: this.findIBGECode(practitioner.address)
+        };
+    }
+
+    /**
+     * Organization -> hospitais; leitos_totais counts Locations of physical type "bd" (bed)
+     * managed by the organization, and the address falls back to its first Location
+     * @param {Map} byReference - Resources by reference (see toRecords)
+     */
+    mapOrganization(organization, locations, byReference) {
+        const managed = locations.filter(location => byReference.get(location.managingOrganization?.reference) === organization);
+        const beds = managed.filter(location => this.getCode(location.physicalType) === 'bd');
+        const site = managed.find(location => location.address);
+        const addresses = organization.address || (site ? [site.address] : []);
+
+        return {
+            codigo: organization.id || '',
+            nome: organization.name || '',
+            cidade: this.findIBGECode(addresses),
+            bairro: addresses[0]?.district || '',
+            leitos_totais: managed.length > 0 ? String(beds.length) : '',
+            especialidades: (organization.type || []).map(type => this.getText(type)).filter(Boolean).join(';')
+        };
+    }
+
+    formatHumanName(names) {
+        const name = (names || []).find(n => n.use === 'official') || (names || [])[0];
+        if (!name) return '';
+        if (name.text) return name.text;
+        return [...(name.given || []), name.family].filter(Boolean).join(' ');
+    }
+
+    findCPF(identifiers) {
+        const identifier = (identifiers || []).find(id =>
+            this.cpfSystemPattern.test(id.system || '') ||
+            (id.type?.coding || []).some(coding => this.cpfTypeCodes.includes((coding.code || '').toUpperCase()))
+        );
+        return identifier ? identifier.value : null;
+    }
+
+    findTelecom(telecoms, system) {
+        const telecom = (telecoms || []).find(t => t.system === system);
+        return telecom ? telecom.value : '';
+    }
+
+    formatAddress(addresses) {
+        const address = (addresses || [])[0];
+        if (!address) return '';
+        if (address.text) return address.text;
+        return [...(address.line || []), address.district, address.city, address.state, address.postalCode]
+            .filter(Boolean)
+            .join(', ');
+    }
+
+    /**
+     * IBGE municipality code from an address extension, falling back to the city text
+     */
+    findIBGECode(addresses) {
+        const address = (addresses || [])[0];
+        if (!address) return '';
+
+        const extension = (address.extension || []).find(ext => this.ibgeExtensionPattern.test(ext.url || ''));
+        if (extension) {
+            return extension.valueCode || extension.valueString ||
+                (extension.valueCodeableConcept ? this.getCode(extension.valueCodeableConcept) : '');
+        }
+
+        return address.city || '';
+    }
+
+    /**
+     * CID-10 code from a CodeableConcept, preferring codings from an ICD-10/CID-10 system
+     */
+    findCID10(codeableConcept) {
+        const codings = codeableConcept?.coding || [];
+        const coding = codings.find(c => this.cid10SystemPattern.test(c.system || '')) || codings[0];
+        return coding ? coding.code : null;
+    }
+
+    getCode(codeableConcept) {
+        return codeableConcept?.coding?.[0]?.code || '';
+    }
+
+    getText(codeableConcept) {
+        return codeableConcept?.text || codeableConcept?.coding?.[0]?.display || codeableConcept?.coding?.[0]?.code || '';
+    }
+
+    isEmpty(value) {
+        return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+    }
+}
+
+// Export for use in other modules
+window.FHIRParser = FHIRParser;
@@ -4,7 +4,11 @@
  */
 
 class FileNormalizer {
-    constructor() {
+    /**
+     * @param {SchemaRegistry} schemaRegistry - Healthcare data schemas; a registry with the built-in schemas by default
+     * @param {RuleRegistry} ruleRegistry - Rule packs; a registry with the built-in rules by default
+     */
+    constructor(schemaRegistry = null, ruleRegistry = null) {
         this.validationRules = {
             csv: {
                 maxFileSize: 50 * 1024 * 1024, // 50MB
@@ -27,87 +31,91 @@ class FileNormalizer {
                 maxFileSize: 50 * 1024 * 1024, // 50MB
                 requiredFields: ['resourceType'],
                 encoding: ['utf-8']
-            }
-        };
-
-        // Real healthcare data structures from Tabelas directory
-        this.healthcareSchemas = {
-            medicos: {
-                requiredFields: ['codigo', 'nome_completo', 'especialidade', 'cidade'],
-                dataTypes: {
-                    codigo: 'uuid',
-                    nome_completo: 'string',
-                    especialidade: 'string',
-                    cidade: 'numeric_code'
-                }
-            },
-            hospitais: {
-                requiredFields: ['codigo', 'nome', 'cidade', 'bairro', 'leitos_totais'],
-                optionalFields: ['especialidades'],
-                dataTypes: {
-                    codigo: 'uuid',
-                    nome: 'string',
-                    cidade: 'numeric_code',
-                    bairro: 'string',
-                    especialidades: 'semicolon_separated',
-                    leitos_totais: 'integer'
-                }
             },
-            municipios: {
-                requiredFields: ['codigo_ibge', 'nome', 'latitude', 'longitude', 'codigo_uf', 'populacao'],
-                optionalFields: ['capital', 'siafi_id', 'ddd', 'fuso_horario'],
-                dataTypes: {
-                    codigo_ibge: 'integer',
-                    nome: 'string',
-                    latitude: 'decimal',
-                    longitude: 'decimal',
-                    capital: 'boolean',
-                    codigo_uf: 'integer',
-                    populacao: 'integer'
-                }
-            },
-            estados: {
-                requiredFields: ['codigo_uf', 'uf', 'nome', 'latitude', 'longitude', 'regiao'],
-                dataTypes: {
-                    codigo_uf: 'integer',
-                    uf: 'string',
-                    nome: 'string',
-                    latitude: 'decimal',
-                    longitude: 'decimal',
-                    regiao: 'string'
-                }
-            },
-            pacientes: {
-                requiredFields: ['id', 'nome', 'cpf'],
-                optionalFields: ['email', 'telefone', 'endereco', 'nascimento', 'sexo'],
-                dataTypes: {
-                    id: 'uuid',
-                    nome: 'string',
-                    cpf: 'cpf',
-                    email: 'email',
-                    telefone: 'phone',
-                    nascimento: 'date'
-                }
+            xlsx: {
+                maxFileSize: 50 * 1024 * 1024, // 50MB
+                encoding: ['utf-8']
             }
         };
 
         this.commonIssues = {
             encoding: /[^\x00-\x7F\u00C0-\u017F\u0100-\u024F]/g, // Non-latin characters
             invisibleChars: /[\u200B-\u200D\uFEFF]/g, // Zero-width characters
-            invalidXmlChars: /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, // Invalid XML characters
-            sqlInjection: /(drop|delete|update|insert|select|union|script|javascript|vbscript)/gi,
-            xssPatterns: /(<script|<iframe|<object|<embed|javascript:|vbscript:|on\w+\s*=)/gi
+            invalidXmlChars: /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g // Invalid XML characters
         };
+
+        this.encodingDetector = new EncodingDetector();
+        this.hl7Parser = new HL7Parser();
+        this.fhirParser = new FHIRParser();
+        this.xmlParser = new XMLRecordParser();
+        this.spreadsheetReader = new SpreadsheetReader();
+        this.documentValidator = new DocumentValidator();
+        this.cid10Catalog = new CID10Catalog();
+        this.crmValidator = new CRMValidator();
+        this.dateParser = new DateParser();
+        this.phoneNormalizer = new PhoneNormalizer();
+        this.addressNormalizer = new AddressNormalizer();
+        this.contentSanitizer = new ContentSanitizer();
+
+        this.schemaRegistry = schemaRegistry || new SchemaRegistry();
+        this.headerMapper = new HeaderMapper(this.schemaRegistry);
+        this.classifier = new DataTypeClassifier(this.schemaRegistry, this.headerMapper);
+        this.syncRecordPaths();
+        this.schemaRegistry.subscribe(() => this.syncRecordPaths());
+
+        // Sanitizer rules can be switched off per upload like the rules of any pack
+        this.ruleRegistry = ruleRegistry || new RuleRegistry();
+        this.ruleRegistry.registerPack({
+            name: 'core.sanitizer',
+            label: 'Sanitização de valores',
+            builtIn: true,
+            rules: this.contentSanitizer.rules.map(rule => ({ ...rule, kind: 'sanitizer', label: rule.reason }))
+        });
+
+        // Size of each slice handed to the CSV tokenizer (structure check, date analysis, normalization).
+        // Reading, decoding, header mapping and sanitization still work on the whole file content.
+        this.chunkSize = 1024 * 1024; // 1MB
+
+        // Characters of a CSV file parsed to classify its data type
+        this.classificationSampleLength = 64 * 1024;
+
+        // Rows checked by the default (sampled) CSV structure validation
+        this.structureSampleRows = 10;
+        this.structureColumnCheckRows = 100;
+
+        // Before/after examples kept per column in the transformation log
+        this.transformationExamples = 5;
+
+        // Field-level changes kept for review; columns beyond it are still counted per column
+        this.maxRecordedChanges = 10000;
+
+        // Phone columns keep the E.164 form; a companion column with this suffix gets the display form
+        this.phoneDisplaySuffix = '_formatado';
     }
 
     /**
      * Main normalization function
      * @param {File} file - The uploaded file
      * @param {Function} progressCallback - Progress update callback
+     * @param {Object} options - { dataType: confirmed data type, or 'auto-detect' to classify the content,
+     *        sanitizationDecisions: { [findingId]: 'escape'|'block'|'allow' },
+     *        headerMapping: { [sheetName, or '' for CSV]: { [sourceHeader]: field|'' } },
+     *        fullValidation: check every CSV row instead of a sample,
+     *        dateFormats: { [field]: [format] } input formats of date columns (see DateParser),
+     *        dateLocale: 'pt-BR'|'en-US' day/month order when the values of a column do not tell,
+     *        rejectedChanges: ids of field changes to undo, rejectedRules: rules whose changes are all undone
+     *        ('encoding', 'sanitization', 'trim', a field type such as 'date', 'phone', 'cpf', or the id of a
+     *        normalizer rule), enabledRules/disabledRules: ids of registered rules or names of rule packs
+     *        to switch on or off for this file (see RuleRegistry.select) }
      * @returns {Promise<Object>} Normalized file data and validation results
      */
-    async normalizeFile(file, progressCallback = () => {}) {
+    async normalizeFile(file, progressCallback = () => {}, options = {}) {
         try {
+            // Every value changed along the way, with the operator's rejections
+            const transformationLog = this.createTransformationLog(options);
+            // Rules of the registered packs switched on for this file
+            const rules = this.ruleRegistry.select(options);
+
             progressCallback({ stage: 'validation', progress: 0, message: 'Iniciando validação...' });
 
             // Step 1: Basic file validation
@@ -117,25 +125,71 @@ class FileNormalizer {
             }
             progressCallback({ stage: 'validation', progress: 20, message: 'Validação básica concluída' });
 
-            // Step 2: Read and detect encoding
-            const fileContent = await this.readFileWithEncoding(file);
-            progressCallback({ stage: 'encoding', progress: 40, message: 'Encoding detectado e corrigido' });
+            // Step 2: Read and detect encoding (spreadsheets are unpacked into a workbook document instead)
+            const onReadProgress = (fraction) => {
+                progressCallback({ stage: 'reading', progress: 20 + Math.round(fraction * 20), message: 'Lendo arquivo...' });
+            };
+            const fileContent = this.spreadsheetReader.isSpreadsheetFile(file)
+                ? await this.readSpreadsheet(file, onReadProgress)
+                : await this.readFileWithEncoding(file, onReadProgress);
+            progressCallback({
+                stage: 'encoding',
+                progress: 40,
+                message: `Encoding detectado: ${fileContent.encoding.name} (confiança ${Math.round(fileContent.encoding.confidence * 100)}%)`
+            });
 
-            // Step 3: Detect file type and healthcare data type
+            // Step 3: Detect file type and healthcare data type, then rename source columns to schema fields
             const fileType = this.detectFileType(file, fileContent.content);
-            const healthcareDataType = this.detectHealthcareDataType(file, fileContent.content);
-            const structureValidation = await this.validateFileStructure(fileContent.content, fileType, healthcareDataType);
+            const readContent = this.reviewEncodingRepairs(fileContent, fileType, transformationLog);
+            const classification = options.dataType && options.dataType !== 'auto-detect'
+                ? { dataType: options.dataType, confidence: 1, ambiguous: false, confirmed: true, candidates: [] }
+                : this.classifyContent(file, readContent, fileType);
+            const healthcareDataType = classification.dataType;
+            const headerMapping = this.mapHeaders(readContent, fileType, healthcareDataType, options.headerMapping || {});
+            const mappedContent = headerMapping.content;
+            transformationLog.normalizers = this.ruleRegistry.forDataType(rules.normalizer, healthcareDataType);
+
+            // Date columns: accepted formats and day/month order, decided on the whole file
+            const dates = this.analyzeDates(mappedContent, fileType, healthcareDataType, options);
+            const structureValidation = await this.validateFileStructure(mappedContent, fileType, healthcareDataType, {
+                fullValidation: options.fullValidation,
+                dates,
+                fieldRules: this.ruleRegistry.forDataType(rules.field, healthcareDataType)
+            });
+            structureValidation.warnings = [
+                ...(structureValidation.warnings || []),
+                ...this.describeDates(dates),
+                ...this.ruleRegistry.describeProblems(rules)
+            ];
             if (!structureValidation.isValid) {
                 console.warn('Problemas de estrutura detectados:', structureValidation.warnings);
             }
             progressCallback({ stage: 'structure', progress: 60, message: 'Estrutura validada' });
 
-            // Step 4: Sanitize content
-            const sanitizedContent = await this.sanitizeContent(fileContent.content, fileType);
+            // Step 4: Sanitize content, applying the operator's decisions on suspicious values;
+            // a rejected escape leaves the value as it was, like an "allow" decision
+            const decisions = { ...(options.sanitizationDecisions || {}) };
+            transformationLog.rejectedChanges.forEach(id => {
+                decisions[id] = 'allow';
+            });
+            const sanitizerRules = this.ruleRegistry.forDataType(rules.sanitizer, healthcareDataType);
+            let sanitization = await this.sanitizeContent(mappedContent, fileType, decisions, healthcareDataType, sanitizerRules);
+            if (transformationLog.rejectedRules.has('sanitization')) {
+                sanitization.findings.filter(finding => finding.action === 'escape').forEach(finding => {
+                    decisions[finding.id] = 'allow';
+                });
+                sanitization = await this.sanitizeContent(mappedContent, fileType, decisions, healthcareDataType, sanitizerRules);
+            }
+            this.recordSanitizationChanges(transformationLog, sanitization.findings);
+            transformationLog.rowNumbers = sanitization.rowNumbers;
+            const sanitizedContent = sanitization.content;
             progressCallback({ stage: 'sanitization', progress: 80, message: 'Conteúdo sanitizado' });
 
-            // Step 5: Normalize data format
-            const normalizedData = await this.normalizeDataFormat(sanitizedContent, fileType);
+            // Step 5: Normalize data format, column by column according to the schema
+            const normalizedData = await this.normalizeDataFormat(sanitizedContent, fileType, (fraction) => {
+                progressCallback({ stage: 'normalization', progress: 80 + Math.round(fraction * 20), message: 'Normalizando dados...' });
+            }, healthcareDataType, transformationLog, dates);
+            const transformations = Array.from(transformationLog.columns.values());
             progressCallback({ stage: 'normalization', progress: 100, message: 'Normalização concluída' });
 
             return {
@@ -150,13 +204,28 @@ class FileNormalizer {
                     content: normalizedData,
                     encoding: fileContent.encoding,
                     detectedType: fileType,
-                    size: new Blob([normalizedData]).size
+                    healthcareDataType,
+                    classification,
+                    size: new Blob([normalizedData]).size,
+                    transformations,
+                    // { id, sheet, row, column, rule, before, after, rejected } per changed value, in pipeline order
+                    changes: transformationLog.changes,
+                    changesTruncated: transformationLog.truncated,
+                    // Warnings for the normalizer rules that threw, once per rule
+                    ruleFailures: Array.from(transformationLog.ruleFailures.values()),
+                    dates,
+                    headerMapping: headerMapping.tables,
+                    sanitization: {
+                        findings: sanitization.findings,
+                        summary: this.contentSanitizer.summarize(sanitization.findings),
+                        blockedRecords: sanitization.blockedRecords
+                    }
                 },
                 validation: {
                     basic: basicValidation,
                     structure: structureValidation,
-                    issuesFound: this.getIssuesFound(fileContent.content, sanitizedContent),
-                    corrections: this.getCorrections(fileContent.content, sanitizedContent)
+                    issuesFound: this.getIssuesFound(fileContent.content, sanitization, fileContent.encoding),
+                    corrections: this.getCorrections(fileContent.content, sanitizedContent, transformations, sanitization, headerMapping.tables, transformationLog)
                 },
                 metadata: {
                     processedAt: new Date().toISOString(),
@@ -223,62 +292,62 @@ class FileNormalizer {
     }
 
     /**
-     * Read file with proper encoding detection
+     * Read file bytes, detect the encoding and decode with TextDecoder, in one pass: the detection
+     * looks at every byte before the first one is decoded
      */
-    async readFileWithEncoding(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            
-            reader.onload = async (e) => {
-                try {
-                    let content = e.target.result;
-                    let encoding = 'utf-8';
-
-                    // Try to detect encoding issues
-                    if (this.hasEncodingIssues(content)) {
-                        // Try different encodings
-                        const encodings = ['utf-8', 'iso-8859-1', 'windows-1252'];
-                        for (const enc of encodings) {
-                            try {
-                                const testReader = new FileReader();
-                                const blob = new Blob([file], { type: 'text/plain;charset=' + enc });
-                                const testContent = await this.readAsText(blob, enc);
-                                
-                                if (!this.hasEncodingIssues(testContent)) {
-                                    content = testContent;
-                                    encoding = enc;
-                                    break;
-                                }
-                            } catch (err) {
-                                console.warn(`Encoding ${enc} failed:`, err);
-                            }
-                        }
-                    }
+    async readFileWithEncoding(file, onProgress = null) {
+        const buffer = await this.readAsArrayBuffer(file, onProgress);
+        const { content, encoding, unrepaired } = this.encodingDetector.decode(buffer);
 
-                    resolve({
-                        content: this.fixEncodingIssues(content),
-                        encoding: encoding,
-                        originalSize: file.size
-                    });
-                } catch (error) {
-                    reject(error);
-                }
-            };
+        if (encoding.confidence < 0.7) {
+            console.warn(`Encoding ${encoding.name} detectado com baixa confiança (${encoding.confidence}):`, encoding.details);
+        }
 
-            reader.onerror = () => reject(new Error('Erro ao ler o arquivo'));
-            reader.readAsText(file, 'utf-8');
-        });
+        return {
+            content: this.fixEncodingIssues(content),
+            // Kept so repairs can be listed and undone value by value (see reviewEncodingRepairs)
+            ...(unrepaired !== undefined ? { unrepaired: this.fixEncodingIssues(unrepaired) } : {}),
+            encoding: encoding,
+            originalSize: file.size
+        };
+    }
+
+    /**
+     * Read an Excel workbook into a JSON document: { sheets: [{ name, headerRow, headers, rows }] }
+     * The rest of the pipeline handles it as text of type 'xlsx'.
+     */
+    async readSpreadsheet(file, onProgress = null) {
+        const buffer = await this.readAsArrayBuffer(file, onProgress);
+        const workbook = await this.spreadsheetReader.read(buffer);
+
+        return {
+            content: JSON.stringify(workbook),
+            encoding: {
+                name: 'utf-8',
+                confidence: 1,
+                bom: false,
+                method: 'ooxml',
+                details: [`Planilha OOXML com ${workbook.sheets.length} aba(s)`],
+                repairedMojibake: 0
+            },
+            originalSize: file.size
+        };
     }
 
     /**
-     * Helper function to read file as text with specific encoding
+     * Helper function to read file as raw bytes
      */
-    readAsText(blob, encoding) {
+    readAsArrayBuffer(blob, onProgress = null) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
+            reader.onprogress = (e) => {
+                if (onProgress && e.lengthComputable) {
+                    onProgress(e.loaded / e.total);
+                }
+            };
             reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = () => reject(new Error('Erro na leitura'));
-            reader.readAsText(blob, encoding);
+            reader.onerror = () => reject(new Error('Erro ao ler o arquivo'));
+            reader.readAsArrayBuffer(blob);
         });
     }
 
@@ -298,26 +367,13 @@ class FileNormalizer {
 
     /**
      * Fix common encoding issues
+     * Double-encoded UTF-8 is repaired by EncodingDetector.decode before this runs
      */
     fixEncodingIssues(content) {
         // Remove or replace problematic characters
         content = content.replace(this.commonIssues.invisibleChars, '');
         content = content.replace(/\r\n/g, '\n'); // Normalize line endings
         content = content.replace(/\r/g, '\n');
-        
-        // Fix common UTF-8 encoding issues
-        const encodingFixes = {
-            'Ã¡': 'á', 'Ã ': 'à', 'Ã£': 'ã', 'Ã¢': 'â',
-            'Ã©': 'é', 'Ã¨': 'è', 'Ãª': 'ê',
-            'Ã­': 'í', 'Ã¬': 'ì', 'Ã®': 'î',
-            'Ã³': 'ó', 'Ã²': 'ò', 'Ãµ': 'õ', 'Ã´': 'ô',
-            'Ãº': 'ú', 'Ã¹': 'ù', 'Ã»': 'û',
-            'Ã§': 'ç', 'Ã±': 'ñ'
-        };
-
-        for (const [wrong, correct] of Object.entries(encodingFixes)) {
-            content = content.replace(new RegExp(wrong, 'g'), correct);
-        }
 
         return content;
     }
@@ -328,6 +384,15 @@ class FileNormalizer {
     detectFileType(file, content) {
         const extension = file.name.toLowerCase().substring(file.name.lastIndexOf('.') + 1);
         const fileName = file.name.toLowerCase();
+
+        if (this.spreadsheetReader.isSpreadsheetFile(file)) {
+            return 'xlsx';
+        }
+
+        // HL7 v2 messages always start with the MSH segment, whatever the extension
+        if (extension === 'hl7' || content.trimStart().startsWith('MSH')) {
+            return 'hl7';
+        }
         
         // Check by extension first
         if (['csv', 'txt'].includes(extension)) {
@@ -342,18 +407,14 @@ class FileNormalizer {
         }
 
         if (extension === 'json' || (content.trim().startsWith('{') || content.trim().startsWith('['))) {
-            return 'json';
+            // FHIR resources are JSON documents with a top-level resourceType
+            return this.fhirParser.isFHIRContent(content) ? 'fhir' : 'json';
         }
 
-        if (extension === 'hl7' || content.includes('MSH|')) {
+        if (content.includes('MSH|')) {
             return 'hl7';
         }
 
-        // Check for FHIR (JSON-based)
-        if (content.includes('"resourceType"') || content.includes('fhir')) {
-            return 'fhir';
-        }
-
         // Default fallback
         if (content.includes(',') || content.includes(';')) {
             return 'csv';
@@ -363,63 +424,124 @@ class FileNormalizer {
     }
 
     /**
-     * Detect healthcare data type based on file name and structure
+     * Rank the healthcare data types for the file's content: the header row and sample rows of a CSV file,
+     * the records of a JSON array or the largest sheet of a workbook. Other formats carry their type in
+     * their structure (XML record paths, FHIR resource types, HL7 messages) and are classified by validation.
+     * @returns {Object} DataTypeClassifier result: { dataType, confidence, ambiguous, candidates }
      */
-    detectHealthcareDataType(file, content) {
-        const fileName = file.name.toLowerCase();
-        
-        // Check filename patterns
-        if (fileName.includes('medico') || fileName.includes('doctor')) {
-            return 'medicos';
-        }
-        if (fileName.includes('hospital') || fileName.includes('clinic')) {
-            return 'hospitais';
-        }
-        if (fileName.includes('municipio') || fileName.includes('cidade')) {
-            return 'municipios';
-        }
-        if (fileName.includes('estado') || fileName.includes('uf')) {
-            return 'estados';
-        }
-        if (fileName.includes('paciente') || fileName.includes('patient')) {
-            return 'pacientes';
-        }
-        
-        // Check content structure for CSV files
-        if (content.includes(',')) {
-            const firstLine = content.split('\n')[0].toLowerCase();
-            
-            if (firstLine.includes('codigo') && firstLine.includes('nome_completo') && firstLine.includes('especialidade')) {
-                return 'medicos';
-            }
-            if (firstLine.includes('codigo') && firstLine.includes('nome') && firstLine.includes('leitos_totais')) {
-                return 'hospitais';
+    classifyContent(file, content, fileType) {
+        switch (fileType) {
+            case 'csv': {
+                // Only the beginning of the file is parsed; a row cut by the slice is dropped
+                const sample = content.substring(0, this.classificationSampleLength);
+                const [headers = [], ...rows] = CSVParser.parse(sample, { delimiter: this.detectCSVDelimiter(content) });
+                if (sample.length < content.length) {
+                    rows.pop();
+                }
+                return this.classifier.classify(headers, rows, file.name);
             }
-            if (firstLine.includes('codigo_ibge') && firstLine.includes('latitude') && firstLine.includes('longitude')) {
-                return 'municipios';
+
+            case 'json':
+                try {
+                    const parsed = JSON.parse(content);
+                    return this.classifier.classifyRecords(Array.isArray(parsed) ? parsed : [parsed], file.name);
+                } catch (error) {
+                    return this.classifier.classify([], [], file.name);
+                }
+
+            case 'xlsx':
+                try {
+                    const sheets = JSON.parse(content).sheets;
+                    const largest = sheets.reduce((best, sheet) => (!best || sheet.rows.length > best.rows.length ? sheet : best), null);
+                    return largest
+                        ? this.classifier.classify(largest.headers, largest.rows, file.name)
+                        : this.classifier.classify([], [], file.name);
+                } catch (error) {
+                    return this.classifier.classify([], [], file.name);
+                }
+
+            default:
+                return this.classifier.classify([], [], file.name);
+        }
+    }
+
+    /**
+     * Data type of a workbook sheet, from its own headers and rows
+     */
+    detectSheetDataType(sheet) {
+        return this.classifier.classify(sheet.headers, sheet.rows).dataType;
+    }
+
+    /**
+     * Rename the header row of tabular content (CSV, workbook sheets) to schema field names.
+     * Columns without a confident match keep their name and are reported for the mapping dialog.
+     * @param {Object} assignments - { [sheetName, or '' for CSV]: { [sourceHeader]: field|'' } }
+     * @returns {{content: string, tables: Array<Object>}} HeaderMapper.match results, with the sheet name for workbooks
+     */
+    mapHeaders(content, fileType, healthcareDataType = 'unknown', assignments = {}) {
+        if (fileType === 'csv') {
+            const delimiter = this.detectCSVDelimiter(content);
+            const headerEnd = this.findCSVHeaderEnd(content);
+            const [headers] = CSVParser.parse(content.substring(0, headerEnd), { delimiter });
+            if (!headers) {
+                return { content, tables: [] };
             }
-            if (firstLine.includes('codigo_uf') && firstLine.includes('uf') && firstLine.includes('regiao')) {
-                return 'estados';
+
+            const result = this.headerMapper.match(healthcareDataType, headers, assignments[''] || {});
+            const renamed = this.headerMapper.renameHeaders(result);
+            const changed = renamed.some((name, index) => name !== headers[index]);
+            return {
+                content: changed ? CSVParser.stringifyRow(renamed, delimiter) + content.substring(headerEnd) : content,
+                tables: [result]
+            };
+        }
+
+        if (fileType === 'xlsx') {
+            try {
+                const workbook = JSON.parse(content);
+                const tables = workbook.sheets.map(sheet => {
+                    const sheetDataType = this.detectSheetDataType(sheet);
+                    const result = this.headerMapper.match(sheetDataType !== 'unknown' ? sheetDataType : healthcareDataType,
+                        sheet.headers, assignments[sheet.name] || {});
+                    sheet.headers = this.headerMapper.renameHeaders(result);
+                    return { sheet: sheet.name, ...result };
+                });
+                return { content: JSON.stringify(workbook), tables };
+            } catch (error) {
+                return { content, tables: [] };
             }
-            if (firstLine.includes('cpf') || firstLine.includes('paciente')) {
-                return 'pacientes';
+        }
+
+        return { content, tables: [] };
+    }
+
+    /**
+     * Offset of the line break ending the CSV header record (quoted line breaks do not count)
+     */
+    findCSVHeaderEnd(content) {
+        let quoted = false;
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (char === '"') {
+                quoted = !quoted;
+            } else if (!quoted && (char === '\n' || char === '\r')) {
+                return i;
             }
         }
-        
-        return 'unknown';
+        return content.length;
     }
 
     /**
      * Validate file structure based on type and healthcare data type
      */
-    async validateFileStructure(content, fileType, healthcareDataType = 'unknown') {
+    async validateFileStructure(content, fileType, healthcareDataType = 'unknown', options = {}) {
         const warnings = [];
         let isValid = true;
 
         try {
             switch (fileType) {
                 case 'csv':
-                    const csvValidation = this.validateCSVStructure(content, healthcareDataType);
+                    const csvValidation = this.validateCSVStructure(content, healthcareDataType, options);
                     return csvValidation;
 
                 case 'xml':
@@ -427,14 +549,21 @@ class FileNormalizer {
                     return xmlValidation;
 
                 case 'json':
-                case 'fhir':
                     const jsonValidation = this.validateJSONStructure(content);
                     return jsonValidation;
 
+                case 'fhir':
+                    const fhirValidation = this.validateFHIRStructure(content);
+                    return fhirValidation;
+
                 case 'hl7':
                     const hl7Validation = this.validateHL7Structure(content);
                     return hl7Validation;
 
+                case 'xlsx':
+                    const spreadsheetValidation = this.validateSpreadsheetStructure(content);
+                    return spreadsheetValidation;
+
                 default:
                     warnings.push('Tipo de arquivo não reconhecido, validação limitada');
                     return { isValid: true, warnings, healthcareDataType };
@@ -450,72 +579,106 @@ class FileNormalizer {
     }
 
     /**
-     * Validate CSV structure with healthcare data validation
+     * Validate CSV structure with healthcare data validation.
+     * By default only the first rows are checked (types in the first 10, column counts in the first 100);
+     * with options.fullValidation every row is checked and the errors are returned as structured objects
+     * in rowValidation (see ValidationErrorCollector).
      */
-    validateCSVStructure(content, healthcareDataType = 'unknown') {
-        const lines = content.split('\n').filter(line => line.trim() !== '');
+    validateCSVStructure(content, healthcareDataType = 'unknown', options = {}) {
+        const delimiter = this.detectCSVDelimiter(content);
+        const parser = new CSVParser({ delimiter });
         const warnings = [];
         const errors = [];
+        const collector = options.fullValidation ? new ValidationErrorCollector() : null;
+        const schema = this.schemaRegistry.get(healthcareDataType);
 
-        if (lines.length === 0) {
-            errors.push('Arquivo CSV vazio');
-            return { isValid: false, errors, warnings, healthcareDataType };
-        }
+        let headers = null;
+        let dateReadings = [];
+        let dataRows = 0;
+        const inconsistentLines = [];
+        let inconsistentCount = 0;
 
-        // Check header line
-        const headerLine = lines[0];
-        const delimiter = this.detectCSVDelimiter(headerLine);
-        const headers = headerLine.split(delimiter).map(h => h.trim().toLowerCase());
+        const validateRow = (row) => {
+            if (headers === null) {
+                // Check header line
+                headers = row.map(h => h.trim().toLowerCase());
 
-        if (headers.length < 2) {
-            warnings.push('CSV parece ter apenas uma coluna');
-        }
+                if (headers.length < 2) {
+                    warnings.push('CSV parece ter apenas uma coluna');
+                }
 
-        // Validate healthcare-specific schema
-        if (healthcareDataType !== 'unknown' && this.healthcareSchemas[healthcareDataType]) {
-            const schema = this.healthcareSchemas[healthcareDataType];
-            const missingRequiredFields = [];
-            
-            // Check required fields
-            schema.requiredFields.forEach(field => {
-                if (!headers.includes(field.toLowerCase())) {
-                    missingRequiredFields.push(field);
+                // Validate healthcare-specific schema
+                if (schema) {
+                    // Column aliases count as their schema field
+                    headers = headers.map(header => this.schemaRegistry.resolveField(healthcareDataType, header) || header);
+                    const missingRequiredFields = this.schemaRegistry.missingRequired(healthcareDataType, headers);
+                    if (missingRequiredFields.length > 0) {
+                        errors.push(`Campos obrigatórios ausentes para ${healthcareDataType}: ${missingRequiredFields.join(', ')}`);
+                    }
                 }
-            });
+                dateReadings = this.getColumnDateReadings(headers, healthcareDataType, options.dates || []);
+                return;
+            }
+
+            dataRows++;
 
-            if (missingRequiredFields.length > 0) {
-                errors.push(`Campos obrigatórios ausentes para ${healthcareDataType}: ${missingRequiredFields.join(', ')}`);
+            // Validate data types (sample rows unless every row is requested)
+            if (schema && (collector || dataRows <= this.structureSampleRows)) {
+                const issues = this.collectRowIssues(row, headers, schema, dataRows, dateReadings, options.fieldRules);
+                if (collector) {
+                    issues.forEach(issue => collector.add(issue));
+                } else {
+                    issues.forEach(issue => (issue.severity === 'error' ? errors : warnings).push(issue.message));
+                }
             }
 
-            // Validate data types in sample rows
-            if (lines.length > 1) {
-                const sampleSize = Math.min(10, lines.length - 1);
-                for (let i = 1; i <= sampleSize; i++) {
-                    const row = lines[i].split(delimiter);
-                    const dataValidation = this.validateRowData(row, headers, schema, i);
-                    if (dataValidation.errors.length > 0) {
-                        errors.push(...dataValidation.errors);
-                    }
-                    if (dataValidation.warnings.length > 0) {
-                        warnings.push(...dataValidation.warnings);
-                    }
+            // Check for inconsistent column counts
+            if ((collector || dataRows < this.structureColumnCheckRows) && row.length !== headers.length) {
+                inconsistentCount++;
+                if (inconsistentLines.length < 10) {
+                    inconsistentLines.push(dataRows);
+                }
+                if (collector) {
+                    collector.add({
+                        row: dataRows,
+                        value: row.length,
+                        rule: 'column_count',
+                        severity: 'warning',
+                        message: `Linha ${dataRows}: ${row.length} coluna(s), esperado ${headers.length}`
+                    });
                 }
             }
+        };
+
+        // Tokenize in slices so every row can be checked without holding the parsed file
+        for (let offset = 0; offset < content.length; offset += this.chunkSize) {
+            parser.push(content.slice(offset, offset + this.chunkSize)).forEach(validateRow);
         }
+        parser.end().forEach(validateRow);
 
-        // Check for inconsistent column counts
-        let expectedColumns = headers.length;
-        const inconsistentLines = [];
+        if (headers === null) {
+            errors.push('Arquivo CSV vazio');
+            return { isValid: false, errors, warnings, healthcareDataType };
+        }
 
-        for (let i = 1; i < Math.min(lines.length, 100); i++) { // Check first 100 lines
-            const columns = lines[i].split(delimiter);
-            if (columns.length !== expectedColumns) {
-                inconsistentLines.push(i + 1);
-            }
+        if (parser.unclosedQuoteLine !== null) {
+            errors.push(`Aspas não fechadas: o campo aberto na linha ${parser.unclosedQuoteLine} do arquivo segue até o fim, juntando as linhas seguintes`);
+        }
+
+        if (inconsistentCount > 0) {
+            warnings.push(`Linhas de dados com número inconsistente de colunas: ${inconsistentLines.join(', ')}${inconsistentCount > 10 ? '...' : ''}`);
         }
 
-        if (inconsistentLines.length > 0) {
-            warnings.push(`Linhas com número inconsistente de colunas: ${inconsistentLines.slice(0, 10).join(', ')}${inconsistentLines.length > 10 ? '...' : ''}`);
+        let rowValidation = null;
+        if (collector) {
+            rowValidation = collector.toJSON();
+            // One line per column and rule; the full list stays in rowValidation
+            rowValidation.groups
+                .filter(group => group.rule !== 'column_count')
+                .forEach(group => {
+                    const message = `${group.count} ocorrência(s) de '${group.rule}' na coluna '${group.column}' (linhas ${group.firstRow} a ${group.lastRow})`;
+                    (group.severity === 'error' ? errors : warnings).push(message);
+                });
         }
 
         return {
@@ -523,11 +686,13 @@ class FileNormalizer {
             errors,
             warnings,
             healthcareDataType,
+            ...(rowValidation ? { rowValidation } : {}),
             metadata: {
-                totalLines: lines.length,
+                totalLines: dataRows + 1,
                 headers: headers,
                 delimiter: delimiter,
-                estimatedColumns: expectedColumns
+                estimatedColumns: headers.length,
+                fullValidation: Boolean(collector)
             }
         };
     }
@@ -539,34 +704,90 @@ class FileNormalizer {
         const errors = [];
         const warnings = [];
 
+        this.collectRowIssues(row, headers, schema, lineNumber).forEach(issue => {
+            (issue.severity === 'error' ? errors : warnings).push(issue.message);
+        });
+
+        return { errors, warnings };
+    }
+
+    /**
+     * Type and required-field violations of a row
+     * @param {Array<Object|null>} dateReadings - Date reading per column (see getColumnDateReadings)
+     * @param {Array<Object>} fieldRules - Field rules of the rule packs active for the file
+     * @returns {Array<Object>} { row, column, value, rule, severity, message } where rule is the column's
+     *          declared type, 'required' or the id of a field rule
+     */
+    collectRowIssues(row, headers, schema, lineNumber, dateReadings = [], fieldRules = []) {
+        const issues = [];
+
         headers.forEach((header, index) => {
             const value = row[index] ? row[index].trim() : '';
             const dataType = schema.dataTypes ? schema.dataTypes[header] : null;
 
             if (dataType && value) {
-                const validation = this.validateDataType(value, dataType, header, lineNumber);
+                const validation = this.validateDataType(value, dataType, header, lineNumber, dateReadings[index]);
                 if (!validation.isValid) {
-                    if (validation.severity === 'error') {
-                        errors.push(validation.message);
-                    } else {
-                        warnings.push(validation.message);
-                    }
+                    issues.push({
+                        row: lineNumber,
+                        column: header,
+                        value,
+                        rule: dataType,
+                        severity: validation.severity,
+                        message: validation.message
+                    });
                 }
             }
 
+            if (value) {
+                this.ruleRegistry.forField(fieldRules, header, dataType).forEach(rule => {
+                    this.ruleRegistry.run(rule, value, { field: header, fieldType: dataType, dataType: schema.name, row: lineNumber })
+                        .forEach(({ severity, message }) => issues.push({
+                            row: lineNumber,
+                            column: header,
+                            value,
+                            rule: rule.id,
+                            severity,
+                            message: `Linha ${lineNumber}: ${message}`
+                        }));
+                });
+            }
+
             // Check for missing required fields
             if (schema.requiredFields.includes(header) && !value) {
-                errors.push(`Linha ${lineNumber}: Campo obrigatório '${header}' está vazio`);
+                issues.push({
+                    row: lineNumber,
+                    column: header,
+                    value,
+                    rule: 'required',
+                    severity: 'error',
+                    message: `Linha ${lineNumber}: Campo obrigatório '${header}' está vazio`
+                });
             }
         });
 
-        return { errors, warnings };
+        // Alternative keys present as columns but all empty in this row
+        const keyColumns = (schema.keys || []).filter(key => headers.includes(key));
+        if (keyColumns.length > 0 && keyColumns.every(key => !(row[headers.indexOf(key)] || '').trim())) {
+            const keys = schema.keys.join(' ou ');
+            issues.push({
+                row: lineNumber,
+                column: keys,
+                value: '',
+                rule: 'required',
+                severity: 'error',
+                message: `Linha ${lineNumber}: Campo obrigatório '${keys}' está vazio`
+            });
+        }
+
+        return issues;
     }
 
     /**
      * Validate data type of individual field
+     * @param {Object|null} dateReading - { formats, order } of a date column
      */
-    validateDataType(value, dataType, fieldName, lineNumber) {
+    validateDataType(value, dataType, fieldName, lineNumber, dateReading = null) {
         switch (dataType) {
             case 'uuid':
                 const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
@@ -580,12 +801,16 @@ class FileNormalizer {
                 break;
 
             case 'cpf':
-                const cpfPattern = /^\d{3}\.\d{3}\.\d{3}-\d{2}$|^\d{11}$/;
-                if (!cpfPattern.test(value.replace(/\D/g, ''))) {
+            case 'cnpj':
+            case 'cnes':
+                const documentValidation = this.documentValidator.validate(value, dataType);
+                if (!documentValidation.isValid) {
+                    const { error } = documentValidation;
                     return {
                         isValid: false,
-                        severity: 'warning',
-                        message: `Linha ${lineNumber}: CPF em formato inválido: ${value}`
+                        severity: 'error',
+                        message: `Linha ${lineNumber}: ${fieldName} ${value} inválido: ${error.message}` +
+                            (error.suggestion ? ` (com a base informada, o correto seria ${error.suggestion})` : '')
                     };
                 }
                 break;
@@ -602,12 +827,12 @@ class FileNormalizer {
                 break;
 
             case 'phone':
-                const phoneDigits = value.replace(/\D/g, '');
-                if (phoneDigits.length < 10 || phoneDigits.length > 11) {
+                const phoneValidation = this.phoneNormalizer.validate(value);
+                if (!phoneValidation.isValid) {
                     return {
                         isValid: false,
                         severity: 'warning',
-                        message: `Linha ${lineNumber}: Telefone em formato inválido: ${value}`
+                        message: `Linha ${lineNumber}: ${phoneValidation.error.message}`
                     };
                 }
                 break;
@@ -643,16 +868,44 @@ class FileNormalizer {
                 break;
 
             case 'date':
-                const datePatterns = [
-                    /^\d{4}-\d{2}-\d{2}$/, // YYYY-MM-DD
-                    /^\d{2}\/\d{2}\/\d{4}$/, // DD/MM/YYYY
-                    /^\d{2}-\d{2}-\d{4}$/ // DD-MM-YYYY
-                ];
-                if (!datePatterns.some(pattern => pattern.test(value))) {
+                // Dates that do not exist are errors; unrecognized and ambiguous ones are reported as warnings
+                const dateValidation = this.dateParser.parse(value, dateReading || {});
+                if (dateValidation.error) {
+                    return {
+                        isValid: false,
+                        severity: dateValidation.error.code === 'calendar' ? 'error' : 'warning',
+                        message: `Linha ${lineNumber}: ${dateValidation.error.message} em ${fieldName}`
+                    };
+                }
+                break;
+
+            case 'cid10':
+                // Checked in the form normalization produces (b151 -> B15.1)
+                if (!this.cid10Catalog.isValidFormat(this.cid10Catalog.normalize(value))) {
+                    return {
+                        isValid: false,
+                        severity: 'error',
+                        message: `Linha ${lineNumber}: Código CID-10 inválido: ${value}`
+                    };
+                }
+                break;
+
+            case 'cep':
+                if (!this.addressNormalizer.cepPattern.test(this.addressNormalizer.normalizeCEP(value))) {
                     return {
                         isValid: false,
                         severity: 'warning',
-                        message: `Linha ${lineNumber}: Data em formato inválido: ${value}`
+                        message: `Linha ${lineNumber}: CEP inválido: ${value}`
+                    };
+                }
+                break;
+
+            case 'crm':
+                if (!this.crmValidator.parse(value)) {
+                    return {
+                        isValid: false,
+                        severity: 'error',
+                        message: `Linha ${lineNumber}: CRM inválido: ${value}`
                     };
                 }
                 break;
@@ -690,35 +943,43 @@ class FileNormalizer {
         const errors = [];
 
         try {
-            // Basic XML validation
             if (!content.trim().startsWith('<?xml') && !content.trim().startsWith('<')) {
                 errors.push('Conteúdo não parece ser XML válido');
             }
 
-            // Check for balanced tags (simplified)
-            const openTags = (content.match(/<[^\/][^>]*>/g) || []).length;
-            const closeTags = (content.match(/<\/[^>]*>/g) || []).length;
-            const selfClosingTags = (content.match(/<[^>]*\/>/g) || []).length;
-
-            if (openTags !== closeTags + selfClosingTags) {
-                warnings.push('Tags XML podem não estar balanceadas');
-            }
-
             // Check for invalid XML characters
             const invalidChars = content.match(this.commonIssues.invalidXmlChars);
             if (invalidChars) {
                 warnings.push('Caracteres inválidos para XML detectados');
             }
 
+            const metadata = {
+                hasXmlDeclaration: content.trim().startsWith('<?xml')
+            };
+
+            if (errors.length === 0 && !this.xmlParser.isSupported()) {
+                warnings.push('DOMParser indisponível: estrutura XML não verificada');
+            } else if (errors.length === 0) {
+                const { records, recordPath, dataType, error } = this.xmlParser.toRecords(content);
+                if (error) {
+                    errors.push(this.xmlParser.formatError(error));
+                    metadata.errorLine = error.line;
+                    metadata.errorColumn = error.column;
+                } else {
+                    if (records.length === 0) {
+                        warnings.push('Nenhum registro encontrado no XML');
+                    }
+                    metadata.recordPath = recordPath;
+                    metadata.dataType = dataType;
+                    metadata.totalRecords = records.length;
+                }
+            }
+
             return {
                 isValid: errors.length === 0,
                 errors,
                 warnings,
-                metadata: {
-                    hasXmlDeclaration: content.trim().startsWith('<?xml'),
-                    estimatedTags: openTags,
-                    selfClosingTags: selfClosingTags
-                }
+                metadata
             };
 
         } catch (error) {
@@ -778,149 +1039,524 @@ class FileNormalizer {
     }
 
     /**
-     * Validate HL7 structure
+     * Validate FHIR R4 structure: JSON syntax plus resource-level required elements
      */
-    validateHL7Structure(content) {
-        const warnings = [];
-        const errors = [];
-        const lines = content.split('\n').filter(line => line.trim() !== '');
-
-        if (lines.length === 0) {
-            errors.push('Arquivo HL7 vazio');
-            return { isValid: false, errors, warnings };
+    validateFHIRStructure(content) {
+        const jsonValidation = this.validateJSONStructure(content);
+        if (!jsonValidation.isValid) {
+            return jsonValidation;
         }
 
-        // Check for MSH segment (required)
-        const hasMSH = lines.some(line => line.startsWith('MSH|'));
-        if (!hasMSH) {
-            errors.push('Segmento MSH (Message Header) obrigatório não encontrado');
-        }
-
-        // Check segment structure
-        const invalidSegments = [];
-        lines.forEach((line, index) => {
-            if (line.length > 0 && !line.match(/^[A-Z]{2,3}\|/)) {
-                invalidSegments.push(index + 1);
-            }
-        });
+        const parsed = JSON.parse(jsonValidation.fixedContent || content);
+        const resources = this.fhirParser.extractResources(parsed);
+        const { errors, warnings, counts } = this.fhirParser.validateResources(resources);
 
-        if (invalidSegments.length > 0) {
-            warnings.push(`Linhas com formato de segmento inválido: ${invalidSegments.slice(0, 5).join(', ')}`);
+        if (resources.length === 0) {
+            warnings.push('Nenhum recurso FHIR encontrado');
         }
 
         return {
             isValid: errors.length === 0,
             errors,
-            warnings,
+            warnings: jsonValidation.warnings.concat(warnings),
             metadata: {
-                totalSegments: lines.length,
-                hasRequiredMSH: hasMSH,
-                segmentTypes: [...new Set(lines.map(line => line.substring(0, 3)))]
+                isBundle: !Array.isArray(parsed) && parsed.resourceType === 'Bundle',
+                bundleType: parsed.type || null,
+                totalResources: resources.length,
+                resourceCounts: counts
             }
         };
     }
 
     /**
-     * Sanitize content to prevent security issues
+     * Validate a workbook read by readSpreadsheet: at least one sheet with headers and rows
      */
-    async sanitizeContent(content, fileType) {
-        // Remove potential SQL injection patterns
-        content = content.replace(this.commonIssues.sqlInjection, '[FILTERED]');
-        
-        // Remove potential XSS patterns
-        content = content.replace(this.commonIssues.xssPatterns, '[FILTERED]');
-        
-        // Remove invisible/zero-width characters
-        content = content.replace(this.commonIssues.invisibleChars, '');
-        
-        // Type-specific sanitization
-        switch (fileType) {
-            case 'xml':
-                // Remove invalid XML characters
-                content = content.replace(this.commonIssues.invalidXmlChars, '');
-                break;
-                
-            case 'csv':
-                // Escape potentially dangerous CSV content
-                content = this.sanitizeCSVContent(content);
-                break;
-                
-            case 'json':
-            case 'fhir':
-                // Validate and sanitize JSON
-                content = this.sanitizeJSONContent(content);
-                break;
-        }
+    validateSpreadsheetStructure(content) {
+        const warnings = [];
+        const errors = [];
 
-        return content;
-    }
+        try {
+            const { sheets } = JSON.parse(content);
+            const sheetSummaries = sheets.map(sheet => {
+                if (sheet.headers.length === 0) {
+                    warnings.push(`Aba "${sheet.name}" está vazia`);
+                } else if (sheet.rows.length === 0) {
+                    warnings.push(`Aba "${sheet.name}" não possui linhas de dados`);
+                } else if (sheet.headerRow > 1) {
+                    warnings.push(`Aba "${sheet.name}": cabeçalho encontrado na linha ${sheet.headerRow}`);
+                }
 
-    /**
-     * Sanitize CSV content
-     */
-    sanitizeCSVContent(content) {
-        const lines = content.split('\n');
-        const sanitizedLines = lines.map(line => {
-            // Remove cells that start with =, +, -, @ (potential formula injection)
-            return line.replace(/^[=+\-@]/, "'$&");
-        });
-        
-        return sanitizedLines.join('\n');
-    }
+                const emptyHeaders = sheet.headers.filter(header => header === '').length;
+                if (emptyHeaders > 0) {
+                    warnings.push(`Aba "${sheet.name}": ${emptyHeaders} coluna(s) sem cabeçalho serão ignoradas`);
+                }
+
+                return {
+                    name: sheet.name,
+                    headerRow: sheet.headerRow,
+                    columns: sheet.headers.length,
+                    rows: sheet.rows.length
+                };
+            });
+
+            if (!sheetSummaries.some(sheet => sheet.rows > 0)) {
+                errors.push('Nenhuma aba da planilha contém dados');
+            }
+
+            return {
+                isValid: errors.length === 0,
+                errors,
+                warnings,
+                metadata: {
+                    totalSheets: sheets.length,
+                    sheets: sheetSummaries
+                }
+            };
 
-    /**
-     * Sanitize JSON content
-     */
-    sanitizeJSONContent(content) {
-        try {
-            const parsed = JSON.parse(content);
-            const sanitized = this.sanitizeJSONObject(parsed);
-            return JSON.stringify(sanitized, null, 2);
         } catch (error) {
-            // If parsing fails, return sanitized string
-            return content.replace(this.commonIssues.xssPatterns, '[FILTERED]');
+            return {
+                isValid: false,
+                errors: ['Erro na validação da planilha: ' + error.message],
+                warnings
+            };
         }
     }
 
     /**
-     * Recursively sanitize JSON object
+     * Validate HL7 structure
      */
-    sanitizeJSONObject(obj) {
+    validateHL7Structure(content) {
+        const { messages, errors, warnings } = this.hl7Parser.parse(content);
+
+        if (messages.length === 0 && errors.length === 0) {
+            errors.push('Arquivo HL7 vazio');
+        }
+
+        const segmentTypes = new Set();
+        const messageTypes = new Set();
+        let totalSegments = 0;
+
+        messages.forEach((message, index) => {
+            totalSegments += message.segments.length;
+            message.segments.forEach(segment => segmentTypes.add(segment.name));
+            messageTypes.add(message.type);
+
+            if (!message.type) {
+                warnings.push(`Mensagem ${index + 1}: MSH-9 (tipo de mensagem) não informado`);
+            }
+            if (message.type.startsWith('ADT') && !message.segments.some(segment => segment.name === 'PID')) {
+                warnings.push(`Mensagem ${index + 1} (${message.type}): segmento PID ausente`);
+            }
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            warnings,
+            metadata: {
+                totalMessages: messages.length,
+                totalSegments: totalSegments,
+                hasRequiredMSH: messages.length > 0,
+                segmentTypes: [...segmentTypes],
+                messageTypes: [...messageTypes].filter(Boolean),
+                versions: [...new Set(messages.map(message => message.version).filter(Boolean))]
+            }
+        };
+    }
+
+    /**
+     * Sanitize content cell by cell according to its parsed structure.
+     * Suspicious values are reported with their row, column and reason, then escaped, kept or
+     * dropped together with their record following the operator's decisions.
+     * @param {string} content - File content
+     * @param {string} fileType - Detected file type
+     * @param {Object} decisions - { [findingId]: 'escape'|'block'|'allow' }; findings without a decision are escaped
+     * @param {string} healthcareDataType - Schema whose column types tell numbers apart from formulas
+     * @param {Array<Object>} rules - Sanitizer rules active for the file (the built-in ones by default)
+     * @returns {Promise<{content: string, findings: Array<Object>, blockedRecords: number, removedCharacters: number,
+     *          rowNumbers: Map}>} rowNumbers: sheet name ('' without sheets) -> row number in the file of each
+     *          record kept, for the CSV rows, spreadsheet rows and JSON array items
+     */
+    async sanitizeContent(content, fileType, decisions = {}, healthcareDataType = 'unknown', rules = this.contentSanitizer.rules) {
+        const sanitization = { content, findings: [], blockedRecords: 0, removedCharacters: 0, rowNumbers: new Map(), rules };
+
+        // Remove invisible/zero-width characters
+        let cleaned = content.replace(this.commonIssues.invisibleChars, '');
+        if (fileType === 'xml') {
+            // Remove invalid XML characters
+            cleaned = cleaned.replace(this.commonIssues.invalidXmlChars, '');
+        }
+        sanitization.removedCharacters = content.length - cleaned.length;
+
+        // Type-specific sanitization of each value
+        switch (fileType) {
+            case 'csv':
+                sanitization.content = this.sanitizeCSVContent(cleaned, decisions, sanitization, healthcareDataType);
+                break;
+
+            case 'json':
+            case 'fhir':
+                sanitization.content = this.sanitizeJSONContent(cleaned, fileType, decisions, sanitization);
+                break;
+
+            case 'xlsx':
+                sanitization.content = this.sanitizeSpreadsheetContent(cleaned, decisions, sanitization, healthcareDataType);
+                break;
+
+            case 'xml':
+                sanitization.content = this.sanitizeXMLContent(cleaned, decisions, sanitization);
+                break;
+
+            case 'hl7':
+                sanitization.content = this.sanitizeHL7Content(cleaned, decisions, sanitization);
+                break;
+
+            default:
+                sanitization.content = cleaned;
+        }
+
+        return sanitization;
+    }
+
+    /**
+     * Sanitize the values of a row; returns null when the operator blocked the row
+     * @param {Array<string>} values - Cell values
+     * @param {Array<string>} headers - Column names
+     * @param {Object} location - { fileType, row, sheet }
+     * @param {Array<string|null>} columnTypes - Declared type per column (see getColumnTypes)
+     */
+    sanitizeRowValues(values, headers, location, decisions, sanitization, columnTypes = []) {
+        const rowFindings = [];
+        const sanitized = values.map((value, index) => {
+            const column = headers[index] || `coluna ${index + 1}`;
+            const result = this.contentSanitizer.sanitizeValue(value, { ...location, column, dataType: columnTypes[index] }, decisions);
+            if (result.finding) {
+                rowFindings.push(result.finding);
+            }
+            return result.value;
+        });
+
+        sanitization.findings.push(...rowFindings);
+        if (this.contentSanitizer.isBlocked(rowFindings)) {
+            sanitization.blockedRecords++;
+            return null;
+        }
+        return sanitized;
+    }
+
+    /**
+     * Sanitize CSV content; the header row is kept as is and rows are numbered from the first data row
+     */
+    sanitizeCSVContent(content, decisions = {}, sanitization, healthcareDataType = 'unknown') {
+        const delimiter = this.detectCSVDelimiter(content);
+        const [headers, ...rows] = CSVParser.parse(content, { delimiter });
+        if (!headers) {
+            return content;
+        }
+
+        const columnNames = headers.map(header => header.trim());
+        const columnTypes = this.getColumnTypes(columnNames, healthcareDataType);
+        const findingsBefore = sanitization.findings.length;
+        const rowNumbers = [];
+        const sanitizedRows = rows.reduce((kept, values, index) => {
+            const sanitized = this.sanitizeRowValues(values, columnNames, {
+                fileType: 'csv',
+                row: index + 1,
+                rules: sanitization.rules
+            }, decisions, sanitization, columnTypes);
+            if (sanitized) {
+                kept.push(sanitized);
+                rowNumbers.push(index + 1);
+            }
+            return kept;
+        }, []);
+        sanitization.rowNumbers.set('', rowNumbers);
+
+        // Untouched files keep their original layout
+        const changed = sanitization.findings.slice(findingsBefore).some(finding => finding.action !== 'allow');
+        if (!changed) {
+            return content;
+        }
+
+        return [headers, ...sanitizedRows].map(values => CSVParser.stringifyRow(values, delimiter)).join('\n');
+    }
+
+    /**
+     * Sanitize JSON content. Records are the top-level array items or the entries of a FHIR Bundle,
+     * and columns are the property paths inside each record.
+     */
+    sanitizeJSONContent(content, fileType = 'json', decisions = {}, sanitization) {
+        let parsed;
+        try {
+            parsed = JSON.parse(content);
+        } catch (error) {
+            // Structure validation reports unparseable JSON
+            return content;
+        }
+
+        const sanitizeRecord = (record, row) => {
+            const rowFindings = [];
+            const sanitized = this.sanitizeJSONObject(record, '', { fileType, row, rules: sanitization.rules }, decisions, rowFindings);
+            sanitization.findings.push(...rowFindings);
+            if (this.contentSanitizer.isBlocked(rowFindings)) {
+                sanitization.blockedRecords++;
+                return null;
+            }
+            return sanitized;
+        };
+
+        let sanitized;
+        if (Array.isArray(parsed)) {
+            const rowNumbers = [];
+            sanitized = parsed.reduce((kept, record, index) => {
+                const sanitizedRecord = sanitizeRecord(record, index + 1);
+                if (sanitizedRecord !== null) {
+                    kept.push(sanitizedRecord);
+                    rowNumbers.push(index + 1);
+                }
+                return kept;
+            }, []);
+            sanitization.rowNumbers.set('', rowNumbers);
+        } else if (parsed && parsed.resourceType === 'Bundle' && Array.isArray(parsed.entry)) {
+            sanitized = {
+                ...parsed,
+                entry: parsed.entry.map((entry, index) => sanitizeRecord(entry, index + 1)).filter(entry => entry !== null)
+            };
+        } else {
+            // A single record cannot be dropped: blocked values are cleared instead
+            const rowFindings = [];
+            sanitized = this.sanitizeJSONObject(parsed, '', { fileType, row: 1, rules: sanitization.rules }, decisions, rowFindings, true);
+            sanitization.findings.push(...rowFindings);
+        }
+
+        return JSON.stringify(sanitized, null, 2);
+    }
+
+    /**
+     * Sanitize workbook cells sheet by sheet, keeping the compact layout produced by readSpreadsheet
+     */
+    sanitizeSpreadsheetContent(content, decisions = {}, sanitization, healthcareDataType = 'unknown') {
+        try {
+            const workbook = JSON.parse(content);
+            workbook.sheets.forEach(sheet => {
+                const sheetDataType = this.detectSheetDataType(sheet);
+                const columnTypes = this.getColumnTypes(sheet.headers, sheetDataType !== 'unknown' ? sheetDataType : healthcareDataType);
+                const rowNumbers = [];
+                sheet.rows = sheet.rows.reduce((kept, values, index) => {
+                    const sanitized = this.sanitizeRowValues(values, sheet.headers, {
+                        fileType: 'xlsx',
+                        row: index + 1,
+                        sheet: sheet.name,
+                        rules: sanitization.rules
+                    }, decisions, sanitization, columnTypes);
+                    if (sanitized) {
+                        kept.push(sanitized);
+                        rowNumbers.push(index + 1);
+                    }
+                    return kept;
+                }, []);
+                sanitization.rowNumbers.set(sheet.name || '', rowNumbers);
+            });
+            return JSON.stringify(workbook);
+        } catch (error) {
+            return content;
+        }
+    }
+
+    /**
+     * Recursively sanitize the string values of a JSON value
+     * @param {*} obj - JSON value
+     * @param {string} path - Property path of obj inside its record ('' for the record itself)
+     * @param {Object} location - { fileType, row, rules }
+     * @param {Array<Object>} findings - Receives the findings of this record
+     * @param {boolean} clearBlocked - Replace blocked values with '' (used when the record cannot be dropped)
+     */
+    sanitizeJSONObject(obj, path, location, decisions, findings, clearBlocked = false) {
         if (typeof obj === 'string') {
-            return obj.replace(this.commonIssues.xssPatterns, '[FILTERED]')
-                     .replace(this.commonIssues.sqlInjection, '[FILTERED]');
+            const result = this.contentSanitizer.sanitizeValue(obj, { ...location, column: path || '(valor)' }, decisions);
+            if (!result.finding) {
+                return obj;
+            }
+            findings.push(result.finding);
+            return clearBlocked && result.finding.action === 'block' ? '' : result.value;
         }
-        
+
         if (Array.isArray(obj)) {
-            return obj.map(item => this.sanitizeJSONObject(item));
+            return obj.map((item, index) => this.sanitizeJSONObject(item, `${path}[${index}]`, location, decisions, findings, clearBlocked));
         }
-        
+
         if (typeof obj === 'object' && obj !== null) {
             const sanitized = {};
             for (const [key, value] of Object.entries(obj)) {
-                const cleanKey = key.replace(this.commonIssues.xssPatterns, '[FILTERED]');
-                sanitized[cleanKey] = this.sanitizeJSONObject(value);
+                sanitized[key] = this.sanitizeJSONObject(value, path ? `${path}.${key}` : key, location, decisions, findings, clearBlocked);
             }
             return sanitized;
         }
-        
+
         return obj;
     }
 
+    /**
+     * Sanitize text and attribute values of each XML record element; columns are element paths
+     * relative to the record (e.g. endereco/cidade, @id). Requires DOMParser, so XML is only
+     * sanitized on the main thread.
+     */
+    sanitizeXMLContent(content, decisions = {}, sanitization) {
+        if (!this.xmlParser.isSupported()) {
+            return content;
+        }
+
+        const { document, error } = this.xmlParser.parse(content);
+        if (error) {
+            return content;
+        }
+
+        const root = document.documentElement;
+        const { recordPath } = this.xmlParser.resolveRecordPath(root, null);
+        const records = recordPath ? this.xmlParser.selectPath(root, recordPath) : [];
+        const elements = records.length > 0 ? records : [root];
+        let changed = false;
+
+        elements.forEach((element, index) => {
+            const rowFindings = [];
+            this.sanitizeXMLElement(element, '', { fileType: 'xml', row: index + 1, rules: sanitization.rules }, decisions, rowFindings);
+            sanitization.findings.push(...rowFindings);
+
+            if (rowFindings.some(finding => finding.action !== 'allow')) {
+                changed = true;
+            }
+            if (element !== root && this.contentSanitizer.isBlocked(rowFindings)) {
+                element.parentNode.removeChild(element);
+                sanitization.blockedRecords++;
+            }
+        });
+
+        if (!changed) {
+            return content;
+        }
+
+        // XMLSerializer leaves out the XML declaration
+        const declaration = (/^\s*<\?xml[^>]*\?>/.exec(content) || [''])[0].trim();
+        const serialized = new XMLSerializer().serializeToString(document);
+        return serialized.startsWith('<?xml') ? serialized : declaration + serialized;
+    }
+
+    sanitizeXMLElement(element, path, location, decisions, findings) {
+        const sanitize = (value, column) => {
+            const result = this.contentSanitizer.sanitizeValue(value, { ...location, column }, decisions);
+            if (!result.finding) {
+                return value;
+            }
+            findings.push(result.finding);
+            return result.finding.action === 'block' ? '' : result.value;
+        };
+
+        Array.from(element.attributes).forEach(attribute => {
+            attribute.value = sanitize(attribute.value, `${path ? `${path}/` : ''}@${this.xmlParser.localName(attribute)}`);
+        });
+
+        Array.from(element.childNodes).forEach(node => {
+            if (node.nodeType === 3 || node.nodeType === 4) {
+                // Text and CDATA
+                if (node.data.trim() !== '') {
+                    node.data = sanitize(node.data, path || '(texto)');
+                }
+            } else if (node.nodeType === 1) {
+                const name = this.xmlParser.localName(node);
+                this.sanitizeXMLElement(node, path ? `${path}/${name}` : name, location, decisions, findings);
+            }
+        });
+    }
+
+    /**
+     * Sanitize HL7 fields; rows are messages and columns are field positions (e.g. PID-5).
+     * Escaped text is re-encoded with HL7 escape sequences so it does not introduce delimiters.
+     */
+    sanitizeHL7Content(content, decisions = {}, sanitization) {
+        const { messages, unparsed } = this.hl7Parser.parse(content);
+        let changed = false;
+
+        // Lines outside the messages are kept, and sanitized as a whole (row is their line number)
+        const lines = unparsed.filter(line => {
+            const location = { fileType: 'hl7', row: line.lineNumber, column: 'linha não reconhecida', rules: sanitization.rules };
+            const { value, finding } = this.contentSanitizer.sanitizeValue(line.raw, location, decisions);
+            if (!finding) return true;
+
+            sanitization.findings.push(finding);
+            if (this.contentSanitizer.isBlocked([finding])) {
+                changed = true;
+                return false;
+            }
+            changed = changed || value !== line.raw;
+            line.raw = value;
+            return true;
+        });
+
+        const kept = messages.filter((message, index) => {
+            const { encoding } = message;
+            const rowFindings = [];
+
+            message.segments.forEach(segment => {
+                const rawFields = segment.raw.split(encoding.field);
+                // MSH-1 is the field separator itself, so raw position n is MSH-(n+1)
+                const offset = segment.name === 'MSH' ? 1 : 0;
+
+                for (let position = segment.name === 'MSH' ? 2 : 1; position < rawFields.length; position++) {
+                    const location = { fileType: 'hl7', row: index + 1, column: `${segment.name}-${position + offset}`, rules: sanitization.rules };
+                    const { finding } = this.contentSanitizer.sanitizeValue(rawFields[position], location, decisions);
+                    if (!finding) continue;
+
+                    rowFindings.push(finding);
+                    if (finding.action === 'escape') {
+                        rawFields[position] = this.escapeHL7Field(rawFields[position], finding.rules, encoding, sanitization.rules);
+                        changed = true;
+                    }
+                }
+
+                segment.raw = rawFields.join(encoding.field);
+            });
+
+            sanitization.findings.push(...rowFindings);
+            if (this.contentSanitizer.isBlocked(rowFindings)) {
+                sanitization.blockedRecords++;
+                changed = true;
+                return false;
+            }
+            return true;
+        });
+
+        return changed ? this.hl7Parser.serialize(kept, lines) : content;
+    }
+
+    escapeHL7Field(raw, ruleIds, encoding, rules = this.contentSanitizer.rules) {
+        const delimiters = new RegExp(`([${this.hl7Parser.escapeRegExp(encoding.component + encoding.repetition + encoding.subcomponent)}])`);
+        const subcomponentEscape = `${encoding.escape}T${encoding.escape}`;
+
+        // Odd items of the split are the delimiters themselves
+        return raw.split(delimiters)
+            .map((piece, index) => index % 2 === 1
+                ? piece
+                : this.contentSanitizer.escape(piece, ruleIds, rules).split(encoding.subcomponent).join(subcomponentEscape))
+            .join('');
+    }
+
     /**
      * Normalize data format for database compatibility
      */
-    async normalizeDataFormat(content, fileType) {
+    async normalizeDataFormat(content, fileType, onProgress = null, healthcareDataType = 'unknown', transformationLog = null, dates = []) {
         switch (fileType) {
             case 'csv':
-                return this.normalizeCSVFormat(content);
+                return this.normalizeCSVFormat(content, onProgress, healthcareDataType, transformationLog, dates);
             case 'xml':
                 return this.normalizeXMLFormat(content);
             case 'json':
+                return this.normalizeJSONFormat(content, healthcareDataType, transformationLog, dates);
             case 'fhir':
-                return this.normalizeJSONFormat(content);
+                return this.normalizeFHIRFormat(content);
             case 'hl7':
                 return this.normalizeHL7Format(content);
+            case 'xlsx':
+                return this.normalizeSpreadsheetFormat(content, healthcareDataType, transformationLog, dates);
             default:
                 return content;
         }
@@ -929,40 +1565,547 @@ class FileNormalizer {
     /**
      * Normalize CSV format
      */
-    normalizeCSVFormat(content) {
-        const lines = content.split('\n');
-        const delimiter = this.detectCSVDelimiter(lines[0]);
-        
-        const normalizedLines = lines.map((line, index) => {
-            if (line.trim() === '') return '';
-            
-            const columns = line.split(delimiter);
-            const normalizedColumns = columns.map(col => {
-                // Trim whitespace
-                col = col.trim();
-                
-                // Remove quotes if present
-                if ((col.startsWith('"') && col.endsWith('"')) || 
-                    (col.startsWith("'") && col.endsWith("'"))) {
-                    col = col.slice(1, -1);
-                }
-                
-                // Normalize dates
-                col = this.normalizeDateString(col);
-                
-                // Normalize phone numbers
-                col = this.normalizePhoneNumber(col);
-                
-                // Normalize CPF/CNPJ
-                col = this.normalizeCPFCNPJ(col);
-                
+    normalizeCSVFormat(content, onProgress = null, healthcareDataType = 'unknown', transformationLog = null, dates = []) {
+        const delimiter = this.detectCSVDelimiter(content);
+        const parser = new CSVParser({ delimiter });
+        const normalizedLines = [];
+        let headers = null;
+        let columnTypes = null;
+        let dateReadings = null;
+
+        const normalizeRow = (columns) => {
+            if (headers === null) {
+                // Header row: decides the declared type of each column
+                headers = columns.map(header => header.trim());
+                columnTypes = this.getColumnTypes(headers, healthcareDataType);
+                dateReadings = this.getColumnDateReadings(headers, healthcareDataType, dates);
+                normalizedLines.push(CSVParser.stringifyRow(this.addPhoneDisplayColumns(headers, headers, columnTypes, true), ','));
+            } else {
+                const context = { log: transformationLog, headers, row: this.sourceRow(transformationLog, normalizedLines.length - 1), dates: dateReadings };
+                normalizedLines.push(this.normalizeCSVRow(columns, columnTypes, context));
+            }
+        };
+
+        // Tokenize in slices so large files report progress as they go
+        for (let offset = 0; offset < content.length; offset += this.chunkSize) {
+            parser.push(content.slice(offset, offset + this.chunkSize)).forEach(normalizeRow);
+            if (onProgress) {
+                onProgress(Math.min(1, (offset + this.chunkSize) / content.length));
+            }
+        }
+        parser.end().forEach(normalizeRow);
+
+        return normalizedLines.join('\n');
+    }
+
+    /**
+     * Normalize the fields of a single parsed CSV row (with the display column of each phone column)
+     */
+    normalizeCSVRow(columns, columnTypes = [], context = null) {
+        const values = this.normalizeRowValues(columns, columnTypes, context);
+        return CSVParser.stringifyRow(context ? this.addPhoneDisplayColumns(values, context.headers, columnTypes, false, context) : values, ',');
+    }
+
+    /**
+     * Normalize a row of cell values, each according to its column's declared type
+     * (shared by CSV rows and spreadsheet rows)
+     * @param {Array<string>} columns - Cell values
+     * @param {Array<string|null>} columnTypes - Declared type per column (see getColumnTypes)
+     * @param {Object} context - { log, headers, row, sheet } to record transformations, and dates: the date
+     *        reading of each column (see getColumnDateReadings); optional. The normalizer rules of the
+     *        log run after the built-in normalization, each change recorded under the rule's id.
+     */
+    normalizeRowValues(columns, columnTypes = [], context = null) {
+        return columns.map((value, index) => {
+            let normalized = this.normalizeValue(value, columnTypes[index], context && context.dates ? context.dates[index] : null);
+            if (!context || !context.log) {
+                return normalized;
+            }
+
+            const column = context.headers[index] || `coluna ${index + 1}`;
+            const record = (rule, before, after) => this.recordTransformation(context.log, {
+                sheet: context.sheet,
+                column,
+                dataType: rule,
+                row: context.row,
+                before,
+                after
+            });
+
+            // Rejected by the operator: the value goes on exactly as read
+            if (normalized !== value && record(columnTypes[index], value, normalized)) {
+                normalized = value;
+            }
+
+            if (normalized !== '') {
+                this.ruleRegistry.forField(context.log.normalizers, column, columnTypes[index]).forEach(rule => {
+                    const result = this.ruleRegistry.normalize(rule, normalized, {
+                        field: column,
+                        fieldType: columnTypes[index],
+                        row: context.row,
+                        sheet: context.sheet
+                    }, context.log.ruleFailures);
+                    if (result !== normalized && !record(rule.id, normalized, result)) {
+                        normalized = result;
+                    }
+                });
+            }
+
+            return normalized;
+        });
+    }
+
+    /**
+     * Normalize a single value according to its declared schema type.
+     * Values in columns without a declared type are only trimmed.
+     * @param {Object|null} dateReading - { formats, order } of a date column
+     */
+    normalizeValue(value, dataType, dateReading = null) {
+        // Trim whitespace
+        let col = value.trim();
+
+        // Remove single quotes if present (double quotes are handled by the parser)
+        if (col.length > 1 && col.startsWith("'") && col.endsWith("'")) {
+            col = col.slice(1, -1);
+        }
+
+        if (col === '') {
+            return col;
+        }
+
+        switch (dataType) {
+            case 'uuid':
+                return this.normalizeUUID(col);
+            case 'cpf':
+            case 'cnpj':
+            case 'cnes':
+                return this.documentValidator.normalize(col, dataType);
+            case 'phone':
+                return this.phoneNormalizer.normalize(col);
+            case 'date':
+                return this.normalizeDateString(col, dateReading);
+            case 'decimal':
+                return this.normalizeDecimal(col);
+            case 'integer':
+                return this.normalizeInteger(col);
+            case 'boolean':
+                return this.normalizeBoolean(col);
+            case 'numeric_code':
+                return this.normalizeNumericCode(col);
+            case 'cid10':
+                return this.cid10Catalog.normalize(col);
+            case 'crm':
+                return this.crmValidator.normalize(col);
+            case 'cep':
+                return this.addressNormalizer.normalizeCEP(col);
+            case 'address':
+                return this.addressNormalizer.normalizeAddress(col);
+            case 'semicolon_separated':
+                return this.normalizeSemicolonList(col);
+            case 'email':
+                return col.toLowerCase();
+            case 'string':
+                return col.replace(/\s+/g, ' ');
+            default:
                 return col;
+        }
+    }
+
+    /**
+     * Date columns of a tabular file (CSV, workbook sheets, JSON list of records): the formats each accepts
+     * (upload option, else the schema field's, else all) and the day/month order to read it with
+     * @param {Object} options - { dateFormats: { [field]: [format] }, dateLocale: 'pt-BR'|'en-US' }
+     * @returns {Array<Object>} { sheet, column, formats, order, orderSource, dayFirst, monthFirst, ambiguous,
+     *          invalid, examples: [{ row, value, code, message }] } where orderSource is 'formats', 'data',
+     *          'file', 'locale' or null (order unknown) and dayFirst/monthFirst count the values readable one way only
+     */
+    analyzeDates(content, fileType, healthcareDataType = 'unknown', options = {}) {
+        const dateColumns = (headers, dataType) => {
+            const columnTypes = this.getColumnTypes(headers, dataType);
+            return headers.map((header, index) => index).filter(index => columnTypes[index] === 'date');
+        };
+
+        const columns = this.readTables(content, fileType, headers => dateColumns(headers, healthcareDataType)).flatMap(table => {
+            const sheetDataType = table.sheet !== null ? this.detectSheetDataType(table) : 'unknown';
+            const dataType = sheetDataType !== 'unknown' ? sheetDataType : healthcareDataType;
+            const schema = this.schemaRegistry.get(dataType);
+
+            return dateColumns(table.headers, dataType).map(index => {
+                const name = String(table.headers[index]).trim().toLowerCase();
+                const column = this.schemaRegistry.resolveField(dataType, name) || name;
+                const formats = (options.dateFormats || {})[column] || schema?.fields[column]?.formats || this.dateParser.defaultFormats;
+                const values = table.rows.map(row => String(row[index] === undefined || row[index] === null ? '' : row[index]).trim());
+                const detection = this.dateParser.detectOrder(values.filter(value => value !== ''), formats);
+                return { sheet: table.sheet, column, formats, values, detection };
             });
-            
-            return normalizedColumns.join(',');
         });
-        
-        return normalizedLines.join('\n');
+
+        // A column whose values do not tell the order takes the one the other date columns of the file
+        // agree on; when they disagree, each column is left to its own values (and the locale)
+        const orders = new Set(columns.map(({ detection }) => detection.order).filter(Boolean));
+        const fileOrder = orders.size === 1 ? [...orders][0] : null;
+
+        return columns.map(({ sheet, column, formats, values, detection }) => {
+            const { order, source } = this.dateParser.chooseOrder(formats, detection, options.dateLocale, fileOrder);
+            const analysis = {
+                sheet,
+                column,
+                formats,
+                order,
+                orderSource: source,
+                dayFirst: detection.dayFirst,
+                monthFirst: detection.monthFirst,
+                ambiguous: 0,
+                invalid: 0,
+                examples: []
+            };
+
+            values.forEach((value, rowIndex) => {
+                const { error } = value === '' ? {} : this.dateParser.parse(value, { formats, order });
+                if (!error) {
+                    return;
+                }
+                error.code === 'ambiguous' ? analysis.ambiguous++ : analysis.invalid++;
+                if (analysis.examples.length < this.transformationExamples) {
+                    analysis.examples.push({ row: rowIndex + 1, value, code: error.code, message: error.message });
+                }
+            });
+
+            return analysis;
+        });
+    }
+
+    /**
+     * Header and rows of each table of a tabular file; sheet is null for CSV and JSON
+     * @param {Function} pickColumns - (headers) -> indexes of the CSV columns to keep in the rows,
+     *        all when not given
+     */
+    readTables(content, fileType, pickColumns = null) {
+        try {
+            if (fileType === 'csv') {
+                // Tokenized in slices, keeping only the picked cells of each row
+                const parser = new CSVParser({ delimiter: this.detectCSVDelimiter(content) });
+                let table = null;
+                let picked = [];
+                const addRow = (fields) => {
+                    if (table === null) {
+                        table = { sheet: null, headers: fields, rows: [] };
+                        picked = pickColumns ? pickColumns(fields) : fields.map((field, index) => index);
+                        return;
+                    }
+                    const row = [];
+                    picked.forEach(index => {
+                        row[index] = fields[index];
+                    });
+                    table.rows.push(row);
+                };
+
+                for (let offset = 0; offset < content.length; offset += this.chunkSize) {
+                    parser.push(content.slice(offset, offset + this.chunkSize)).forEach(addRow);
+                }
+                parser.end().forEach(addRow);
+                return table ? [table] : [];
+            }
+            if (fileType === 'xlsx') {
+                return JSON.parse(content).sheets.map(sheet => ({ sheet: sheet.name, headers: sheet.headers, rows: sheet.rows }));
+            }
+            if (fileType === 'json') {
+                const parsed = JSON.parse(content);
+                const records = (Array.isArray(parsed) ? parsed : [parsed]).filter(record => record && typeof record === 'object');
+                const headers = Array.from(new Set(records.flatMap(record => Object.keys(record))));
+                const rows = records.map(record => headers.map(header => (typeof record[header] === 'string' ? record[header] : '')));
+                return [{ sheet: null, headers, rows }];
+            }
+        } catch (error) {
+            // Structure validation reports unreadable content
+        }
+        return [];
+    }
+
+    /**
+     * Structure warnings for the date analysis: ambiguous values, columns mixing DD/MM and MM/DD,
+     * dates that could not be read
+     */
+    describeDates(dates) {
+        const warnings = [];
+
+        dates.forEach(analysis => {
+            const column = analysis.sheet ? `'${analysis.column}' (aba ${analysis.sheet})` : `'${analysis.column}'`;
+            const example = (ambiguous) => {
+                const found = analysis.examples.find(({ code }) => (code === 'ambiguous') === ambiguous);
+                return found ? ` (ex.: linha ${found.row}: ${found.value})` : '';
+            };
+
+            if (analysis.dayFirst > 0 && analysis.monthFirst > 0) {
+                warnings.push(`Coluna ${column} mistura datas DD/MM/YYYY (${analysis.dayFirst}) e MM/DD/YYYY (${analysis.monthFirst})`);
+            }
+            if (analysis.ambiguous > 0) {
+                warnings.push(`Coluna ${column}: ${analysis.ambiguous} data(s) ambígua(s) entre DD/MM/YYYY e MM/DD/YYYY${example(true)}; ` +
+                    'informe dateLocale ou os formatos da coluna');
+            }
+            if (analysis.invalid > 0) {
+                warnings.push(`Coluna ${column}: ${analysis.invalid} data(s) inválida(s)${example(false)}`);
+            }
+        });
+
+        return warnings;
+    }
+
+    /**
+     * Date reading ({ formats, order }) of each column, from analyzeDates; null for other columns
+     */
+    getColumnDateReadings(headers, healthcareDataType, dates = [], sheet = null) {
+        return headers.map(header => {
+            const name = String(header).trim().toLowerCase();
+            const column = this.schemaRegistry.resolveField(healthcareDataType, name) || name;
+            const analysis = dates.find(entry => entry.column === column && entry.sheet === sheet);
+            return analysis ? { formats: analysis.formats, order: analysis.order } : null;
+        });
+    }
+
+    /**
+     * Declared type of each column: the schema's dataTypes entry, else CPF/CNPJ/CNES by column name
+     */
+    getColumnTypes(headers, healthcareDataType = 'unknown') {
+        const schemaTypes = this.schemaRegistry.get(healthcareDataType)?.dataTypes || {};
+
+        return headers.map(header => {
+            const name = header.trim().toLowerCase();
+            const field = this.schemaRegistry.resolveField(healthcareDataType, name) || name;
+            return schemaTypes[field] || this.documentValidator.fieldDocumentType(name);
+        });
+    }
+
+    /**
+     * Use the XML record element path declared by each schema
+     */
+    syncRecordPaths() {
+        this.schemaRegistry.getDataTypes().forEach(dataType => {
+            const { xmlRecordPath } = this.schemaRegistry.get(dataType);
+            if (xmlRecordPath) {
+                this.xmlParser.setRecordPath(dataType, xmlRecordPath);
+            }
+        });
+    }
+
+    /**
+     * Log of the values changed while normalizing a file
+     * @param {Object} options - { rejectedChanges: ids of changes to undo, rejectedRules: rules to undo entirely }
+     * @returns {Object} { columns: per-column counts (a Map keyed by sheet + column), changes: field-level
+     *          changes, truncated: whether changes stopped at maxRecordedChanges, the rejections,
+     *          normalizers: the normalizer rules to run, set once the data type is known,
+     *          ruleFailures: the first failure of each normalizer rule that threw, and rowNumbers: the row
+     *          numbers of the records the sanitizer kept (see sanitizeContent) }
+     */
+    createTransformationLog({ rejectedChanges = [], rejectedRules = [] } = {}) {
+        return {
+            columns: new Map(),
+            changes: [],
+            truncated: false,
+            rejectedChanges: new Set(rejectedChanges),
+            rejectedRules: new Set(rejectedRules),
+            normalizers: [],
+            ruleFailures: new Map(),
+            rowNumbers: new Map()
+        };
+    }
+
+    /**
+     * Row number in the file as read of a record left by the sanitizer, so changes keep the numbering
+     * (and ids) of the sanitizer findings when blocked records were dropped
+     * @param {number} index - Position of the record after sanitization, from 0
+     */
+    sourceRow(log, index, sheet = null) {
+        const rowNumbers = log ? log.rowNumbers.get(sheet || '') : null;
+        return rowNumbers && rowNumbers[index] !== undefined ? rowNumbers[index] : index + 1;
+    }
+
+    /**
+     * Stable id of a field change, so rejections made on one run apply to the next run of the same file
+     * (same layout as the sanitizer's finding ids)
+     */
+    changeId({ sheet, row, column, rule }) {
+        return [sheet || '', row, column, rule].join('|');
+    }
+
+    /**
+     * Add a field-level change to the log
+     * @returns {Object} The change, with rejected set when the operator rejected it or its rule
+     */
+    recordChange(log, { id = null, sheet, row, column, rule, before, after }) {
+        const change = {
+            id: id || this.changeId({ sheet, row, column, rule }),
+            ...(sheet ? { sheet } : {}),
+            row,
+            column,
+            rule,
+            before,
+            after
+        };
+        change.rejected = log.rejectedChanges.has(change.id) || log.rejectedRules.has(rule);
+
+        if (log.changes.length < this.maxRecordedChanges) {
+            log.changes.push(change);
+        } else {
+            log.truncated = true;
+        }
+        return change;
+    }
+
+    /**
+     * Record a value changed by normalization, counted per column (rule = declared type, or 'trim')
+     * @returns {boolean} Whether the change was rejected and the value must be kept as it was
+     */
+    recordTransformation(log, { sheet, column, dataType, row, before, after }) {
+        const rule = dataType || 'trim';
+        const key = `${sheet || ''}\u0000${column}`;
+        if (!log.columns.has(key)) {
+            log.columns.set(key, {
+                ...(sheet ? { sheet } : {}),
+                column,
+                rule,
+                changed: 0,
+                rejected: 0,
+                examples: []
+            });
+        }
+
+        const { rejected } = this.recordChange(log, { sheet, row, column, rule, before, after });
+        const entry = log.columns.get(key);
+        if (rejected) {
+            entry.rejected++;
+        } else {
+            entry.changed++;
+            if (entry.examples.length < this.transformationExamples) {
+                entry.examples.push({ row, before, after });
+            }
+        }
+        return rejected;
+    }
+
+    /**
+     * Record the escapes of the sanitizer as changes (rule 'sanitization'), including the ones the
+     * operator rejected, which the sanitizer applied as "allow"
+     */
+    recordSanitizationChanges(log, findings) {
+        findings
+            .filter(finding => finding.action === 'escape' ||
+                (finding.action === 'allow' && (log.rejectedChanges.has(finding.id) || log.rejectedRules.has('sanitization'))))
+            .forEach(finding => this.recordChange(log, {
+                id: finding.id,
+                sheet: finding.sheet,
+                row: finding.row,
+                column: finding.column,
+                rule: 'sanitization',
+                before: finding.value,
+                after: finding.escaped
+            }));
+    }
+
+    /**
+     * Record the double-encoding repairs made while reading ("SÃ£o Paulo" -> "São Paulo") value by value
+     * (rule 'encoding') and undo the rejected ones. CSV and JSON are compared cell by cell; in other
+     * formats the repair can only be rejected as a whole.
+     * @param {Object} fileContent - Result of readFileWithEncoding (unrepaired is set when repairs were made)
+     * @returns {string} Content to go on with
+     */
+    reviewEncodingRepairs(fileContent, fileType, log) {
+        if (fileContent.unrepaired === undefined) {
+            return fileContent.content;
+        }
+
+        if (fileType === 'csv') {
+            const delimiter = this.detectCSVDelimiter(fileContent.content);
+            const [headers, ...rows] = CSVParser.parse(fileContent.content, { delimiter });
+            const originalRows = CSVParser.parse(fileContent.unrepaired, { delimiter }).slice(1);
+            let rejected = 0;
+            const reviewedRows = rows.map((values, index) => values.map((value, column) => {
+                const before = (originalRows[index] || [])[column];
+                if (before === undefined || before === value) {
+                    return value;
+                }
+                const change = this.recordChange(log, {
+                    row: index + 1,
+                    column: (headers[column] || `coluna ${column + 1}`).trim(),
+                    rule: 'encoding',
+                    before,
+                    after: value
+                });
+                rejected += change.rejected ? 1 : 0;
+                return change.rejected ? before : value;
+            }));
+            return rejected > 0
+                ? [headers, ...reviewedRows].map(values => CSVParser.stringifyRow(values, delimiter)).join('\n')
+                : fileContent.content;
+        }
+
+        if (fileType === 'json') {
+            try {
+                const parsed = JSON.parse(fileContent.content);
+                const original = JSON.parse(fileContent.unrepaired);
+                let rejected = 0;
+                // Same record numbering and columns (property names) as normalizeJSONObject
+                const review = (value, before, row, column) => {
+                    if (typeof value === 'string') {
+                        if (typeof before !== 'string' || before === value) {
+                            return value;
+                        }
+                        const change = this.recordChange(log, { row, column, rule: 'encoding', before, after: value });
+                        rejected += change.rejected ? 1 : 0;
+                        return change.rejected ? before : value;
+                    }
+                    if (Array.isArray(value)) {
+                        return value.map((item, index) => review(item, Array.isArray(before) ? before[index] : undefined, row, column));
+                    }
+                    if (value && typeof value === 'object') {
+                        const originalValues = before && typeof before === 'object' ? Object.values(before) : [];
+                        return Object.keys(value).reduce((reviewed, key, index) => {
+                            reviewed[key] = review(value[key], originalValues[index], row, key);
+                            return reviewed;
+                        }, {});
+                    }
+                    return value;
+                };
+                const reviewed = Array.isArray(parsed)
+                    ? parsed.map((record, index) => review(record, original[index], index + 1, null))
+                    : review(parsed, original, 1, null);
+                return rejected > 0 ? JSON.stringify(reviewed, null, 2) : fileContent.content;
+            } catch (error) {
+                // Structure validation reports unparseable JSON
+            }
+        }
+
+        return log.rejectedRules.has('encoding') ? fileContent.unrepaired : fileContent.content;
+    }
+
+    /**
+     * Normalize the cells of every sheet in a workbook document.
+     * Each sheet uses the schema matching its own headers, falling back to the file's data type.
+     */
+    normalizeSpreadsheetFormat(content, healthcareDataType = 'unknown', transformationLog = null, dates = []) {
+        try {
+            const workbook = JSON.parse(content);
+            workbook.sheets.forEach(sheet => {
+                const sheetDataType = this.detectSheetDataType(sheet);
+                const dataType = sheetDataType !== 'unknown' ? sheetDataType : healthcareDataType;
+                const columnTypes = this.getColumnTypes(sheet.headers, dataType);
+                const dateReadings = this.getColumnDateReadings(sheet.headers, dataType, dates, sheet.name);
+                sheet.rows = sheet.rows.map((values, index) => {
+                    const context = {
+                        log: transformationLog,
+                        headers: sheet.headers,
+                        row: this.sourceRow(transformationLog, index, sheet.name),
+                        sheet: sheet.name,
+                        dates: dateReadings
+                    };
+                    return this.addPhoneDisplayColumns(this.normalizeRowValues(values, columnTypes, context), sheet.headers, columnTypes, false, context);
+                });
+                sheet.headers = this.addPhoneDisplayColumns(sheet.headers, sheet.headers, columnTypes, true);
+            });
+            return JSON.stringify(workbook);
+        } catch (error) {
+            return content;
+        }
     }
 
     /**
@@ -978,57 +2121,76 @@ class FileNormalizer {
     /**
      * Normalize JSON format
      */
-    normalizeJSONFormat(content) {
+    normalizeJSONFormat(content, healthcareDataType = 'unknown', transformationLog = null, dates = []) {
         try {
             const parsed = JSON.parse(content);
-            const normalized = this.normalizeJSONObject(parsed);
+            // Top-level array items are the records; row numbers in the log are their positions in the file as read
+            const normalized = Array.isArray(parsed)
+                ? parsed.map((item, index) => this.normalizeJSONObject(item, healthcareDataType, { log: transformationLog, row: this.sourceRow(transformationLog, index), dateAnalysis: dates }))
+                : this.normalizeJSONObject(parsed, healthcareDataType, { log: transformationLog, row: 1, dateAnalysis: dates });
             return JSON.stringify(normalized, null, 2);
         } catch (error) {
             return content;
         }
     }
 
+    /**
+     * Normalize FHIR format
+     * Only the layout is normalized: FHIR datatypes (date, identifier, ContactPoint) already have fixed formats
+     */
+    normalizeFHIRFormat(content) {
+        try {
+            return JSON.stringify(JSON.parse(content), null, 2);
+        } catch (error) {
+            return content;
+        }
+    }
+
     /**
      * Normalize HL7 format
      */
     normalizeHL7Format(content) {
-        const lines = content.split('\n');
-        const normalizedLines = lines.map(line => {
-            if (line.trim() === '') return '';
-            
-            // HL7 segments should end with \r
-            if (!line.endsWith('\r')) {
-                line += '\r';
-            }
-            
-            return line;
-        });
-        
-        return normalizedLines.join('\n');
+        const { messages, unparsed } = this.hl7Parser.parse(content);
+        if (messages.length === 0) {
+            return content;
+        }
+
+        // HL7 segments end with \r; lines that are not segments of a message stay as they were
+        return this.hl7Parser.serialize(messages, unparsed);
     }
 
     /**
-     * Normalize JSON object recursively
+     * Normalize JSON object recursively; string values are normalized by the declared type of their key
      */
-    normalizeJSONObject(obj) {
+    normalizeJSONObject(obj, healthcareDataType = 'unknown', context = null) {
         if (Array.isArray(obj)) {
-            return obj.map(item => this.normalizeJSONObject(item));
+            return obj.map(item => this.normalizeJSONObject(item, healthcareDataType, context));
         }
         
         if (typeof obj === 'object' && obj !== null) {
             const normalized = {};
             for (const [key, value] of Object.entries(obj)) {
                 let normalizedValue = value;
+                let displayValue = null;
                 
                 if (typeof value === 'string') {
-                    normalizedValue = this.normalizeDateString(value);
-                    normalizedValue = this.normalizePhoneNumber(normalizedValue);
-                    normalizedValue = this.normalizeCPFCNPJ(normalizedValue);
+                    const columnTypes = this.getColumnTypes([key], healthcareDataType);
+                    [normalizedValue] = this.normalizeRowValues([value], columnTypes, context && {
+                        ...context,
+                        headers: [key],
+                        dates: this.getColumnDateReadings([key], healthcareDataType, context.dateAnalysis || [])
+                    });
+                    if (columnTypes[0] === 'phone' && !(`${key}${this.phoneDisplaySuffix}` in obj)) {
+                        displayValue = this.phoneDisplayValue(normalizedValue, `${key}${this.phoneDisplaySuffix}`, context);
+                    }
                 } else if (typeof value === 'object') {
-                    normalizedValue = this.normalizeJSONObject(value);
+                    normalizedValue = this.normalizeJSONObject(value, healthcareDataType, context);
                 }
                 
                 normalized[key] = normalizedValue;
+                if (displayValue !== null) {
+                    normalized[`${key}${this.phoneDisplaySuffix}`] = displayValue;
+                }
             }
             return normalized;
         }
@@ -1039,68 +2201,129 @@ class FileNormalizer {
     /**
      * Helper functions for data normalization
      */
-    detectCSVDelimiter(line) {
-        const delimiters = [',', ';', '\t', '|'];
-        let maxCount = 0;
-        let bestDelimiter = ',';
-        
-        delimiters.forEach(delimiter => {
-            const count = (line.match(new RegExp('\\' + delimiter, 'g')) || []).length;
-            if (count > maxCount) {
-                maxCount = count;
-                bestDelimiter = delimiter;
-            }
-        });
-        
-        return bestDelimiter;
+    detectCSVDelimiter(content) {
+        // Only the first record is inspected; quoted delimiters are not counted
+        return CSVParser.detectDelimiter(content);
     }
 
-    normalizeDateString(str) {
-        // Try to detect and normalize date formats
-        const datePatterns = [
-            /(\d{2})\/(\d{2})\/(\d{4})/g, // DD/MM/YYYY
-            /(\d{4})-(\d{2})-(\d{2})/g,   // YYYY-MM-DD
-            /(\d{2})-(\d{2})-(\d{4})/g    // DD-MM-YYYY
-        ];
-        
-        datePatterns.forEach(pattern => {
-            str = str.replace(pattern, (match, p1, p2, p3) => {
-                // Convert to ISO format (YYYY-MM-DD)
-                if (match.includes('/')) {
-                    return `${p3}-${p2}-${p1}`; // DD/MM/YYYY to YYYY-MM-DD
-                }
-                return match;
-            });
-        });
-        
+    /**
+     * ISO date (YYYY-MM-DD, with time and zone when the value has them) read in the column's formats and
+     * day/month order. Ambiguous, nonexistent and unrecognized dates are kept for validation to report.
+     * @param {Object|null} reading - { formats, order } of the column (see getColumnDateReadings)
+     */
+    normalizeDateString(str, reading = null) {
+        return this.dateParser.parse(str, reading || {}).iso || str;
+    }
+
+    /**
+     * Lowercase UUID with dashes; accepts braces and the 32-digit form without dashes
+     */
+    normalizeUUID(str) {
+        const hex = str.replace(/^\{|\}$/g, '').toLowerCase();
+        if (/^[0-9a-f]{32}$/.test(hex)) {
+            return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20)}`;
+        }
+        return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(hex) ? hex : str;
+    }
+
+    /**
+     * Decimal with a dot separator: "-23,55" -> "-23.55", "1.234,5" -> "1234.5", "1,234.5" -> "1234.5"
+     */
+    normalizeDecimal(str) {
+        if (/^-?\d{1,3}(\.\d{3})+,\d+$/.test(str)) {
+            return str.replace(/\./g, '').replace(',', '.');
+        }
+        if (/^-?\d{1,3}(,\d{3})+\.\d+$/.test(str)) {
+            return str.replace(/,/g, '');
+        }
+        if (/^-?\d*,\d+$/.test(str)) {
+            return str.replace(',', '.');
+        }
         return str;
     }
 
-    normalizePhoneNumber(str) {
-        // Remove all non-digits and format Brazilian phone numbers
-        const digitsOnly = str.replace(/\D/g, '');
-        if (digitsOnly.length === 10 || digitsOnly.length === 11) {
-            if (digitsOnly.length === 11) {
-                return `(${digitsOnly.substring(0, 2)}) ${digitsOnly.substring(2, 7)}-${digitsOnly.substring(7)}`;
-            } else {
-                return `(${digitsOnly.substring(0, 2)}) ${digitsOnly.substring(2, 6)}-${digitsOnly.substring(6)}`;
-            }
+    /**
+     * Integer without thousands separators or a zero fraction: "12.345" -> "12345", "120.0" -> "120"
+     */
+    normalizeInteger(str) {
+        if (/^-?\d{1,3}([.,]\d{3})+$/.test(str)) {
+            return str.replace(/[.,]/g, '');
+        }
+        if (/^-?\d+[.,]0+$/.test(str)) {
+            return str.replace(/[.,]0+$/, '');
         }
         return str;
     }
 
-    normalizeCPFCNPJ(str) {
-        const digitsOnly = str.replace(/\D/g, '');
-        if (digitsOnly.length === 11) {
-            // CPF format: XXX.XXX.XXX-XX
-            return `${digitsOnly.substring(0, 3)}.${digitsOnly.substring(3, 6)}.${digitsOnly.substring(6, 9)}-${digitsOnly.substring(9)}`;
-        } else if (digitsOnly.length === 14) {
-            // CNPJ format: XX.XXX.XXX/XXXX-XX
-            return `${digitsOnly.substring(0, 2)}.${digitsOnly.substring(2, 5)}.${digitsOnly.substring(5, 8)}/${digitsOnly.substring(8, 12)}-${digitsOnly.substring(12)}`;
+    normalizeBoolean(str) {
+        const value = str.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        if (['1', 'true', 'sim', 's', 'yes', 'y', 'verdadeiro', 'v'].includes(value)) {
+            return 'true';
+        }
+        if (['0', 'false', 'nao', 'n', 'no', 'falso', 'f'].includes(value)) {
+            return 'false';
         }
         return str;
     }
 
+    /**
+     * Digits-only code (IBGE, CNES...): drops punctuation and the ".0" spreadsheets append
+     */
+    normalizeNumericCode(str) {
+        const code = str.replace(/\.0+$/, '');
+        return /^[\d.\-\s\/]+$/.test(code) ? code.replace(/\D/g, '') : str;
+    }
+
+    /**
+     * List joined by ";" without blank items: "Cardiologia, Pediatria |" -> "Cardiologia;Pediatria"
+     */
+    normalizeSemicolonList(str) {
+        return str.split(/[;,|]/)
+            .map(item => item.trim())
+            .filter(item => item !== '')
+            .join(';');
+    }
+
+    /**
+     * Insert the display form of each phone column right after it ("telefone" -> "telefone_formatado");
+     * columns that already have a display column in the file are left alone
+     * @param {Array<string>} values - Normalized row, or the header row when isHeader is set
+     * @param {Array<string>} headers - Header row the values follow
+     * @param {Array<string|null>} columnTypes - Declared type per column (see getColumnTypes)
+     * @param {Object} context - { log, row, sheet } of the row, to record the display values (see phoneDisplayValue)
+     */
+    addPhoneDisplayColumns(values, headers, columnTypes, isHeader = false, context = null) {
+        return values.reduce((row, value, index) => {
+            row.push(value);
+            const displayHeader = `${headers[index]}${this.phoneDisplaySuffix}`;
+            if (columnTypes[index] === 'phone' && !headers.includes(displayHeader)) {
+                row.push(isHeader ? displayHeader : this.phoneDisplayValue(value, displayHeader, context));
+            }
+            return row;
+        }, []);
+    }
+
+    /**
+     * Display form of a phone value, recorded as a change of the display column under the 'phone' rule;
+     * empty when the operator rejected that change or the rule
+     */
+    phoneDisplayValue(value, displayHeader, context = null) {
+        const display = this.phoneNormalizer.format(value);
+        if (display === '' || !context || !context.log) {
+            return display;
+        }
+
+        const rejected = this.recordTransformation(context.log, {
+            sheet: context.sheet,
+            column: displayHeader,
+            dataType: 'phone',
+            row: context.row,
+            before: '',
+            after: display
+        });
+        return rejected ? '' : display;
+    }
+
     fixCommonJSONIssues(content) {
         // Fix trailing commas
         content = content.replace(/,(\s*[}\]])/g, '$1');
@@ -1114,19 +2337,24 @@ class FileNormalizer {
         return content;
     }
 
-    getIssuesFound(original, sanitized) {
+    getIssuesFound(original, sanitization, encoding = null) {
         const issues = [];
-        
-        if (original.length !== sanitized.length) {
-            issues.push('Caracteres problemáticos removidos');
+
+        if (encoding && encoding.name !== 'utf-8') {
+            issues.push(`Arquivo convertido de ${encoding.name} para UTF-8`);
         }
-        
-        if (this.commonIssues.sqlInjection.test(original)) {
-            issues.push('Possível injeção SQL detectada e neutralizada');
+
+        if (encoding && encoding.repairedMojibake > 0) {
+            issues.push(`UTF-8 duplamente codificado reparado em ${encoding.repairedMojibake} trecho(s)`);
         }
         
-        if (this.commonIssues.xssPatterns.test(original)) {
-            issues.push('Possível XSS detectado e neutralizado');
+        if (sanitization.removedCharacters > 0) {
+            issues.push(`${sanitization.removedCharacters} caractere(s) invisível(is) ou inválido(s) removido(s)`);
+        }
+
+        const summary = this.contentSanitizer.summarize(sanitization.findings);
+        if (summary.total > 0) {
+            issues.push(`${summary.total} valor(es) suspeito(s): ${summary.escape} escapado(s), ${summary.block} bloqueado(s), ${summary.allow} permitido(s)`);
         }
         
         if (this.hasEncodingIssues(original)) {
@@ -1136,7 +2364,7 @@ class FileNormalizer {
         return issues;
     }
 
-    getCorrections(original, sanitized) {
+    getCorrections(original, sanitized, transformations = [], sanitization = null, headerTables = [], transformationLog = null) {
         const corrections = [];
         
         const originalSize = original.length;
@@ -1145,6 +2373,30 @@ class FileNormalizer {
         if (originalSize !== sanitizedSize) {
             corrections.push(`Tamanho do arquivo alterado: ${originalSize} → ${sanitizedSize} caracteres`);
         }
+
+        if (sanitization && sanitization.blockedRecords > 0) {
+            corrections.push(`${sanitization.blockedRecords} registro(s) bloqueado(s) pelo operador`);
+        }
+
+        headerTables.forEach(table => {
+            table.columns
+                .filter(column => column.field && column.field !== column.header)
+                .forEach(column => {
+                    const header = table.sheet ? `${table.sheet} / ${column.header}` : column.header;
+                    corrections.push(`Coluna '${header}' mapeada para o campo '${column.field}'`);
+                });
+        });
+
+        transformations.forEach(entry => {
+            const column = entry.sheet ? `${entry.sheet} / ${entry.column}` : entry.column;
+            corrections.push(`Coluna '${column}' (${entry.rule}): ${entry.changed} valor(es) normalizado(s)` +
+                (entry.rejected > 0 ? `, ${entry.rejected} mantido(s) pelo operador` : ''));
+        });
+
+        const rejected = transformationLog ? transformationLog.changes.filter(change => change.rejected).length : 0;
+        if (rejected > 0) {
+            corrections.push(`${rejected} alteração(ões) rejeitada(s) pelo operador`);
+        }
         
         return corrections;
     }
@@ -4,72 +4,25 @@
  */
 
 class FileValidationService {
-    constructor() {
-        this.normalizer = new FileNormalizer();
+    /**
+     * @param {SchemaRegistry} schemaRegistry - Healthcare data schemas shared with the normalizer
+     * @param {RuleRegistry} ruleRegistry - Rule packs shared with the normalizer
+     */
+    constructor(schemaRegistry = null, ruleRegistry = null) {
+        this.schemaRegistry = schemaRegistry || new SchemaRegistry();
+        this.normalizer = new FileNormalizer(this.schemaRegistry, ruleRegistry);
+        // Field, record, file, sanitizer and normalizer rules; register packs with ruleRegistry.registerPack
+        this.ruleRegistry = this.normalizer.ruleRegistry;
+        // CID-10 code table, shared with normalization; load with cid10Catalog.loadFromUrl
+        this.cid10Catalog = this.normalizer.cid10Catalog;
+        // CEP range table, shared with normalization; load with addressNormalizer.loadFromUrl
+        this.addressNormalizer = this.normalizer.addressNormalizer;
+        this.ruleEngine = new RecordRuleEngine(this.cid10Catalog, this.addressNormalizer);
+        // Imported estados and municipios, checked by fields declaring "references"
+        this.referenceStore = new ReferenceStore(this.normalizer.headerMapper);
         this.validationHistory = new Map();
         this.quarantineQueue = [];
         
-        // Real healthcare data structures based on Tabelas directory
-        this.healthcareValidators = {
-            medicos: {
-                requiredFields: ['codigo', 'nome_completo', 'especialidade', 'cidade'],
-                optionalFields: [],
-                validation: {
-                    codigo: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
-                    nome_completo: /^[A-Za-zÀ-ÿ\s]+$/,
-                    especialidade: /^[A-Za-zÀ-ÿ\s]+$/,
-                    cidade: /^\d+$/
-                }
-            },
-            hospitais: {
-                requiredFields: ['codigo', 'nome', 'cidade', 'bairro', 'leitos_totais'],
-                optionalFields: ['especialidades'],
-                validation: {
-                    codigo: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
-                    nome: /^[A-Za-zÀ-ÿ\s]+$/,
-                    cidade: /^\d+$/,
-                    bairro: /^[A-Za-zÀ-ÿ\s]+$/,
-                    leitos_totais: /^\d+$/,
-                    especialidades: /^[A-Za-zÀ-ÿ\s;]+$/
-                }
-            },
-            municipios: {
-                requiredFields: ['codigo_ibge', 'nome', 'latitude', 'longitude', 'codigo_uf', 'populacao'],
-                optionalFields: ['capital', 'siafi_id', 'ddd', 'fuso_horario'],
-                validation: {
-                    codigo_ibge: /^\d+$/,
-                    nome: /^[A-Za-zÀ-ÿ\s\-\']+$/,
-                    latitude: /^-?\d+\.?\d*$/,
-                    longitude: /^-?\d+\.?\d*$/,
-                    codigo_uf: /^\d+$/,
-                    populacao: /^\d+$/
-                }
-            },
-            estados: {
-                requiredFields: ['codigo_uf', 'uf', 'nome', 'latitude', 'longitude', 'regiao'],
-                optionalFields: [],
-                validation: {
-                    codigo_uf: /^\d+$/,
-                    uf: /^[A-Z]{2}$/,
-                    nome: /^[A-Za-zÀ-ÿ\s]+$/,
-                    latitude: /^-?\d+\.?\d*$/,
-                    longitude: /^-?\d+\.?\d*$/,
-                    regiao: /^[A-Za-z]+$/
-                }
-            },
-            pacientes: {
-                requiredFields: ['id', 'nome', 'cpf'],
-                optionalFields: ['email', 'telefone', 'endereco', 'nascimento', 'sexo'],
-                validation: {
-                    id: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
-                    nome: /^[A-Za-zÀ-ÿ\s]+$/,
-                    cpf: /^\d{3}\.\d{3}\.\d{3}-\d{2}$|^\d{11}$/,
-                    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-                    telefone: /^\(\d{2}\)\s\d{4,5}-\d{4}$|^\d{10,11}$/
-                }
-            }
-        };
-
         this.securityChecks = {
             maliciousPatterns: [
                 /(<script|<\/script>)/gi,
@@ -90,12 +43,45 @@ class FileValidationService {
                 /(file:\/\/|ftp:\/\/)/gi
             ]
         };
+
+        // The post-normalization scan runs the file rules; these groups are its built-in ones
+        this.ruleRegistry.registerPack({
+            name: 'core.security',
+            label: 'Varredura de segurança',
+            builtIn: true,
+            rules: [
+                { id: 'security.malicious_code', label: 'Código malicioso', severity: 'error', patterns: this.securityChecks.maliciousPatterns },
+                { id: 'security.sql_injection', label: 'Injeção SQL', severity: 'error', patterns: this.securityChecks.sqlInjectionPatterns },
+                { id: 'security.file_inclusion', label: 'Inclusão de arquivo', severity: 'warning', patterns: this.securityChecks.fileInclusionPatterns }
+            ].map(({ patterns, ...rule }) => ({
+                ...rule,
+                kind: 'file',
+                check: content => patterns
+                    .map(pattern => ({ pattern: pattern.toString(), matches: (content.match(pattern) || []).length }))
+                    .filter(finding => finding.matches > 0)
+            }))
+        });
+
+        // Share of the overall progress (0-100) covered by each validation step
+        this.progressStages = {
+            'security-prescan': [0, 5],
+            'normalization': [5, 60],
+            'integrity': [60, 65],
+            'healthcare-validation': [65, 85],
+            'deep-analysis': [85, 92],
+            'security-postscan': [92, 97],
+            'report-generation': [97, 100]
+        };
+
+        // Upper bound of characters inspected by the deep analysis pattern search
+        this.deepAnalysisSampleSize = 64 * 1024;
     }
 
     /**
      * Main validation function with comprehensive checks
      * @param {File} file - The file to validate
-     * @param {Object} options - Validation options
+     * @param {Object} options - Validation options (progressCallback receives { stage, progress, message };
+     *        enabledRules/disabledRules switch registered rules or whole rule packs on or off for this file)
      * @returns {Promise<Object>} Detailed validation results
      */
     async validateFile(file, options = {}) {
@@ -134,12 +120,26 @@ class FileValidationService {
             await this.logStep(context, 'normalization', 'Normalizando arquivo...');
             const normalizationResult = await this.normalizer.normalizeFile(file, (progress) => {
                 this.updateProgress(context, 'normalization', progress);
+            }, {
+                dataType: context.options.dataType,
+                sanitizationDecisions: context.options.sanitizationDecisions,
+                headerMapping: context.options.headerMapping,
+                fullValidation: context.options.fullValidation,
+                dateFormats: context.options.dateFormats,
+                dateLocale: context.options.dateLocale,
+                rejectedChanges: context.options.rejectedChanges,
+                rejectedRules: context.options.rejectedRules,
+                enabledRules: context.options.enabledRules,
+                disabledRules: context.options.disabledRules
             });
 
             if (!normalizationResult.success) {
                 throw new Error(`Falha na normalização: ${normalizationResult.error}`);
             }
 
+            // Rules of the registered packs switched on for this file
+            const rules = this.ruleRegistry.select(context.options);
+
             // Step 3: Content integrity check
             await this.logStep(context, 'integrity', 'Verificando integridade do conteúdo...');
             const integrityCheck = await this.checkContentIntegrity(normalizationResult);
@@ -149,8 +149,16 @@ class FileValidationService {
             const healthcareValidation = await this.validateHealthcareData(
                 normalizationResult.normalized.content,
                 normalizationResult.normalized.detectedType,
-                context.options.dataType
+                context.options.dataType,
+                (fraction) => this.updateProgress(context, 'healthcare-validation', {
+                    progress: Math.round(fraction * 100),
+                    message: 'Validando registros...'
+                }),
+                rules,
+                normalizationResult.normalized.dates
             );
+            // Normalizer rules that threw, once per rule
+            healthcareValidation.warnings.push(...normalizationResult.normalized.ruleFailures);
 
             // Step 5: Deep content analysis (if requested)
             let deepAnalysis = null;
@@ -161,7 +169,7 @@ class FileValidationService {
 
             // Step 6: Security post-scan
             await this.logStep(context, 'security-postscan', 'Varredura de segurança final...');
-            const postSecurityScan = await this.performSecurityPostscan(normalizationResult);
+            const postSecurityScan = await this.performSecurityPostscan(normalizationResult, rules);
 
             // Step 7: Generate final report
             await this.logStep(context, 'report-generation', 'Gerando relatório final...');
@@ -175,8 +183,10 @@ class FileValidationService {
                 deepAnalysis
             });
 
+            this.updateProgress(context, 'report-generation', { progress: 100, message: 'Validação concluída' });
+
             // Store validation history
-            this.validationHistory.set(validationId, validationReport);
+            this.registerValidationReport(validationReport, context.options);
 
             return validationReport;
 
@@ -196,7 +206,7 @@ class FileValidationService {
                 }
             };
 
-            this.validationHistory.set(validationId, errorReport);
+            this.registerValidationReport(errorReport, options);
             return errorReport;
         }
     }
@@ -285,11 +295,10 @@ class FileValidationService {
             } catch (e) {
                 stats.corruptionIndicators.push('Estrutura JSON incompleta ou corrompida');
             }
-        } else if (fileType === 'xml') {
-            const openTags = (content.match(/<[^\/][^>]*>/g) || []).length;
-            const closeTags = (content.match(/<\/[^>]*>/g) || []).length;
-            if (Math.abs(openTags - closeTags) > 5) {
-                stats.corruptionIndicators.push('Tags XML possivelmente não balanceadas');
+        } else if (fileType === 'xml' && this.normalizer.xmlParser.isSupported()) {
+            const { error } = this.normalizer.xmlParser.parse(content);
+            if (error) {
+                stats.corruptionIndicators.push(this.normalizer.xmlParser.formatError(error));
             }
         }
 
@@ -304,8 +313,10 @@ class FileValidationService {
 
     /**
      * Validate healthcare-specific data
+     * @param {Object} rules - Rules active for the file (see RuleRegistry.select); the default selection when omitted
+     * @param {Array<Object>} dates - Date columns of the file as analyzed by the normalizer (normalized.dates)
      */
-    async validateHealthcareData(content, fileType, expectedDataType = 'auto-detect') {
+    async validateHealthcareData(content, fileType, expectedDataType = 'auto-detect', onProgress = null, rules = this.ruleRegistry.select(), dates = []) {
         const issues = [];
         const warnings = [];
         const stats = {
@@ -317,23 +328,69 @@ class FileValidationService {
         };
 
         let dataType = expectedDataType; // Declare dataType at function scope
+        // Ranked data types, when the records had to be classified
+        let classification = null;
+
+        // Names in enabledRules/disabledRules that match no registered rule or pack, and packs left out
+        warnings.push(...this.ruleRegistry.describeProblems(rules));
 
         try {
-            let records = [];
-
-            // Parse content based on file type
-            switch (fileType) {
-                case 'csv':
-                    records = this.parseCSVRecords(content);
-                    break;
-                case 'json':
-                case 'fhir':
-                    records = this.parseJSONRecords(content);
-                    break;
-                case 'xml':
-                    records = this.parseXMLRecords(content);
-                    break;
-                default:
+            // Records to validate, grouped by data type (FHIR Bundles and workbooks can mix several)
+            let recordSets;
+
+            if (fileType === 'fhir') {
+                const fhir = this.normalizer.fhirParser.toRecords(content);
+                issues.push(...fhir.errors);
+                warnings.push(...fhir.warnings);
+
+                recordSets = Object.entries(fhir.records)
+                    .filter(([type, records]) => records.length > 0)
+                    .filter(([type]) => expectedDataType === 'auto-detect' || type === expectedDataType)
+                    .map(([type, records]) => ({ dataType: type, label: type, records }));
+
+                stats.recordsByType = {};
+                recordSets.forEach(set => {
+                    stats.recordsByType[set.dataType] = set.records.length;
+                });
+
+                if (dataType === 'auto-detect') {
+                    dataType = this.getDominantDataType(recordSets);
+                }
+            } else if (fileType === 'xlsx') {
+                // Each sheet is classified and validated like a CSV file of its own
+                recordSets = this.parseSpreadsheetSheets(content)
+                    .filter(sheet => sheet.records.length > 0)
+                    .map(sheet => {
+                        const sheetClassification = expectedDataType === 'auto-detect' ?
+                            this.normalizer.classifier.classifyRecords(sheet.records) : null;
+                        return {
+                            ...sheet,
+                            label: `Aba ${sheet.name}`,
+                            dataType: sheetClassification ? sheetClassification.dataType : expectedDataType,
+                            confidence: sheetClassification ? sheetClassification.confidence : 1
+                        };
+                    });
+
+                stats.sheets = recordSets.map(set => ({
+                    name: set.name,
+                    headerRow: set.headerRow,
+                    dataType: set.dataType,
+                    confidence: set.confidence,
+                    records: set.records.length
+                }));
+
+                recordSets
+                    .filter(set => !this.schemaRegistry.has(set.dataType))
+                    .forEach(set => warnings.push(`Aba "${set.name}": tipo de dados não reconhecido, validação ignorada`));
+
+                if (dataType === 'auto-detect') {
+                    dataType = this.getDominantDataType(recordSets);
+                }
+            } else {
+                // Parse content based on file type; XML record paths also imply a data type
+                const xmlDocument = fileType === 'xml' ? this.parseXMLDocument(content, expectedDataType) : null;
+                const records = xmlDocument ? xmlDocument.records : this.parseRecords(content, fileType, expectedDataType);
+                if (records === null) {
                     warnings.push('Tipo de arquivo não suportado para validação de dados de saúde');
                     return { 
                         passed: true, 
@@ -343,33 +400,89 @@ class FileValidationService {
                         detectedDataType: dataType,
                         timestamp: new Date().toISOString()
                     };
-            }
+                }
 
-            stats.recordsFound = records.length;
+                // Auto-detect data type if not specified; HL7 ADT feeds always carry patients
+                if (dataType === 'auto-detect') {
+                    if (fileType === 'hl7') {
+                        dataType = 'pacientes';
+                    } else if (xmlDocument?.dataType) {
+                        dataType = xmlDocument.dataType;
+                    } else {
+                        classification = this.normalizer.classifier.classifyRecords(records);
+                        dataType = classification.dataType;
+                    }
+                }
 
-            // Auto-detect data type if not specified
-            if (dataType === 'auto-detect') {
-                dataType = this.detectHealthcareDataType(records);
+                recordSets = [{ dataType, label: dataType, records }];
             }
 
+            stats.recordsFound = recordSets.reduce((total, set) => total + set.records.length, 0);
+
             // Validate records based on detected/specified type
-            if (this.healthcareValidators[dataType]) {
-                const validator = this.healthcareValidators[dataType];
+            const validatedSets = recordSets.filter(set => this.schemaRegistry.has(set.dataType));
+            let processed = 0;
+
+            // Foreign keys are checked against the reference data imported so far
+            const referenceFields = validatedSets.flatMap(set => Object.values(this.schemaRegistry.get(set.dataType).fields)
+                .filter(field => field.references)
+                .map(field => ({ dataType: set.dataType, field })));
+            if (referenceFields.length > 0) {
+                try {
+                    await this.referenceStore.load();
+                } catch (error) {
+                    warnings.push(`Dados de referência indisponíveis: ${error.message}`);
+                }
+                referenceFields
+                    .filter(({ field }) => this.referenceStore.count(field.references.dataType) === 0)
+                    .forEach(({ dataType, field }) => {
+                        warnings.push(`Referências de '${dataType}.${field.name}' não verificadas: nenhum registro de ${field.references.dataType} importado`);
+                    });
+            }
+
+            if (this.cid10Catalog.size() === 0) {
+                validatedSets
+                    .filter(set => Object.values(this.schemaRegistry.get(set.dataType).dataTypes).includes('cid10'))
+                    .forEach(set => warnings.push(`Tabela CID-10 não carregada: códigos de ${set.dataType} verificados apenas pelo formato`));
+            }
+
+            validatedSets.forEach(set => {
+                const schema = this.schemaRegistry.get(set.dataType);
+                // Record numbers restart per set, so name the set when a file holds several
+                const label = message => validatedSets.length > 1 ? `[${set.label}] ${message}` : message;
+                // Values seen by the schema's unique rules, and the formats and order of the set's date columns
+                const ruleState = this.ruleEngine.createState(new Date(), dates
+                    .filter(analysis => analysis.sheet === (set.name === undefined ? null : set.name))
+                    .reduce((columns, { column, formats, order }) => ({ ...columns, [column]: { formats, order } }), {}));
+                // Field and record rules of the packs that apply to this data type
+                const packRules = {
+                    field: this.ruleRegistry.forDataType(rules.field, set.dataType),
+                    record: this.ruleRegistry.forDataType(rules.record, set.dataType)
+                };
                 
-                records.forEach((record, index) => {
-                    const recordValidation = this.validateHealthcareRecord(record, validator, index);
+                set.records.forEach((record, index) => {
+                    const recordValidation = this.validateHealthcareRecord(record, schema, index, ruleState, packRules);
                     
                     if (recordValidation.isValid) {
                         stats.validRecords++;
                     } else {
                         stats.invalidRecords++;
-                        issues.push(...recordValidation.errors);
-                        warnings.push(...recordValidation.warnings);
+                        issues.push(...recordValidation.errors.map(label));
                     }
 
+                    // Format, range and value-set findings do not invalidate the record
+                    warnings.push(...recordValidation.warnings.map(label));
+
                     stats.missingFields.push(...recordValidation.missingFields);
+
+                    processed++;
+                    if (onProgress && processed % 1000 === 0) {
+                        onProgress(processed / stats.recordsFound);
+                    }
                 });
+            });
 
+            if (validatedSets.length > 0) {
                 // Calculate data quality score
                 stats.dataQualityScore = stats.recordsFound > 0 ? 
                     (stats.validRecords / stats.recordsFound) * 100 : 0;
@@ -403,6 +516,7 @@ class FileValidationService {
             warnings,
             stats,
             detectedDataType: dataType,
+            ...(classification ? { classification } : {}),
             timestamp: new Date().toISOString()
         };
     }
@@ -447,52 +561,29 @@ class FileValidationService {
     }
 
     /**
-     * Perform security scan after normalization
+     * Perform security scan after normalization: the file rules active for the file (the built-in
+     * pattern groups of securityChecks and the file rules of the rule packs), each finding a threat
+     * of high ('error' rules) or medium ('warning' rules) severity
+     * @param {Object} rules - Rules active for the file (see RuleRegistry.select); the default selection when omitted
      */
-    async performSecurityPostscan(normalizationResult) {
+    async performSecurityPostscan(normalizationResult, rules = this.ruleRegistry.select()) {
         const issues = [];
         const warnings = [];
         const threats = [];
 
-        const content = normalizationResult.normalized.content;
-
-        // Check for malicious patterns
-        this.securityChecks.maliciousPatterns.forEach((pattern, index) => {
-            const matches = content.match(pattern);
-            if (matches) {
-                threats.push({
-                    type: 'malicious_code',
-                    pattern: pattern.toString(),
-                    matches: matches.length,
-                    severity: 'high'
-                });
-            }
-        });
+        const { content, detectedType, healthcareDataType } = normalizationResult.normalized;
+        const fileContext = { fileType: detectedType, dataType: healthcareDataType, fileName: normalizationResult.originalFile.name };
 
-        // Check for SQL injection patterns
-        this.securityChecks.sqlInjectionPatterns.forEach((pattern, index) => {
-            const matches = content.match(pattern);
-            if (matches) {
+        this.ruleRegistry.forDataType(rules.file, healthcareDataType).forEach(rule => {
+            this.ruleRegistry.run(rule, content, fileContext).forEach(finding => {
                 threats.push({
-                    type: 'sql_injection',
-                    pattern: pattern.toString(),
-                    matches: matches.length,
-                    severity: 'high'
+                    type: rule.id,
+                    ...(finding.pattern ? { pattern: finding.pattern } : {}),
+                    matches: finding.matches || 1,
+                    severity: finding.severity === 'error' ? 'high' : 'medium',
+                    message: finding.message
                 });
-            }
-        });
-
-        // Check for file inclusion attempts
-        this.securityChecks.fileInclusionPatterns.forEach((pattern, index) => {
-            const matches = content.match(pattern);
-            if (matches) {
-                threats.push({
-                    type: 'file_inclusion',
-                    pattern: pattern.toString(),
-                    matches: matches.length,
-                    severity: 'medium'
-                });
-            }
+            });
         });
 
         // Evaluate threat level
@@ -546,13 +637,28 @@ class FileValidationService {
             security: {
                 prescan: preSecurityScan,
                 postscan: postSecurityScan,
-                overallRisk: this.calculateOverallRisk(preSecurityScan, postSecurityScan)
+                overallRisk: this.calculateOverallRisk(preSecurityScan, postSecurityScan),
+                // Spreadsheet formula payloads found cell by cell (row, column, value, action taken)
+                formulaInjection: (normalizationResult.normalized.sanitization?.findings || [])
+                    .filter(finding => finding.rules.some(rule => rule.startsWith('formula')))
             },
 
             integrity: integrityCheck,
             
             healthcare: healthcareValidation,
 
+            // Suspicious values found by the sanitizer and the action applied to each
+            sanitization: normalizationResult.normalized.sanitization,
+
+            // Data types ranked by header and value fit; ambiguous when the top two are close
+            classification: healthcareValidation.classification || normalizationResult.normalized.classification,
+
+            // Source column to schema field matches per table, with candidates for unmatched columns
+            headerMapping: normalizationResult.normalized.headerMapping || [],
+
+            // Every row's errors as { row, column, value, rule, severity, message } when options.fullValidation is set
+            rowValidation: normalizationResult.validation.structure.rowValidation || null,
+
             normalization: {
                 success: normalizationResult.success,
                 issuesFound: normalizationResult.validation.issuesFound,
@@ -562,14 +668,15 @@ class FileValidationService {
             deepAnalysis: deepAnalysis,
 
             summary: {
-                status: this.determineOverallStatus(preSecurityScan, postSecurityScan, integrityCheck, healthcareValidation),
-                recommendations: this.generateRecommendations(validationData),
-                nextSteps: this.generateNextSteps(validationData)
+                status: this.determineOverallStatus(preSecurityScan, postSecurityScan, integrityCheck, healthcareValidation)
             },
 
             processingSteps: context.steps
         };
 
+        report.summary.recommendations = this.generateRecommendations(report);
+        report.summary.nextSteps = this.generateNextSteps(report);
+
         // Determine if file should be quarantined
         if (report.security.overallRisk === 'high' || !integrityCheck.passed) {
             report.quarantine = {
@@ -578,19 +685,62 @@ class FileValidationService {
                 timestamp: new Date().toISOString()
             };
 
-            if (context.options.allowQuarantine) {
-                this.quarantineQueue.push({
-                    validationId: context.validationId,
-                    file: normalizationResult.originalFile,
-                    reason: report.quarantine.reason,
-                    timestamp: report.quarantine.timestamp
-                });
-            }
         }
 
         return report;
     }
 
+    /**
+     * Store a report in the validation history and quarantine it when required.
+     * Also used for reports produced by the normalization worker.
+     */
+    registerValidationReport(report, options = {}) {
+        this.validationHistory.set(report.validationId, report);
+
+        if (report.quarantine?.required && options.allowQuarantine) {
+            this.quarantineQueue.push({
+                validationId: report.validationId,
+                file: report.file.original,
+                reason: report.quarantine.reason,
+                timestamp: report.quarantine.timestamp
+            });
+        }
+    }
+
+    /**
+     * Keep the estados and municipios of an imported file as reference data for later validations
+     * @param {string} content - Normalized content
+     * @param {string} fileType - Normalized file type
+     * @param {Object} healthcareValidation - Result of validateHealthcareData for the content
+     * @returns {Promise<Object>} Records stored per data type; records that failed validation are left out
+     */
+    async importReferenceData(content, fileType, healthcareValidation) {
+        const recordSets = fileType === 'xlsx'
+            ? this.parseSpreadsheetSheets(content).map(sheet => ({
+                dataType: (healthcareValidation.stats.sheets || []).find(stats => stats.name === sheet.name)?.dataType,
+                records: sheet.records
+            }))
+            : [{
+                dataType: healthcareValidation.detectedDataType,
+                records: this.parseRecords(content, fileType, healthcareValidation.detectedDataType) || []
+            }];
+
+        const imported = {};
+        for (const set of recordSets.filter(set => this.referenceStore.tables[set.dataType] && this.schemaRegistry.has(set.dataType))) {
+            const schema = this.schemaRegistry.get(set.dataType);
+            const ruleState = this.ruleEngine.createState();
+            // Store the valid records by schema field names
+            const records = set.records
+                .filter((record, index) => this.validateHealthcareRecord(record, schema, index, ruleState).isValid)
+                .map(record => Object.entries(record).reduce((fields, [key, value]) => {
+                    fields[this.schemaRegistry.resolveField(set.dataType, key) || key] = value;
+                    return fields;
+                }, {}));
+            imported[set.dataType] = (imported[set.dataType] || 0) + await this.referenceStore.importRecords(set.dataType, records);
+        }
+        return imported;
+    }
+
     /**
      * Helper methods
      */
@@ -605,117 +755,287 @@ class FileValidationService {
             timestamp: new Date().toISOString(),
             elapsed: Date.now() - context.startTime
         });
+        this.updateProgress(context, stepType, { progress: 0, message });
     }
 
+    /**
+     * Map a step-local progress (0-100) onto the overall validation progress
+     * and forward it to options.progressCallback
+     */
     updateProgress(context, stage, progress) {
-        // This could emit events or update UI
+        const [start, end] = this.progressStages[stage] || [100, 100];
+        const overall = start + (end - start) * Math.min(100, progress.progress || 0) / 100;
+
         console.log(`[${context.validationId}] ${stage}: ${progress.message || progress.progress}%`);
+
+        if (typeof context.options.progressCallback === 'function') {
+            context.options.progressCallback({
+                stage: progress.stage || stage,
+                progress: Math.round(overall),
+                message: progress.message || ''
+            });
+        }
     }
 
-    parseCSVRecords(content) {
-        const lines = content.split('\n').filter(line => line.trim());
-        if (lines.length < 2) return [];
+    /**
+     * Parse content into flat record objects according to the file type
+     * @returns {Array<Object>|null} Records, or null when the type is not supported
+     */
+    parseRecords(content, fileType, dataType = null) {
+        switch (fileType) {
+            case 'csv':
+                return this.parseCSVRecords(content);
+            case 'json':
+                return this.parseJSONRecords(content);
+            case 'fhir':
+                return this.parseFHIRRecords(content, dataType);
+            case 'xml':
+                return this.parseXMLRecords(content, dataType);
+            case 'hl7':
+                return this.parseHL7Records(content);
+            case 'xlsx':
+                return this.parseSpreadsheetRecords(content, dataType);
+            default:
+                return null;
+        }
+    }
 
-        const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-        const records = [];
+    /**
+     * Data type of the largest record set
+     */
+    getDominantDataType(recordSets) {
+        const largest = [...recordSets].sort((a, b) => b.records.length - a.records.length)[0];
+        return largest ? largest.dataType : 'unknown';
+    }
 
-        for (let i = 1; i < lines.length; i++) {
-            const values = lines[i].split(',').map(v => v.trim().replace(/"/g, ''));
-            const record = {};
-            headers.forEach((header, index) => {
-                record[header] = values[index] || '';
-            });
-            records.push(record);
-        }
+    parseCSVRecords(content) {
+        const delimiter = this.normalizer.detectCSVDelimiter(content);
+        return CSVParser.parseRecords(content, { delimiter }).records;
+    }
 
-        return records;
+    parseHL7Records(content) {
+        return this.normalizer.hl7Parser.toPacientesRecords(content);
     }
 
-    parseJSONRecords(content) {
+    /**
+     * FHIR resources mapped to schema records; all mapped types when dataType is not given
+     */
+    parseFHIRRecords(content, dataType = null) {
         try {
-            const parsed = JSON.parse(content);
-            return Array.isArray(parsed) ? parsed : [parsed];
+            const { records } = this.normalizer.fhirParser.toRecords(content);
+            if (dataType && records[dataType]) {
+                return records[dataType];
+            }
+            return Object.values(records).flat();
         } catch (error) {
             return [];
         }
     }
 
-    parseXMLRecords(content) {
-        // Simplified XML parsing - in a real implementation, use a proper XML parser
-        const records = [];
-        const recordPattern = /<(\w+)>(.*?)<\/\1>/gs;
-        let match;
-
-        while ((match = recordPattern.exec(content)) !== null) {
-            // This is a very basic implementation
-            records.push({ type: match[1], content: match[2] });
+    /**
+     * Sheets of a workbook document (see FileNormalizer.readSpreadsheet) with their records
+     */
+    parseSpreadsheetSheets(content) {
+        try {
+            const { sheets } = JSON.parse(content);
+            return sheets.map(sheet => ({
+                name: sheet.name,
+                headerRow: sheet.headerRow,
+                records: this.normalizer.spreadsheetReader.toRecords(sheet)
+            }));
+        } catch (error) {
+            return [];
         }
-
-        return records;
     }
 
-    detectHealthcareDataType(records) {
-        if (records.length === 0) return 'unknown';
-
-        const firstRecord = records[0];
-        const fields = Object.keys(firstRecord);
-        const fieldsStr = fields.join(' ').toLowerCase();
-
-        // Healthcare data type detection based on Tabelas directory structure
-        
-        // Check for medicos data
-        if (fields.some(f => ['codigo', 'nome_completo', 'especialidade'].includes(f.toLowerCase())) ||
-            /nome_completo.*especialidade/.test(fieldsStr)) {
-            return 'medicos';
-        }
+    /**
+     * Records of the sheets detected as dataType; every sheet when none is detected as
+     * dataType (a workbook uploaded explicitly as that type) or no dataType is given
+     */
+    parseSpreadsheetRecords(content, dataType = null) {
+        const sheets = this.parseSpreadsheetSheets(content);
+        const matching = sheets.filter(sheet => this.detectHealthcareDataType(sheet.records) === dataType);
+        return (matching.length > 0 ? matching : sheets).flatMap(sheet => sheet.records);
+    }
 
-        // Check for hospitais data
-        if (fields.some(f => ['leitos_totais', 'especialidades'].includes(f.toLowerCase())) ||
-            /leitos.*especialidades/.test(fieldsStr)) {
-            return 'hospitais';
+    parseJSONRecords(content) {
+        try {
+            const parsed = JSON.parse(content);
+            return Array.isArray(parsed) ? parsed : [parsed];
+        } catch (error) {
+            return [];
         }
+    }
 
-        // Check for municipios data
-        if (fields.some(f => ['codigo_ibge', 'populacao', 'siafi_id'].includes(f.toLowerCase())) ||
-            /codigo_ibge.*populacao/.test(fieldsStr)) {
-            return 'municipios';
-        }
+    /**
+     * Records under the configured record path for dataType (see XMLRecordParser.recordPaths)
+     */
+    parseXMLRecords(content, dataType = null) {
+        const document = this.parseXMLDocument(content, dataType);
+        return document ? document.records : null;
+    }
 
-        // Check for estados data
-        if (fields.some(f => ['codigo_uf', 'uf', 'regiao'].includes(f.toLowerCase())) ||
-            /codigo_uf.*regiao/.test(fieldsStr)) {
-            return 'estados';
+    /**
+     * @returns {{records: Array<Object>, dataType: string|null}|null} Records plus the data type
+     *          implied by the record path, or null when DOMParser is unavailable
+     */
+    parseXMLDocument(content, dataType = null) {
+        if (!this.normalizer.xmlParser.isSupported()) {
+            return null;
         }
 
-        // Check for pacientes data
-        if (fields.some(f => ['cpf', 'paciente', 'nascimento'].includes(f.toLowerCase())) ||
-            /cpf.*email|telefone.*endereco/.test(fieldsStr)) {
-            return 'pacientes';
+        const { records, dataType: pathDataType, error } = this.normalizer.xmlParser.toRecords(content, dataType);
+        if (error) {
+            throw new Error(this.normalizer.xmlParser.formatError(error));
         }
+        return { records, dataType: pathDataType };
+    }
 
-        return 'unknown';
+    /**
+     * Most likely data type of parsed records (see DataTypeClassifier)
+     * @returns {string} Data type or 'unknown'
+     */
+    detectHealthcareDataType(records) {
+        return this.normalizer.classifier.classifyRecords(records).dataType;
     }
 
-    validateHealthcareRecord(record, validator, recordIndex) {
+    /**
+     * Validate a record against its schema: required fields, then format, range and value set of each field,
+     * then foreign keys and the schema's cross-field and cross-record rules
+     * @param {Object} record - Flat record; keys may be schema fields or their aliases
+     * @param {Object} schema - Compiled schema from the SchemaRegistry
+     * @param {Object} ruleState - RecordRuleEngine state shared by the records of a file; without it
+     *        cross-record rules (unique) are skipped
+     * @param {Object} packRules - { field, record }: rules of the rule packs to run after the schema's own
+     */
+    validateHealthcareRecord(record, schema, recordIndex, ruleState = null, packRules = null) {
         const errors = [];
         const warnings = [];
         const missingFields = [];
 
-        // Check required fields
-        validator.requiredFields.forEach(field => {
-            if (!record[field] || record[field].toString().trim() === '') {
-                missingFields.push(field);
-                errors.push(`Registro ${recordIndex + 1}: Campo obrigatório '${field}' ausente`);
+        // Read the record by schema field names
+        const fields = {};
+        Object.entries(record).forEach(([key, value]) => {
+            const field = this.schemaRegistry.resolveField(schema.name, key) || key.trim().toLowerCase();
+            if (!(field in fields) || fields[field] === '') {
+                fields[field] = value;
+            }
+        });
+
+        // Check required fields (and that one of the alternative keys is filled)
+        const filledFields = Object.keys(fields).filter(field => fields[field] && fields[field].toString().trim() !== '');
+        this.schemaRegistry.missingRequired(schema.name, filledFields).forEach(field => {
+            missingFields.push(field);
+            errors.push(`Registro ${recordIndex + 1}: Campo obrigatório '${field}' ausente`);
+        });
+
+        // Validate field formats, ranges and value sets
+        Object.keys(schema.fields).forEach(field => {
+            const violation = this.schemaRegistry.checkValue(schema.name, field, fields[field]);
+            if (violation) {
+                warnings.push(`Registro ${recordIndex + 1}: ${violation.message}`);
             }
         });
 
-        // Validate field formats
-        Object.entries(validator.validation || {}).forEach(([field, pattern]) => {
-            if (record[field] && !pattern.test(record[field])) {
-                warnings.push(`Registro ${recordIndex + 1}: Formato inválido para '${field}': ${record[field]}`);
+        // CPF/CNPJ/CNES check digits
+        Object.keys(record).forEach(field => {
+            const documentType = this.normalizer.documentValidator.fieldDocumentType(field);
+            const value = record[field] ? record[field].toString().trim() : '';
+            if (!documentType || !value) return;
+
+            const { isValid, error } = this.normalizer.documentValidator.validate(value, documentType);
+            if (!isValid) {
+                errors.push(`Registro ${recordIndex + 1}: ${field} ${value} inválido: ${error.message}` +
+                    (error.suggestion ? ` (com a base informada, o correto seria ${error.suggestion})` : ''));
             }
         });
 
+        // CID-10 codes: format and presence in the loaded table
+        Object.entries(schema.dataTypes)
+            .filter(([field, type]) => type === 'cid10' && fields[field] && fields[field].toString().trim() !== '')
+            .forEach(([field]) => {
+                const { isValid, error } = this.cid10Catalog.validate(fields[field]);
+                if (!isValid) {
+                    errors.push(`Registro ${recordIndex + 1}: ${error.message} em '${field}'`);
+                }
+            });
+
+        // CRM: number and council UF, which may come in the estado_<field> column (estado_crm);
+        // rules compare the canonical form
+        Object.entries(schema.dataTypes)
+            .filter(([field, type]) => type === 'crm' && fields[field] && fields[field].toString().trim() !== '')
+            .forEach(([field]) => {
+                const { isValid, crm, error } = this.normalizer.crmValidator.validate(fields[field], fields[`estado_${field}`]);
+                if (!isValid) {
+                    errors.push(`Registro ${recordIndex + 1}: ${error.message}`);
+                }
+                fields[field] = crm;
+            });
+
+        // Dates: real calendar dates in the formats and day/month order of their column
+        Object.entries(schema.dataTypes)
+            .filter(([field, type]) => type === 'date' && fields[field] && fields[field].toString().trim() !== '')
+            .forEach(([field]) => {
+                const { error } = this.normalizer.dateParser.parse(fields[field], this.ruleEngine.dateOptions(field, ruleState));
+                if (error) {
+                    (error.code === 'calendar' ? errors : warnings).push(`Registro ${recordIndex + 1}: ${error.message} em '${field}'`);
+                }
+            });
+
+        // Phones: Brazilian numbers with an existing DDD
+        Object.entries(schema.dataTypes)
+            .filter(([field, type]) => type === 'phone' && fields[field] && fields[field].toString().trim() !== '')
+            .forEach(([field]) => {
+                const { isValid, error } = this.normalizer.phoneNormalizer.validate(fields[field]);
+                if (!isValid) {
+                    warnings.push(`Registro ${recordIndex + 1}: ${error.message} em '${field}'`);
+                }
+            });
+
+        // CEPs: 8 digits within the range of some UF
+        Object.entries(schema.dataTypes)
+            .filter(([field, type]) => type === 'cep' && fields[field] && fields[field].toString().trim() !== '')
+            .forEach(([field]) => {
+                const { isValid, error } = this.addressNormalizer.validateCEP(fields[field]);
+                if (!isValid) {
+                    warnings.push(`Registro ${recordIndex + 1}: ${error.message} em '${field}'`);
+                }
+            });
+
+        // Foreign keys against the imported reference data
+        Object.values(schema.fields)
+            .filter(field => field.references)
+            .forEach(field => {
+                const unresolved = this.referenceStore.check(field.references, fields[field.name]);
+                if (unresolved) {
+                    errors.push(`Registro ${recordIndex + 1}: ${field.name} ${unresolved.message}`);
+                }
+            });
+
+        // Cross-field and cross-record rules declared in the schema
+        this.ruleEngine.evaluate(schema, fields, ruleState, recordIndex).forEach(violation => {
+            (violation.severity === 'error' ? errors : warnings).push(`Registro ${recordIndex + 1}: ${violation.message}`);
+        });
+
+        // Rules of the rule packs: field rules per filled value, then record rules
+        if (packRules) {
+            const findings = [];
+            Object.entries(fields)
+                .filter(([field, value]) => value !== undefined && value !== null && value.toString().trim() !== '')
+                .forEach(([field, value]) => {
+                    const fieldType = schema.dataTypes[field] || null;
+                    this.ruleRegistry.forField(packRules.field, field, fieldType).forEach(rule => {
+                        findings.push(...this.ruleRegistry.run(rule, value.toString().trim(), { field, fieldType, dataType: schema.name, row: recordIndex + 1 }));
+                    });
+                });
+            packRules.record.forEach(rule => {
+                findings.push(...this.ruleRegistry.run(rule, fields, { dataType: schema.name, recordIndex, state: ruleState }));
+            });
+            findings.forEach(({ severity, message }) => {
+                (severity === 'error' ? errors : warnings).push(`Registro ${recordIndex + 1}: ${message}`);
+            });
+        }
+
         return {
             isValid: errors.length === 0,
             errors,
@@ -737,13 +1057,13 @@ class FileValidationService {
         let letters = 0;
         let special = 0;
 
-        for (let char of content) {
-            const code = char.charCodeAt(0);
+        for (let i = 0; i < content.length; i++) {
+            const code = content.charCodeAt(i);
             if (code < 128) ascii++;
             else nonAscii++;
 
-            if (/\d/.test(char)) digits++;
-            else if (/[a-zA-Z]/.test(char)) letters++;
+            if (code >= 48 && code <= 57) digits++;
+            else if ((code >= 65 && code <= 90) || (code >= 97 && code <= 122)) letters++;
             else special++;
         }
 
@@ -752,15 +1072,19 @@ class FileValidationService {
 
     detectRepeatingPatterns(content) {
         const patterns = new Map();
-        const minPatternLength = 10;
-        const maxPatternLength = 100;
+        const patternLengths = [10, 20, 50, 100];
+
+        // Searching every length over the whole file is O(n·91); a bounded sample keeps large files responsive
+        const sample = content.length > this.deepAnalysisSampleSize
+            ? content.substring(0, this.deepAnalysisSampleSize)
+            : content;
 
-        for (let length = minPatternLength; length <= maxPatternLength; length++) {
-            for (let i = 0; i <= content.length - length; i++) {
-                const pattern = content.substring(i, i + length);
+        patternLengths.forEach(length => {
+            for (let i = 0; i <= sample.length - length; i++) {
+                const pattern = sample.substring(i, i + length);
                 patterns.set(pattern, (patterns.get(pattern) || 0) + 1);
             }
-        }
+        });
 
         return Array.from(patterns.entries())
             .filter(([pattern, count]) => count > 3)
@@ -788,11 +1112,11 @@ class FileValidationService {
         return 'passed';
     }
 
-    generateRecommendations(validationData) {
+    generateRecommendations(report) {
         const recommendations = [];
-        const { healthcareValidation, security, integrity } = validationData;
+        const { healthcare, security, integrity } = report;
 
-        if (healthcareValidation.stats.dataQualityScore < 70) {
+        if (healthcare.stats.dataQualityScore < 70) {
             recommendations.push('Revisar qualidade dos dados antes da importação');
         }
 
@@ -804,12 +1128,25 @@ class FileValidationService {
             recommendations.push('Verificar integridade da fonte dos dados');
         }
 
+        const allowedFormulas = security.formulaInjection.filter(finding => finding.action === 'allow').length;
+        if (allowedFormulas > 0) {
+            recommendations.push(`${allowedFormulas} fórmula(s) de planilha mantida(s) sem escape: não abrir exportações deste arquivo no Excel sem revisão`);
+        }
+
+        if (report.headerMapping.some(table => table.needsReview)) {
+            recommendations.push('Confirmar o mapeamento das colunas que não correspondem aos campos do esquema');
+        }
+
+        if (report.rowValidation?.summary.total > 0) {
+            recommendations.push(`Exportar a lista de erros por linha (${report.rowValidation.summary.total}) para correção na origem`);
+        }
+
         return recommendations;
     }
 
-    generateNextSteps(validationData) {
+    generateNextSteps(report) {
         const steps = [];
-        const { summary } = validationData;
+        const { summary } = report;
 
         if (summary.status === 'passed') {
             steps.push('Arquivo aprovado para importação');
@@ -842,6 +1179,17 @@ class FileValidationService {
         }));
     }
 
+    /**
+     * Row errors of a report as CSV (see ValidationErrorCollector.toCSV)
+     * @returns {string|null} null when the file was validated without options.fullValidation
+     */
+    exportRowErrors(report) {
+        if (!report.rowValidation) {
+            return null;
+        }
+        return ValidationErrorCollector.toCSV(report.rowValidation);
+    }
+
     /**
      * Get quarantine queue
      */
@@ -0,0 +1,306 @@
+/**
+ * APS Healthcare Platform - Header Mapper
+ * Matches source column names (e.g. "Nome Completo", "Qtd Leitos", "cod_municipio") to schema fields
+ * by exact name, alias and fuzzy similarity, and keeps operator-made mappings as templates per data source
+ */
+
+class HeaderMapper {
+    /**
+     * @param {SchemaRegistry} schemaRegistry - Schemas whose fields and aliases are matched
+     */
+    constructor(schemaRegistry) {
+        this.schemaRegistry = schemaRegistry;
+
+        // Fuzzy matches at or above acceptScore are applied without asking
+        this.acceptScore = 0.85;
+        // Fields scoring at least candidateScore are offered in the mapping dialog
+        this.candidateScore = 0.5;
+        // A fuzzy match closer than this to the next field is ambiguous
+        this.ambiguityMargin = 0.1;
+        // Candidates kept per column
+        this.maxCandidates = 3;
+
+        // Abbreviations common in Brazilian health exports, expanded before comparing words
+        this.abbreviations = {
+            cod: 'codigo',
+            cd: 'codigo',
+            num: 'numero',
+            nro: 'numero',
+            nr: 'numero',
+            dt: 'data',
+            nasc: 'nascimento',
+            tel: 'telefone',
+            fone: 'telefone',
+            end: 'endereco',
+            mun: 'municipio',
+            esp: 'especialidade',
+            lat: 'latitude',
+            lon: 'longitude',
+            lng: 'longitude',
+            long: 'longitude',
+            pop: 'populacao',
+            qtd: 'quantidade',
+            qtde: 'quantidade',
+            id: 'codigo'
+        };
+
+        // Words that do not tell fields apart
+        this.stopWords = ['de', 'do', 'da', 'dos', 'das', 'e', 'o', 'a', 'quantidade'];
+
+        this.templateStorageKey = 'aps_header_templates';
+    }
+
+    /**
+     * Comparable form of a column name: no accents, lowercase, words joined by underscores
+     * ("Código IBGE " -> "codigo_ibge")
+     */
+    normalizeName(name) {
+        return String(name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+    }
+
+    /**
+     * Meaningful words of a normalized name, with abbreviations expanded
+     */
+    words(normalizedName) {
+        return normalizedName
+            .split('_')
+            .filter(Boolean)
+            .map(word => this.abbreviations[word] || word)
+            .filter(word => !this.stopWords.includes(word));
+    }
+
+    /**
+     * Similarity between two normalized names, from 0 to 1: the better of the shared-word ratio
+     * and the edit distance ratio
+     */
+    similarity(a, b) {
+        if (a === b) {
+            return 1;
+        }
+
+        const wordsA = this.words(a);
+        const wordsB = this.words(b);
+        let wordScore = 0;
+        if (wordsA.length > 0 && wordsB.length > 0) {
+            // Words match when equal or when one abbreviates the other ("espec" / "especialidade")
+            const matches = (x, y) => x === y || (Math.min(x.length, y.length) >= 4 && (x.startsWith(y) || y.startsWith(x)));
+            const shared = wordsA.filter(word => wordsB.some(other => matches(word, other))).length;
+            wordScore = (2 * shared) / (wordsA.length + wordsB.length);
+        }
+
+        const editScore = 1 - this.editDistance(a, b) / Math.max(a.length, b.length);
+
+        // Fuzzy matches never reach the score of an exact name or alias
+        return Math.min(0.95, Math.max(wordScore, editScore));
+    }
+
+    /**
+     * Levenshtein distance
+     */
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Score of a column against one schema field, using the field name and its aliases
+     * @returns {{field: string, score: number, method: 'exact'|'alias'|'fuzzy'}}
+     */
+    scoreField(normalizedHeader, field) {
+        if (normalizedHeader === field.name) {
+            return { field: field.name, score: 1, method: 'exact' };
+        }
+
+        const aliases = field.aliases.map(alias => this.normalizeName(alias));
+        if (aliases.includes(normalizedHeader)) {
+            return { field: field.name, score: 1, method: 'alias' };
+        }
+
+        const score = Math.max(...[field.name, ...aliases].map(name => this.similarity(normalizedHeader, name)));
+        return { field: field.name, score, method: 'fuzzy' };
+    }
+
+    /**
+     * Match the columns of a table to the fields of a schema
+     * @param {string} dataType - Schema to match against
+     * @param {Array<string>} headers - Source column names, in file order
+     * @param {Object} assigned - { [sourceHeader]: field|'' } chosen by the operator or a template;
+     *        '' keeps the column unmapped
+     * @returns {Object} { dataType, columns, missingRequired, needsReview } where each column is
+     *          { index, header, field, score, method, candidates: [{ field, score }] }
+     */
+    match(dataType, headers, assigned = {}) {
+        const schema = this.schemaRegistry.get(dataType);
+        const columns = headers.map((header, index) => ({
+            index,
+            header: String(header || '').trim(),
+            field: null,
+            score: 0,
+            method: null,
+            candidates: []
+        }));
+
+        if (!schema) {
+            return { dataType, columns, missingRequired: [], needsReview: false };
+        }
+
+        const fields = Object.values(schema.fields);
+        const taken = new Set();
+
+        // Operator and template choices come first
+        columns.forEach(column => {
+            if (!(column.header in assigned)) {
+                return;
+            }
+            const field = assigned[column.header];
+            column.method = 'manual';
+            if (field && schema.fields[field] && !taken.has(field)) {
+                column.field = field;
+                column.score = 1;
+                taken.add(field);
+            }
+        });
+
+        // Score the remaining columns against every field
+        const open = columns.filter(column => column.method === null);
+        open.forEach(column => {
+            const normalized = this.normalizeName(column.header);
+            column.candidates = fields
+                .map(field => this.scoreField(normalized, field))
+                .filter(candidate => candidate.score >= this.candidateScore)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, this.maxCandidates);
+        });
+
+        // Best pairs first, each field used once; fuzzy matches need a clear lead over the next field
+        open
+            .flatMap(column => column.candidates.map(candidate => ({ column, ...candidate })))
+            .sort((a, b) => b.score - a.score)
+            .forEach(({ column, field, score, method }) => {
+                if (column.field || taken.has(field) || score < this.acceptScore) {
+                    return;
+                }
+                const runnerUp = column.candidates.find(candidate => candidate.field !== field && !taken.has(candidate.field));
+                if (method === 'fuzzy' && runnerUp && score - runnerUp.score < this.ambiguityMargin) {
+                    return;
+                }
+                column.field = field;
+                column.score = score;
+                column.method = method;
+                taken.add(field);
+            });
+
+        const missingRequired = this.schemaRegistry.missingRequired(dataType, taken);
+        const unmapped = open.filter(column => !column.field);
+
+        return {
+            dataType,
+            columns,
+            missingRequired,
+            // Ask the operator when a column has likely fields but none was applied,
+            // or when required fields are missing and unmapped columns could hold them
+            needsReview: unmapped.some(column => column.candidates.some(candidate => !taken.has(candidate.field))) ||
+                (missingRequired.length > 0 && unmapped.length > 0)
+        };
+    }
+
+    /**
+     * Schema field names for the header row, keeping unmapped columns as they are
+     */
+    renameHeaders(result) {
+        return result.columns.map(column => column.field || column.header);
+    }
+
+    /**
+     * Saved templates: { [templateId]: { source, dataType, columns: { [normalizedHeader]: field|'' }, savedAt } }
+     * where templateId is "dataType/source"
+     */
+    getTemplates() {
+        if (typeof localStorage === 'undefined') {
+            return {};
+        }
+        try {
+            return JSON.parse(localStorage.getItem(this.templateStorageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Save a column mapping as the template of a data source (e.g. "DATASUS", "Hospital X"), replacing
+     * the previous one of that source for the same data type
+     * @param {string} source - Data source name
+     * @param {string} dataType - Schema the mapping targets
+     * @param {Object} assignments - { [sourceHeader]: field|'' }
+     */
+    saveTemplate(source, dataType, assignments) {
+        const name = String(source || '').trim();
+        if (!name) {
+            throw new Error('Informe o nome da fonte de dados para salvar o modelo');
+        }
+
+        const templates = this.getTemplates();
+        const id = `${dataType}/${name}`;
+        templates[id] = {
+            source: name,
+            dataType,
+            columns: Object.entries(assignments).reduce((columns, [header, field]) => {
+                columns[this.normalizeName(header)] = field;
+                return columns;
+            }, {}),
+            savedAt: new Date().toISOString()
+        };
+        localStorage.setItem(this.templateStorageKey, JSON.stringify(templates));
+        return templates[id];
+    }
+
+    deleteTemplate(templateId) {
+        const templates = this.getTemplates();
+        delete templates[templateId];
+        localStorage.setItem(this.templateStorageKey, JSON.stringify(templates));
+    }
+
+    /**
+     * Assignments of a template for the given headers; headers the template does not know are left out
+     * @returns {Object} { [sourceHeader]: field|'' }
+     */
+    applyTemplate(template, headers) {
+        return headers.reduce((assignments, header) => {
+            const key = this.normalizeName(header);
+            if (key in template.columns) {
+                assignments[String(header).trim()] = template.columns[key];
+            }
+            return assignments;
+        }, {});
+    }
+
+    /**
+     * Saved template of the data type that knows every one of the headers, if any
+     */
+    findTemplate(dataType, headers) {
+        return Object.values(this.getTemplates()).find(template =>
+            template.dataType === dataType &&
+            headers.every(header => this.normalizeName(header) in template.columns)) || null;
+    }
+}
+
+// Export for use in other modules
+window.HeaderMapper = HeaderMapper;
@@ -0,0 +1,315 @@
+/**
+ * APS Healthcare Platform - HL7 v2 Parser
+ * Parses HL7 v2.x messages into a segment/field model and maps ADT feeds to pacientes records
+ */
+
+class HL7Parser {
+    constructor() {
+        this.defaultEncoding = {
+            field: '|',
+            component: '^',
+            repetition: '~',
+            escape: '\\',
+            subcomponent: '&'
+        };
+
+        // Identifier type codes (CX.5) used by Brazilian feeds for the CPF
+        this.cpfIdentifierTypes = ['CPF', 'TAX', 'NI'];
+
+        this.segmentNamePattern = /^[A-Z][A-Z0-9]{2}$/;
+
+        this.dateParser = new DateParser();
+    }
+
+    /**
+     * Parse a document that may hold one or more HL7 v2 messages
+     * @param {string} content - Raw HL7 text (segments separated by CR, LF or CRLF)
+     * @returns {{messages: Array<Object>, errors: Array<string>, warnings: Array<string>, unparsed: Array<Object>}}
+     *          unparsed holds the { raw, lineNumber } of the lines left out of the messages
+     */
+    parse(content) {
+        const messages = [];
+        const errors = [];
+        const warnings = [];
+        const unparsed = [];
+        let current = null;
+
+        const lines = content.split(/\r\n|\r|\n/);
+
+        lines.forEach((rawLine, index) => {
+            const line = rawLine.replace(/^\s+/, '').replace(/\s+$/, '');
+            if (line === '') return;
+
+            const lineNumber = index + 1;
+
+            if (line.startsWith('MSH')) {
+                const encoding = this.readEncodingCharacters(line);
+                if (!encoding) {
+                    errors.push(`Linha ${lineNumber}: MSH-1/MSH-2 com caracteres de codificação inválidos`);
+                    unparsed.push({ raw: line, lineNumber });
+                    current = null;
+                    return;
+                }
+
+                current = { encoding, segments: [] };
+                messages.push(current);
+            } else if (!current) {
+                errors.push(`Linha ${lineNumber}: segmento ${line.substring(0, 3)} encontrado antes do MSH`);
+                unparsed.push({ raw: line, lineNumber });
+                return;
+            }
+
+            const name = line.substring(0, 3);
+            if (!this.segmentNamePattern.test(name) || line[3] !== current.encoding.field) {
+                warnings.push(`Linha ${lineNumber}: formato de segmento inválido: ${line.substring(0, 20)}`);
+                unparsed.push({ raw: line, lineNumber });
+                return;
+            }
+
+            current.segments.push(this.parseSegment(line, current.encoding, lineNumber));
+        });
+
+        messages.forEach(message => {
+            const msh = message.segments[0];
+            message.type = this.getValue(msh, 9, 1) + (this.getValue(msh, 9, 2) ? '^' + this.getValue(msh, 9, 2) : '');
+            message.controlId = this.getValue(msh, 10);
+            message.version = this.getValue(msh, 12);
+        });
+
+        return { messages, errors, warnings, unparsed };
+    }
+
+    /**
+     * Read the field separator (MSH-1) and encoding characters (MSH-2)
+     */
+    readEncodingCharacters(mshLine) {
+        const field = mshLine[3];
+        if (!field || /[A-Za-z0-9\s]/.test(field)) {
+            return null;
+        }
+
+        const encodingChars = mshLine.substring(4).split(field)[0];
+        if (encodingChars.length < 4) {
+            return null;
+        }
+
+        const encoding = {
+            field,
+            component: encodingChars[0],
+            repetition: encodingChars[1],
+            escape: encodingChars[2],
+            subcomponent: encodingChars[3]
+        };
+
+        const distinct = new Set(Object.values(encoding));
+        return distinct.size === 5 ? encoding : null;
+    }
+
+    /**
+     * Split a segment into fields, repetitions, components and subcomponents.
+     * fields[n] holds SEG-n as an array of repetitions; each repetition is an array of
+     * components and each component an array of unescaped subcomponent strings.
+     */
+    parseSegment(line, encoding, lineNumber) {
+        const name = line.substring(0, 3);
+        const rawFields = line.split(encoding.field);
+        const fields = [null];
+
+        if (name === 'MSH') {
+            // MSH-1 is the field separator itself and MSH-2 is taken literally
+            fields.push([[[encoding.field]]]);
+            fields.push([[[rawFields[1]]]]);
+            rawFields.slice(2).forEach(raw => fields.push(this.parseField(raw, encoding)));
+        } else {
+            rawFields.slice(1).forEach(raw => fields.push(this.parseField(raw, encoding)));
+        }
+
+        return { name, fields, raw: line, lineNumber };
+    }
+
+    parseField(raw, encoding) {
+        return raw.split(encoding.repetition).map(repetition =>
+            repetition.split(encoding.component).map(component =>
+                component.split(encoding.subcomponent).map(sub => this.unescape(sub, encoding))
+            )
+        );
+    }
+
+    /**
+     * Resolve HL7 escape sequences (\F\ \S\ \T\ \R\ \E\ \Xhh\ \.br\)
+     */
+    unescape(value, encoding) {
+        const esc = encoding.escape;
+        if (!value.includes(esc)) {
+            return value;
+        }
+
+        const pattern = new RegExp(`${this.escapeRegExp(esc)}([^${this.escapeRegExp(esc)}]*)${this.escapeRegExp(esc)}`, 'g');
+
+        return value.replace(pattern, (match, sequence) => {
+            switch (sequence) {
+                case 'F': return encoding.field;
+                case 'S': return encoding.component;
+                case 'T': return encoding.subcomponent;
+                case 'R': return encoding.repetition;
+                case 'E': return encoding.escape;
+                case '.br': return '\n';
+                case 'H':
+                case 'N':
+                    // Highlighting on/off has no meaning outside a display
+                    return '';
+            }
+
+            if (/^X[0-9A-Fa-f]+$/.test(sequence) && sequence.length % 2 === 1) {
+                let text = '';
+                for (let i = 1; i < sequence.length; i += 2) {
+                    text += String.fromCharCode(parseInt(sequence.substring(i, i + 2), 16));
+                }
+                return text;
+            }
+
+            return match;
+        });
+    }
+
+    /**
+     * Read a value using HL7 1-based positions (SEG-field.component.subcomponent)
+     * @param {Object} segment - Parsed segment
+     * @param {number} field - Field position
+     * @param {number} component - Component position (default 1)
+     * @param {number} repetition - Repetition index, 0-based (default 0)
+     * @param {number} subcomponent - Subcomponent position (default 1)
+     * @returns {string} Value or '' when absent
+     */
+    getValue(segment, field, component = 1, repetition = 0, subcomponent = 1) {
+        const value = segment?.fields[field]?.[repetition]?.[component - 1]?.[subcomponent - 1];
+        // "" (two double quotes) is HL7's explicit null
+        return value && value !== '""' ? value : '';
+    }
+
+    getRepetitions(segment, field) {
+        return segment?.fields[field] || [];
+    }
+
+    /**
+     * Map every message to a pacientes record (PID, PV1 and DG1 segments)
+     * @param {string} content - Raw HL7 text
+     * @returns {Array<Object>} Records shaped like the pacientes schema
+     */
+    toPacientesRecords(content) {
+        const { messages } = this.parse(content);
+        return messages
+            .map(message => this.mapMessageToPaciente(message))
+            .filter(record => record !== null);
+    }
+
+    mapMessageToPaciente(message) {
+        const pid = message.segments.find(segment => segment.name === 'PID');
+        if (!pid) return null;
+
+        const pv1 = message.segments.find(segment => segment.name === 'PV1');
+        const dg1Segments = message.segments.filter(segment => segment.name === 'DG1');
+
+        const record = {
+            id: this.getValue(pid, 3, 1),
+            nome: this.formatName(pid),
+            cpf: this.findCPF(pid),
+            email: this.findTelecom(pid, true),
+            telefone: this.findTelecom(pid, false),
+            endereco: this.formatAddress(pid),
+            nascimento: this.formatDate(this.getValue(pid, 7)),
+            sexo: this.getValue(pid, 8),
+            evento: message.type,
+            diagnosticos: dg1Segments.map(dg1 => this.getValue(dg1, 3, 1)).filter(Boolean).join(';')
+        };
+
+        if (pv1) {
+            record.atendimento = this.getValue(pv1, 19, 1);
+            record.data_admissao = this.formatDate(this.getValue(pv1, 44));
+            record.data_alta = this.formatDate(this.getValue(pv1, 45));
+        }
+
+        return record;
+    }
+
+    /**
+     * PID-5 (XPN): family^given^middle -> "given middle family"
+     */
+    formatName(pid) {
+        const family = this.getValue(pid, 5, 1);
+        const given = this.getValue(pid, 5, 2);
+        const middle = this.getValue(pid, 5, 3);
+        return [given, middle, family].filter(Boolean).join(' ');
+    }
+
+    /**
+     * CPF from a PID-3 repetition typed CPF/TAX, falling back to PID-19
+     */
+    findCPF(pid) {
+        const repetitions = this.getRepetitions(pid, 3);
+        for (let i = 0; i < repetitions.length; i++) {
+            const typeCode = this.getValue(pid, 3, 5, i).toUpperCase();
+            const authority = this.getValue(pid, 3, 4, i).toUpperCase();
+            if (this.cpfIdentifierTypes.includes(typeCode) || authority === 'CPF') {
+                return this.getValue(pid, 3, 1, i);
+            }
+        }
+        return this.getValue(pid, 19);
+    }
+
+    /**
+     * PID-13 (XTN): email when the equipment type is Internet, otherwise the first phone number
+     */
+    findTelecom(pid, wantEmail) {
+        const repetitions = this.getRepetitions(pid, 13);
+        for (let i = 0; i < repetitions.length; i++) {
+            const isEmail = this.getValue(pid, 13, 2, i) === 'NET' || this.getValue(pid, 13, 3, i) === 'Internet';
+            if (wantEmail && isEmail) {
+                return this.getValue(pid, 13, 4, i) || this.getValue(pid, 13, 1, i);
+            }
+            if (!wantEmail && !isEmail) {
+                const areaCode = this.getValue(pid, 13, 6, i);
+                const number = this.getValue(pid, 13, 7, i);
+                return areaCode && number ? `${areaCode}${number}` : this.getValue(pid, 13, 1, i);
+            }
+        }
+        return '';
+    }
+
+    /**
+     * PID-11 (XAD): street^other^city^state^zip
+     */
+    formatAddress(pid) {
+        return [1, 2, 3, 4, 5]
+            .map(component => this.getValue(pid, 11, component))
+            .filter(Boolean)
+            .join(', ');
+    }
+
+    /**
+     * HL7 DTM (YYYYMMDD[HHMM[SS]][+/-ZZZZ]) -> YYYY-MM-DD; values that are not real dates are kept
+     * for validation to report
+     */
+    formatDate(value) {
+        const { date } = this.dateParser.parse(value || '', { formats: ['YYYYMMDD'] });
+        return date || (value || '');
+    }
+
+    /**
+     * Serialize parsed messages with the HL7 segment terminator
+     * @param {Array<Object>} unparsed - Lines left out of the messages (see parse), kept verbatim in their place
+     */
+    serialize(messages, unparsed = []) {
+        return [...messages.flatMap(message => message.segments), ...unparsed]
+            .sort((a, b) => a.lineNumber - b.lineNumber)
+            .map(line => line.raw + '\r')
+            .join('\n');
+    }
+
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Export for use in other modules
+window.HL7Parser = HL7Parser;
@@ -0,0 +1,131 @@
+/**
+ * APS Healthcare Platform - Normalization Worker Client
+ * Starts normalization/validation jobs in a Web Worker and forwards their progress
+ */
+
+class NormalizationWorkerClient {
+    /**
+     * @param {string} workerUrl - URL of normalization-worker.js, relative to the page
+     */
+    constructor(workerUrl = 'js/normalization-worker.js') {
+        this.workerUrl = workerUrl;
+        this.jobs = new Map();
+    }
+
+    /**
+     * Whether the browser can run the pipeline in a worker
+     */
+    isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Whether a file can be processed in the worker. XML and xlsx (zipped XML) need
+     * DOMParser, which workers do not expose, so they stay on the main thread.
+     */
+    canProcess(file) {
+        return this.isSupported() &&
+            !/\.(xml|xlsx|xls)$/i.test(file.name) &&
+            !/xml|ms-excel/i.test(file.type || '');
+    }
+
+    /**
+     * Run FileValidationService.validateFile in a worker
+     * @param {File} file - The file to validate
+     * @param {Object} options - Validation options (must be structured-cloneable)
+     * @param {Function} progressCallback - Receives { stage, progress, message }
+     * @returns {Object} Job with { jobId, promise, cancel() }
+     */
+    validateFile(file, options = {}, progressCallback = () => {}) {
+        return this.startJob('validate', file, options, progressCallback);
+    }
+
+    /**
+     * Run FileNormalizer.normalizeFile in a worker
+     * @param {File} file - The file to normalize
+     * @param {Function} progressCallback - Receives { stage, progress, message }
+     * @param {Object} options - Same options as FileNormalizer.normalizeFile
+     * @returns {Object} Job with { jobId, promise, cancel() }
+     */
+    normalizeFile(file, progressCallback = () => {}, options = {}) {
+        return this.startJob('normalize', file, options, progressCallback);
+    }
+
+    startJob(type, file, options, progressCallback) {
+        const jobId = 'job_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+        // One worker per job, so cancelling a job can terminate it mid-pass
+        const worker = new Worker(this.workerUrl);
+        const job = { jobId, worker, cancelled: false };
+
+        job.promise = new Promise((resolve, reject) => {
+            job.reject = reject;
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.jobId !== jobId) return;
+
+                switch (message.type) {
+                    case 'progress':
+                        progressCallback(message.progress);
+                        break;
+                    case 'result':
+                        this.finishJob(job);
+                        resolve(message.result);
+                        break;
+                    case 'error':
+                        this.finishJob(job);
+                        reject(new Error(message.message));
+                        break;
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                this.finishJob(job);
+                reject(new Error(`Erro no worker de normalização: ${event.message}`));
+            };
+        });
+
+        job.cancel = () => this.cancelJob(jobId);
+
+        // Callbacks cannot be cloned into the worker; progress comes back as messages
+        const cloneableOptions = { ...options };
+        delete cloneableOptions.progressCallback;
+        worker.postMessage({ type, jobId, file, options: cloneableOptions });
+
+        this.jobs.set(jobId, job);
+        return { jobId, promise: job.promise, cancel: job.cancel };
+    }
+
+    /**
+     * Terminate a running job; its promise rejects with an AbortError
+     */
+    cancelJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) return false;
+
+        job.cancelled = true;
+        this.finishJob(job);
+
+        const error = new Error('Processamento cancelado pelo usuário');
+        error.name = 'AbortError';
+        job.reject(error);
+        return true;
+    }
+
+    finishJob(job) {
+        job.worker.terminate();
+        this.jobs.delete(job.jobId);
+    }
+
+    /**
+     * Cancel every running job
+     */
+    cancelAll() {
+        Array.from(this.jobs.keys()).forEach(jobId => this.cancelJob(jobId));
+    }
+}
+
+// Export for use in other modules
+window.NormalizationWorkerClient = NormalizationWorkerClient;
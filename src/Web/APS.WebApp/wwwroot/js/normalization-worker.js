@@ -0,0 +1,92 @@
+/**
+ * APS Healthcare Platform - Normalization Worker
+ * Runs the normalize/validate pipeline off the main thread. The file is read and decoded whole;
+ * CSV rows are then tokenized in slices of FileNormalizer.chunkSize, reporting progress per slice.
+ *
+ * Messages received:  { type: 'validate' | 'normalize', jobId, file, options }
+ *                     (options.schemaDefinition carries the page's schema document,
+ *                     options.cid10Table its loaded CID-10 table, options.cepTable its CEP ranges,
+ *                     options.rulePackUrls the scripts of its rule packs)
+ * Messages posted:    { type: 'progress', jobId, progress }
+ *                     { type: 'result', jobId, result }
+ *                     { type: 'error', jobId, message }
+ */
+
+// The pipeline modules export themselves on `window`
+self.window = self;
+
+importScripts(
+    'csv-parser.js',
+    'table-loader.js',
+    'date-parser.js',
+    'encoding-detector.js',
+    'hl7-parser.js',
+    'fhir-parser.js',
+    'xml-record-parser.js',
+    'spreadsheet-reader.js',
+    'document-validator.js',
+    'crm-validator.js',
+    'phone-normalizer.js',
+    'address-normalizer.js',
+    'content-sanitizer.js',
+    'cid10-catalog.js',
+    'record-rule-engine.js',
+    'schema-registry.js',
+    'rule-registry.js',
+    'reference-store.js',
+    'header-mapper.js',
+    'data-type-classifier.js',
+    'validation-error-collector.js',
+    'file-normalizer.js',
+    'file-validation-service.js'
+);
+
+const workerValidationService = new FileValidationService();
+
+self.onmessage = async (event) => {
+    const { type, jobId, file, options = {} } = event.data;
+    const progressCallback = (progress) => {
+        self.postMessage({ type: 'progress', jobId, progress });
+    };
+
+    try {
+        let result;
+
+        if (options.schemaDefinition) {
+            workerValidationService.schemaRegistry.load(options.schemaDefinition);
+        }
+
+        if (options.cid10Table) {
+            workerValidationService.cid10Catalog.clear();
+            workerValidationService.cid10Catalog.load(options.cid10Table);
+        }
+
+        if (options.cepTable) {
+            workerValidationService.addressNormalizer.clear();
+            workerValidationService.addressNormalizer.load(options.cepTable);
+        }
+
+        // Pack scripts are loaded once per worker
+        const loadedPackUrls = workerValidationService.ruleRegistry.getPackUrls();
+        for (const url of (options.rulePackUrls || []).filter(url => !loadedPackUrls.includes(url))) {
+            await workerValidationService.ruleRegistry.loadPackFromUrl(url);
+        }
+
+        switch (type) {
+            case 'validate':
+                result = await workerValidationService.validateFile(file, { ...options, progressCallback });
+                break;
+
+            case 'normalize':
+                result = await workerValidationService.normalizer.normalizeFile(file, progressCallback, options);
+                break;
+
+            default:
+                throw new Error(`Tipo de mensagem desconhecido: ${type}`);
+        }
+
+        self.postMessage({ type: 'result', jobId, result });
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId, message: error.message });
+    }
+};
@@ -0,0 +1,171 @@
+/**
+ * APS Healthcare Platform - Phone Normalizer
+ * Brazilian phone numbers: strips country, trunk and carrier prefixes, checks the area code (DDD),
+ * tells mobile from landline and formats as E.164 (+5511987654321) and for display ((11) 98765-4321)
+ */
+
+class PhoneNormalizer {
+    constructor() {
+        this.countryCode = '55';
+
+        // Area codes (DDD) in use and the IBGE codes of the UFs they serve;
+        // 61 also covers the Goiás municipalities around Brasília
+        this.ddds = {
+            11: [35], 12: [35], 13: [35], 14: [35], 15: [35], 16: [35], 17: [35], 18: [35], 19: [35],
+            21: [33], 22: [33], 24: [33],
+            27: [32], 28: [32],
+            31: [31], 32: [31], 33: [31], 34: [31], 35: [31], 37: [31], 38: [31],
+            41: [41], 42: [41], 43: [41], 44: [41], 45: [41], 46: [41],
+            47: [42], 48: [42], 49: [42],
+            51: [43], 53: [43], 54: [43], 55: [43],
+            61: [53, 52], 62: [52], 64: [52],
+            63: [17],
+            65: [51], 66: [51],
+            67: [50],
+            68: [12],
+            69: [11],
+            71: [29], 73: [29], 74: [29], 75: [29], 77: [29],
+            79: [28],
+            81: [26], 87: [26],
+            82: [27],
+            83: [25],
+            84: [24],
+            85: [23], 88: [23],
+            86: [22], 89: [22],
+            91: [15], 93: [15], 94: [15],
+            92: [13], 97: [13],
+            95: [14],
+            96: [16],
+            98: [21], 99: [21]
+        };
+
+        // Non-geographic numbers (0800, 0300, 0500, 0900) have no DDD
+        this.nonGeographicPattern = /^0?([3589]00)(\d{7})$/;
+    }
+
+    /**
+     * Digits of a number without the country code, trunk prefix (0) and carrier code (0xx21...)
+     * @returns {{digits: string, foreign: boolean}}
+     */
+    strip(value) {
+        const text = String(value === undefined || value === null ? '' : value).trim();
+        let digits = text.replace(/\D/g, '');
+
+        // +55 / 0055 (international); other country codes are not handled
+        const international = text.startsWith('+') ? digits : digits.startsWith('00') ? digits.substring(2) : null;
+        if (international !== null) {
+            if (!international.startsWith(this.countryCode)) {
+                return { digits: international, foreign: true };
+            }
+            digits = international.substring(this.countryCode.length);
+        } else if (digits.startsWith(this.countryCode) && (digits.length === 12 || digits.length === 13)) {
+            digits = digits.substring(this.countryCode.length);
+        }
+
+        if (this.nonGeographicPattern.test(digits)) {
+            return { digits: digits.replace(/^0/, ''), foreign: false };
+        }
+
+        // 0 + DDD + number, or 0 + carrier code + DDD + number
+        if (digits.startsWith('0')) {
+            const rest = digits.substring(1);
+            digits = rest.length === 12 || rest.length === 13 ? rest.substring(2) : rest;
+        }
+
+        return { digits, foreign: false };
+    }
+
+    /**
+     * Validate and format a number
+     * @returns {{isValid: boolean, type: 'mobile'|'landline'|'non_geographic'|null, ddd: string|null,
+     *          e164: string|null, display: string|null,
+     *          error: {code: 'country'|'length'|'ddd'|'ninth_digit'|'subscriber', message: string}|null}}
+     */
+    validate(value) {
+        const { digits, foreign } = this.strip(value);
+        const result = { isValid: false, type: null, ddd: null, e164: null, display: null, error: null };
+
+        if (foreign) {
+            result.error = { code: 'country', message: `Telefone ${value} não é brasileiro (esperado +${this.countryCode})` };
+            return result;
+        }
+
+        const nonGeographic = digits.match(this.nonGeographicPattern);
+        if (nonGeographic) {
+            const [, prefix, number] = nonGeographic;
+            return {
+                ...result,
+                isValid: true,
+                type: 'non_geographic',
+                e164: `+${this.countryCode}${digits}`,
+                display: `0${prefix} ${number.substring(0, 3)} ${number.substring(3)}`
+            };
+        }
+
+        if (digits.length !== 10 && digits.length !== 11) {
+            result.error = { code: 'length', message: `Telefone inválido: ${value} (esperado DDD e número de 8 ou 9 dígitos)` };
+            return result;
+        }
+
+        const ddd = digits.substring(0, 2);
+        const subscriber = digits.substring(2);
+        result.ddd = ddd;
+
+        if (!this.ddds[ddd]) {
+            result.error = { code: 'ddd', message: `DDD inexistente: ${ddd} em ${value}` };
+            return result;
+        }
+
+        // Mobile numbers have nine digits starting with 9; landlines eight starting with 2 to 5
+        if (subscriber.length === 9 && subscriber.startsWith('9')) {
+            result.type = 'mobile';
+        } else if (subscriber.length === 8 && /^[2-5]/.test(subscriber)) {
+            result.type = 'landline';
+        } else if (subscriber.length === 8 && /^[6-9]/.test(subscriber)) {
+            result.error = {
+                code: 'ninth_digit',
+                message: `Celular sem o nono dígito: ${value} (esperado ${this.formatDisplay(ddd, `9${subscriber}`)})`
+            };
+            return result;
+        } else {
+            result.error = { code: 'subscriber', message: `Número inválido após o DDD ${ddd}: ${value}` };
+            return result;
+        }
+
+        return {
+            ...result,
+            isValid: true,
+            e164: `+${this.countryCode}${digits}`,
+            display: this.formatDisplay(ddd, subscriber)
+        };
+    }
+
+    /**
+     * E.164 form of a valid number; other values are returned unchanged
+     */
+    normalize(value) {
+        return this.validate(value).e164 || value;
+    }
+
+    /**
+     * Display form of a valid number; other values are returned unchanged
+     */
+    format(value) {
+        return this.validate(value).display || value;
+    }
+
+    formatDisplay(ddd, subscriber) {
+        return `(${ddd}) ${subscriber.substring(0, subscriber.length - 4)}-${subscriber.substring(subscriber.length - 4)}`;
+    }
+
+    /**
+     * Whether a number's DDD serves a UF (IBGE code); true for numbers without a DDD
+     */
+    servesUF(value, codigoUf) {
+        const { isValid, ddd } = this.validate(value);
+        return !isValid || !ddd || this.ddds[ddd].includes(Number(codigoUf));
+    }
+}
+
+// Export for use in other modules
+window.PhoneNormalizer = PhoneNormalizer;
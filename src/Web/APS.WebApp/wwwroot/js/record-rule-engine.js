@@ -0,0 +1,335 @@
+/**
+ * APS Healthcare Platform - Record Rule Engine
+ * Evaluates the cross-field and cross-record rules declared in a schema's "rules" list
+ * (e.g. birth date not in the future, coordinates inside the declared UF, unique codes within a file)
+ */
+
+class RecordRuleEngine {
+    /**
+     * @param {CID10Catalog} cid10Catalog - Sex and age restrictions of diagnosis codes
+     * @param {AddressNormalizer} addressNormalizer - CEP range table
+     */
+    constructor(cid10Catalog = null, addressNormalizer = null) {
+        this.cid10Catalog = cid10Catalog || new CID10Catalog();
+        this.addressNormalizer = addressNormalizer || new AddressNormalizer();
+        this.dateParser = new DateParser();
+        this.phoneNormalizer = new PhoneNormalizer();
+
+        // Bounding boxes as [minLatitude, maxLatitude, minLongitude, maxLongitude], islands included.
+        // Boxes are coarse: a point inside a neighbouring state's box near the border is not flagged.
+        this.brazilBounds = [-33.75, 5.27, -73.99, -28.83];
+        this.ufBounds = {
+            11: [-13.70, -7.97, -66.81, -59.77],   // RO
+            12: [-11.15, -7.11, -73.99, -66.62],   // AC
+            13: [-9.82, 2.25, -73.80, -56.10],     // AM
+            14: [-1.58, 5.27, -64.83, -58.89],     // RR
+            15: [-9.84, 2.59, -58.90, -46.06],     // PA
+            16: [-1.24, 4.44, -54.88, -49.88],     // AP
+            17: [-13.47, -5.17, -50.74, -45.70],   // TO
+            21: [-10.26, -1.04, -48.76, -41.80],   // MA
+            22: [-10.93, -2.74, -45.99, -40.37],   // PI
+            23: [-7.86, -2.78, -41.42, -37.25],    // CE
+            24: [-6.98, -4.83, -38.58, -34.97],    // RN
+            25: [-8.30, -6.03, -38.77, -34.79],    // PB
+            26: [-9.48, -3.83, -41.36, -32.39],    // PE (Fernando de Noronha)
+            27: [-10.50, -8.81, -38.24, -35.15],   // AL
+            28: [-11.57, -9.51, -38.25, -36.39],   // SE
+            29: [-18.35, -8.53, -46.62, -37.34],   // BA
+            31: [-22.92, -14.23, -51.05, -39.86],  // MG
+            32: [-21.30, -17.89, -41.88, -28.83],  // ES (Trindade e Martim Vaz)
+            33: [-23.37, -20.76, -44.89, -40.96],  // RJ
+            35: [-25.31, -19.78, -53.11, -44.16],  // SP
+            41: [-26.72, -22.52, -54.62, -48.02],  // PR
+            42: [-29.35, -25.96, -53.84, -48.36],  // SC
+            43: [-33.75, -27.08, -57.64, -49.69],  // RS
+            50: [-24.07, -17.17, -58.17, -50.92],  // MS
+            51: [-18.04, -7.35, -61.63, -50.22],   // MT
+            52: [-19.50, -12.39, -53.25, -45.91],  // GO
+            53: [-16.05, -15.50, -48.29, -47.31]   // DF
+        };
+        // Degrees of slack around each box, for rounded coordinates
+        this.boundsTolerance = 0.05;
+
+        // Rule types: the properties naming fields, and a check returning a message or null.
+        // Checks run only when every named field has a value; missing values are left to "required".
+        this.ruleTypes = {
+            // { field } - date not after today
+            not_future: {
+                fieldKeys: ['field'],
+                check: (rule, values, state) => {
+                    const date = this.parseDate(values[rule.field], rule.field, state);
+                    if (!date) return null;
+                    return date > state.referenceDate
+                        ? `${rule.field} no futuro: ${values[rule.field]}`
+                        : null;
+                }
+            },
+
+            // { field, min, max } - age in whole years at today, from a birth date
+            age: {
+                fieldKeys: ['field'],
+                check: (rule, values, state) => {
+                    const date = this.parseDate(values[rule.field], rule.field, state);
+                    if (!date || date > state.referenceDate) return null;
+                    const age = this.ageAt(date, state.referenceDate);
+                    const min = rule.min === undefined ? 0 : rule.min;
+                    const max = rule.max === undefined ? 130 : rule.max;
+                    return age < min || age > max
+                        ? `Idade implausível (${age} anos) para ${rule.field} ${values[rule.field]} (esperado: ${min} a ${max})`
+                        : null;
+                }
+            },
+
+            // { latitude, longitude } - point inside Brazil
+            in_brazil: {
+                fieldKeys: ['latitude', 'longitude'],
+                check: (rule, values) => {
+                    const point = this.parsePoint(values[rule.latitude], values[rule.longitude]);
+                    if (!point) return null;
+                    return this.inBounds(point, this.brazilBounds)
+                        ? null
+                        : `Coordenadas fora do Brasil: ${values[rule.latitude]}, ${values[rule.longitude]}`;
+                }
+            },
+
+            // { latitude, longitude, uf } - point inside the state named by an IBGE UF code field
+            in_uf: {
+                fieldKeys: ['latitude', 'longitude', 'uf'],
+                check: (rule, values) => {
+                    const point = this.parsePoint(values[rule.latitude], values[rule.longitude]);
+                    const bounds = this.ufBounds[Number(values[rule.uf])];
+                    if (!point || !bounds || !this.inBounds(point, this.brazilBounds)) return null;
+                    return this.inBounds(point, bounds)
+                        ? null
+                        : `Coordenadas ${values[rule.latitude]}, ${values[rule.longitude]} fora da UF ${values[rule.uf]} informada em ${rule.uf}`;
+                }
+            },
+
+            // { field, prefixField } - a code starting with another field's code (IBGE municipality and UF)
+            prefix: {
+                fieldKeys: ['field', 'prefixField'],
+                check: (rule, values) => {
+                    const code = String(values[rule.field]).trim();
+                    const prefix = String(values[rule.prefixField]).trim();
+                    return code.startsWith(prefix)
+                        ? null
+                        : `${rule.field} ${code} não corresponde a ${rule.prefixField} ${prefix}`;
+                }
+            },
+
+            // { field, min, max } - numeric bound that invalidates the record (field ranges only warn)
+            range: {
+                fieldKeys: ['field'],
+                check: (rule, values) => {
+                    const number = Number(String(values[rule.field]).trim().replace(',', '.'));
+                    if (Number.isNaN(number)) return null;
+                    if (rule.min !== undefined && number < rule.min) {
+                        return `${rule.field} deve ser maior ou igual a ${rule.min}: ${values[rule.field]}`;
+                    }
+                    if (rule.max !== undefined && number > rule.max) {
+                        return `${rule.field} deve ser menor ou igual a ${rule.max}: ${values[rule.field]}`;
+                    }
+                    return null;
+                }
+            },
+
+            // { field, sex, birthDate, age, date } - CID-10 code compatible with the patient's sex and age.
+            // Only field is required; age comes from the age field or from birthDate at date (default today).
+            cid10_patient: {
+                fieldKeys: ['field'],
+                check: (rule, values, state) => {
+                    const code = this.cid10Catalog.normalize(values[rule.field]);
+                    const restriction = this.cid10Catalog.restrictionFor(code);
+                    if (!restriction) return null;
+
+                    const conflicts = [];
+                    const sex = rule.sex ? this.cid10Catalog.normalizeSex(values[rule.sex]) : null;
+                    if (restriction.sex && sex && sex !== restriction.sex) {
+                        conflicts.push(`restrito ao sexo ${restriction.sex}, paciente do sexo ${sex}`);
+                    }
+
+                    const age = this.patientAge(rule, values, state);
+                    if (age !== null && ((restriction.minAge !== null && age < restriction.minAge) ||
+                        (restriction.maxAge !== null && age > restriction.maxAge))) {
+                        const range = restriction.maxAge === null ? `a partir de ${restriction.minAge}` :
+                            restriction.minAge === null ? `até ${restriction.maxAge}` : `${restriction.minAge} a ${restriction.maxAge}`;
+                        conflicts.push(`restrito à idade de ${range} ano(s), paciente com ${age}`);
+                    }
+
+                    return conflicts.length > 0
+                        ? `CID-10 ${code} (${restriction.label}) ${conflicts.join('; ')}`
+                        : null;
+                }
+            },
+
+            // { field, owner } - value held by a single owner within the file (one CRM per doctor);
+            // repeated records of the same owner are left to unique rules
+            exclusive: {
+                fieldKeys: ['field', 'owner'],
+                check: (rule, values, state, recordIndex) => {
+                    const key = String(values[rule.field]).trim().toLowerCase();
+                    const owner = String(values[rule.owner]).trim().toLowerCase();
+                    const owners = state.seen.get(rule) || new Map();
+                    state.seen.set(rule, owners);
+
+                    const first = owners.get(key);
+                    if (first && first.owner !== owner) {
+                        return `${rule.field} ${values[rule.field]} já atribuído a outro ${rule.owner} (${first.value}, registro ${first.recordIndex + 1})`;
+                    }
+                    if (!first) {
+                        owners.set(key, { owner, value: values[rule.owner], recordIndex });
+                    }
+                    return null;
+                }
+            },
+
+            // { field, uf } - phone area code (DDD) serving the UF (IBGE code) of the record
+            phone_uf: {
+                fieldKeys: ['field', 'uf'],
+                check: (rule, values) => this.phoneNormalizer.servesUF(values[rule.field], values[rule.uf])
+                    ? null
+                    : `DDD de ${rule.field} ${values[rule.field]} não atende a UF ${values[rule.uf]} informada em ${rule.uf}`
+            },
+
+            // { field, uf } or { field, municipio } - CEP in the range of the record's UF (IBGE code), or of
+            // the UF of its municipality (the first two digits of the IBGE municipality code)
+            cep_uf: {
+                fieldKeys: ['field', 'uf', 'municipio'],
+                check: (rule, values) => {
+                    const uf = rule.uf ? values[rule.uf] : String(values[rule.municipio]).trim().substring(0, 2);
+                    if (this.addressNormalizer.matchesUF(values[rule.field], uf)) {
+                        return null;
+                    }
+                    return rule.uf
+                        ? `CEP ${values[rule.field]} não pertence à UF ${uf} informada em ${rule.uf}`
+                        : `CEP ${values[rule.field]} não pertence à UF ${uf} do município ${values[rule.municipio]} informado em ${rule.municipio}`;
+                }
+            },
+
+            // { fields } - combination of values not repeated within the file
+            unique: {
+                fieldKeys: ['fields'],
+                check: (rule, values, state, recordIndex) => {
+                    const key = rule.fields
+                        .map(field => String(values[field]).trim().toLowerCase().replace(/[\s.\-\/]/g, ''))
+                        .join('|');
+                    const seen = state.seen.get(rule) || new Map();
+                    state.seen.set(rule, seen);
+
+                    if (seen.has(key)) {
+                        return `${rule.fields.join(' + ')} duplicado: ${rule.fields.map(field => values[field]).join(', ')} (registro ${seen.get(key) + 1})`;
+                    }
+                    seen.set(key, recordIndex);
+                    return null;
+                }
+            }
+        };
+    }
+
+    /**
+     * State shared by the records of one file (or sheet): values seen by unique rules, the date
+     * used for age and future checks, and the date columns as analyzed by the normalizer
+     * @param {Object} dates - { [field]: { formats, order } } (see FileNormalizer.analyzeDates)
+     */
+    createState(referenceDate = new Date(), dates = {}) {
+        return { seen: new Map(), referenceDate, dates };
+    }
+
+    /**
+     * Field names a rule refers to
+     */
+    ruleFields(rule) {
+        const type = this.ruleTypes[rule.type];
+        return type ? type.fieldKeys.flatMap(key => [].concat(rule[key] || [])) : [];
+    }
+
+    /**
+     * Evaluate a schema's rules against one record
+     * @param {Object} schema - Compiled schema (see SchemaRegistry.get)
+     * @param {Object} values - Record values by schema field name
+     * @param {Object} state - From createState(); omit to skip cross-record rules
+     * @param {number} recordIndex - Position of the record in the file
+     * @returns {Array<{rule: string, severity: 'error'|'warning', message: string}>}
+     */
+    evaluate(schema, values, state = null, recordIndex = 0) {
+        const violations = [];
+
+        (schema.rules || []).forEach(rule => {
+            const type = this.ruleTypes[rule.type];
+            if (!type || (rule.type === 'unique' && !state)) {
+                return;
+            }
+
+            const filled = this.ruleFields(rule).every(field =>
+                values[field] !== undefined && values[field] !== null && String(values[field]).trim() !== '');
+            if (!filled) {
+                return;
+            }
+
+            const message = type.check(rule, values, state || this.createState(), recordIndex);
+            if (message) {
+                violations.push({ rule: rule.type, severity: rule.severity, message: rule.message || message });
+            }
+        });
+
+        return violations;
+    }
+
+    /**
+     * DateParser options for a field: the formats and day/month order of its column (see createState)
+     * plus the YYYY-MM-DD written by the normalizer, or every format and no order when the column
+     * was not analyzed. Either way a value the normalizer left ambiguous stays unread.
+     */
+    dateOptions(field, state = null) {
+        const column = state && state.dates[field];
+        return column
+            ? { formats: [...new Set(['YYYY-MM-DD', ...column.formats])], order: column.order }
+            : { formats: this.dateParser.defaultFormats, order: null };
+    }
+
+    /**
+     * Date of a field value; null for ambiguous, unrecognized or impossible dates, which the rules skip
+     */
+    parseDate(value, field, state = null) {
+        return this.dateParser.toDate(value, this.dateOptions(field, state));
+    }
+
+    /**
+     * Patient age in years for a cid10_patient rule, or null when the record does not tell
+     */
+    patientAge(rule, values, state) {
+        const declared = rule.age ? String(values[rule.age] ?? '').trim() : '';
+        if (/^\d+$/.test(declared)) {
+            return Number(declared);
+        }
+        const birthDate = rule.birthDate ? this.parseDate(values[rule.birthDate] ?? '', rule.birthDate, state) : null;
+        if (!birthDate) {
+            return null;
+        }
+        const date = (rule.date ? this.parseDate(values[rule.date] ?? '', rule.date, state) : null) || state.referenceDate;
+        return date < birthDate ? null : this.ageAt(birthDate, date);
+    }
+
+    ageAt(birthDate, referenceDate) {
+        let age = referenceDate.getFullYear() - birthDate.getFullYear();
+        if (referenceDate.getMonth() < birthDate.getMonth() ||
+            (referenceDate.getMonth() === birthDate.getMonth() && referenceDate.getDate() < birthDate.getDate())) {
+            age--;
+        }
+        return age;
+    }
+
+    parsePoint(latitude, longitude) {
+        const lat = Number(String(latitude).trim().replace(',', '.'));
+        const lon = Number(String(longitude).trim().replace(',', '.'));
+        return Number.isNaN(lat) || Number.isNaN(lon) ? null : { lat, lon };
+    }
+
+    inBounds({ lat, lon }, [minLat, maxLat, minLon, maxLon]) {
+        const slack = this.boundsTolerance;
+        return lat >= minLat - slack && lat <= maxLat + slack && lon >= minLon - slack && lon <= maxLon + slack;
+    }
+}
+
+// Export for use in other modules
+window.RecordRuleEngine = RecordRuleEngine;
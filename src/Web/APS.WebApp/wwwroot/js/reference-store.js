@@ -0,0 +1,205 @@
+/**
+ * APS Healthcare Platform - Reference Store
+ * Local copy (IndexedDB) of the imported estados and municipios, used to check the foreign keys of
+ * other data types (e.g. medicos.cidade -> municipios.codigo_ibge) and to suggest the municipality meant
+ */
+
+class ReferenceStore {
+    /**
+     * @param {HeaderMapper} nameMatcher - Provides normalizeName and editDistance for name suggestions
+     */
+    constructor(nameMatcher) {
+        this.nameMatcher = nameMatcher;
+
+        this.databaseName = 'aps_reference_data';
+        this.databaseVersion = 1;
+
+        // Reference tables: key field and the fields kept per record
+        this.tables = {
+            estados: { key: 'codigo_uf', fields: ['codigo_uf', 'uf', 'nome'] },
+            municipios: { key: 'codigo_ibge', fields: ['codigo_ibge', 'nome', 'codigo_uf'] }
+        };
+
+        // Suggestions listed per unresolved key, and the lowest name similarity offered
+        this.maxSuggestions = 3;
+        this.minNameSimilarity = 0.6;
+
+        // dataType -> Map(key -> record); also the only storage when IndexedDB is unavailable
+        this.cache = new Map();
+        // Suggestions already computed, by "dataType|value"; files tend to repeat the same bad keys
+        this.suggestionCache = new Map();
+        this.database = null;
+    }
+
+    isPersistent() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create on first use) the database; null when IndexedDB is unavailable
+     */
+    async open() {
+        if (this.database || !this.isPersistent()) {
+            return this.database;
+        }
+
+        this.database = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, this.databaseVersion);
+            request.onupgradeneeded = () => {
+                Object.entries(this.tables).forEach(([dataType, table]) => {
+                    if (!request.result.objectStoreNames.contains(dataType)) {
+                        request.result.createObjectStore(dataType, { keyPath: table.key });
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error(`Não foi possível abrir os dados de referência: ${request.error?.message}`));
+        });
+        return this.database;
+    }
+
+    /**
+     * Run a request against one object store
+     */
+    async request(dataType, mode, operation) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(dataType, mode);
+            const result = operation(transaction.objectStore(dataType));
+            transaction.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Read every reference table into memory. Run before validating: other pages and the
+     * normalization worker may have imported data since the last load.
+     */
+    async load() {
+        if (!this.isPersistent()) {
+            return;
+        }
+
+        for (const [dataType, table] of Object.entries(this.tables)) {
+            const records = await this.request(dataType, 'readonly', store => store.getAll());
+            this.cache.set(dataType, new Map(records.map(record => [record[table.key], record])));
+        }
+        this.suggestionCache.clear();
+    }
+
+    /**
+     * Add or replace reference records
+     * @param {string} dataType - 'estados' or 'municipios'
+     * @param {Array<Object>} records - Records keyed by schema field names
+     * @returns {Promise<number>} Records stored
+     */
+    async importRecords(dataType, records) {
+        const table = this.tables[dataType];
+        if (!table) {
+            throw new Error(`Tipo de dados sem tabela de referência: ${dataType}`);
+        }
+
+        const rows = records
+            .map(record => table.fields.reduce((row, field) => {
+                row[field] = this.normalizeKey(record[field]);
+                return row;
+            }, {}))
+            .filter(row => row[table.key] !== '');
+
+        if (this.isPersistent()) {
+            await this.request(dataType, 'readwrite', store => {
+                rows.forEach(row => store.put(row));
+            });
+        }
+
+        const cached = this.cache.get(dataType) || new Map();
+        rows.forEach(row => cached.set(row[table.key], row));
+        this.cache.set(dataType, cached);
+        this.suggestionCache.clear();
+
+        return rows.length;
+    }
+
+    async clear(dataType) {
+        if (this.isPersistent()) {
+            await this.request(dataType, 'readwrite', store => store.clear());
+        }
+        this.cache.delete(dataType);
+        this.suggestionCache.clear();
+    }
+
+    count(dataType) {
+        return (this.cache.get(dataType) || new Map()).size;
+    }
+
+    normalizeKey(value) {
+        return value === undefined || value === null ? '' : String(value).trim();
+    }
+
+    /**
+     * Check a foreign key
+     * @param {Object} reference - { dataType, field } the value must match
+     * @returns {{message: string, suggestions: Array<Object>}|null} null when the key resolves or
+     *          no reference data of that type was imported
+     */
+    check(reference, value) {
+        const records = this.cache.get(reference.dataType);
+        const key = this.normalizeKey(value);
+        if (!records || records.size === 0 || key === '') {
+            return null;
+        }
+
+        const table = this.tables[reference.dataType];
+        const found = reference.field === table.key
+            ? records.has(key)
+            : Array.from(records.values()).some(record => record[reference.field] === key);
+        if (found) {
+            return null;
+        }
+
+        const cacheKey = `${reference.dataType}|${key}`;
+        if (!this.suggestionCache.has(cacheKey)) {
+            this.suggestionCache.set(cacheKey, this.suggest(reference.dataType, key));
+        }
+        const suggestions = this.suggestionCache.get(cacheKey);
+        const hint = suggestions.length > 0
+            ? ` (sugestões: ${suggestions.map(record => `${record.nome} - ${record[table.key]}`).join('; ')})`
+            : '';
+        return {
+            message: `${key} não encontrado em ${reference.dataType}${hint}`,
+            suggestions
+        };
+    }
+
+    /**
+     * Nearest records of a reference table: by name for text values ("Curitba" -> Curitiba),
+     * by codes one digit apart for numeric values
+     */
+    suggest(dataType, value) {
+        const table = this.tables[dataType];
+        const records = Array.from((this.cache.get(dataType) || new Map()).values());
+
+        if (/^\d+$/.test(value)) {
+            return records
+                .filter(record => record[table.key].length === value.length &&
+                    this.nameMatcher.editDistance(record[table.key], value) === 1)
+                .slice(0, this.maxSuggestions);
+        }
+
+        const name = this.nameMatcher.normalizeName(value);
+        return records
+            .map(record => {
+                const candidate = this.nameMatcher.normalizeName(record.nome);
+                const longest = Math.max(candidate.length, name.length) || 1;
+                return { record, score: 1 - this.nameMatcher.editDistance(candidate, name) / longest };
+            })
+            .filter(({ score }) => score >= this.minNameSimilarity)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.maxSuggestions)
+            .map(({ record }) => record);
+    }
+}
+
+// Export for use in other modules
+window.ReferenceStore = ReferenceStore;
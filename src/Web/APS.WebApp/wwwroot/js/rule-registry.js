@@ -0,0 +1,320 @@
+/**
+ * APS Healthcare Platform - Rule Registry
+ * Named validation and normalization rules grouped in rule packs (the built-in security checks, or a
+ * municipality's own checks), each switched on or off per upload by the enabledRules and disabledRules
+ * options of FileValidationService.validateFile
+ */
+
+class RuleRegistry {
+    constructor() {
+        // Rule kinds: the function (or pattern) a rule must define and the severities it accepts, the first
+        // being the default
+        this.kinds = {
+            // validate(value, { field, fieldType, dataType, row }) -> message or null, per filled value
+            field: { handler: 'validate', severities: ['error', 'warning'] },
+            // check(values, { dataType, recordIndex, state }) -> message(s) or null, values by schema field name;
+            // state is shared by the records of a file (keep cross-record data under the rule's id)
+            record: { handler: 'check', severities: ['error', 'warning'] },
+            // check(content, { fileType, dataType, fileName }) -> finding(s) or null after normalization, where a
+            // finding is a message or { message, matches, pattern }; reported as threats of the security scan
+            file: { handler: 'check', severities: ['error', 'warning'] },
+            // normalize(value, { field, fieldType, row, sheet }) -> value, after the built-in normalization
+            normalizer: { handler: 'normalize', severities: [] },
+            // pattern flagged in cell values, escaped by escape: 'html', 'uri', 'sql', 'formula' or a
+            // function (value) -> value (see ContentSanitizer.rules for the other properties)
+            sanitizer: { handler: 'pattern', severities: ['high', 'medium'] }
+        };
+
+        // id -> rule, in registration order
+        this.rules = new Map();
+        // name -> { name, label, version, description, url, builtIn, rules: [id] }
+        this.packs = new Map();
+        // { name, url, message } of the defined packs that could not be registered
+        this.rejectedPacks = [];
+
+        // Packs of the scripts loaded so far; an invalid pack is left out rather than breaking the pipeline,
+        // and reported by every validation (see describeProblems)
+        RuleRegistry.definedPacks.forEach(pack => {
+            try {
+                this.registerPack(pack);
+            } catch (error) {
+                this.rejectedPacks.push({ name: pack && pack.name || null, url: pack && pack.url || null, message: error.message });
+            }
+        });
+    }
+
+    /**
+     * Declare a rule pack from a pack script; registries pick it up when created or when they load
+     * the script with loadPackFromUrl (also in the normalization worker)
+     * @param {Object} pack - See registerPack
+     */
+    static definePack(pack) {
+        const script = typeof document !== 'undefined' ? document.currentScript : null;
+        RuleRegistry.definedPacks.push(script && script.src && !pack.url ? { ...pack, url: script.src } : pack);
+    }
+
+    /**
+     * Register a pack, replacing a pack of the same name
+     * @param {Object} pack - { name, label, version, description, url, rules } where each rule is
+     *        { id, kind, label, description, severity, enabled, dataTypes, fields, fieldTypes, ...handler };
+     *        enabled: false leaves the rule off unless an upload enables it, dataTypes limits it to some
+     *        schemas, and fields/fieldTypes pick the columns of field and normalizer rules
+     * @returns {Array<string>} Ids of the registered rules
+     */
+    registerPack(pack) {
+        if (!pack || typeof pack.name !== 'string' || pack.name.trim() === '') {
+            throw new Error('Pacote de regras inválido: propriedade "name" ausente');
+        }
+        if (!Array.isArray(pack.rules)) {
+            throw new Error(`Pacote de regras '${pack.name}': 'rules' deve ser uma lista`);
+        }
+
+        const name = pack.name.trim();
+        const rules = new Map(this.rules);
+        const packs = new Map(this.packs);
+        this.unregisterPack(name);
+
+        try {
+            const ids = pack.rules.map(rule => this.register(rule, name).id);
+            this.packs.set(name, {
+                name,
+                label: pack.label || name,
+                version: pack.version || null,
+                description: pack.description || '',
+                url: pack.url || null,
+                builtIn: pack.builtIn === true,
+                rules: ids
+            });
+            return ids;
+        } catch (error) {
+            // Leave the registry as it was: no half-registered pack
+            this.rules = rules;
+            this.packs = packs;
+            throw error;
+        }
+    }
+
+    /**
+     * Register a single rule
+     * @param {Object} rule - See registerPack
+     * @param {string|null} packName - Pack the rule belongs to
+     * @returns {Object} The registered rule
+     */
+    register(rule, packName = null) {
+        const id = rule && typeof rule.id === 'string' ? rule.id.trim() : '';
+        const label = `Regra '${id}'${packName ? ` do pacote '${packName}'` : ''}`;
+        if (!id) {
+            throw new Error(`Regra sem 'id'${packName ? ` no pacote '${packName}'` : ''}`);
+        }
+
+        const kind = this.kinds[rule.kind];
+        if (!kind) {
+            throw new Error(`${label}: tipo desconhecido '${rule.kind}' (${Object.keys(this.kinds).join(', ')})`);
+        }
+        const handler = rule[kind.handler];
+        if (rule.kind === 'sanitizer' ? !handler || typeof handler.test !== 'function' : typeof handler !== 'function') {
+            throw new Error(`${label}: '${kind.handler}' deve ser ${rule.kind === 'sanitizer' ? 'uma expressão regular' : 'uma função'}`);
+        }
+        if (rule.severity !== undefined && kind.severities.length > 0 && !kind.severities.includes(rule.severity)) {
+            throw new Error(`${label}: severidade deve ser ${kind.severities.map(severity => `'${severity}'`).join(' ou ')}`);
+        }
+
+        const names = key => [].concat(rule[key] || []).map(name => String(name).trim().toLowerCase());
+        const fields = names('fields');
+        const fieldTypes = names('fieldTypes');
+        if ((rule.kind === 'field' || rule.kind === 'normalizer') && fields.length === 0 && fieldTypes.length === 0) {
+            throw new Error(`${label}: informe 'fields' ou 'fieldTypes'`);
+        }
+
+        const existing = this.rules.get(id);
+        if (existing && existing.pack !== packName) {
+            throw new Error(`${label}: id já registrado${existing.pack ? ` pelo pacote '${existing.pack}'` : ''}`);
+        }
+
+        const registered = {
+            ...rule,
+            id,
+            label: rule.label || id,
+            description: rule.description || '',
+            severity: rule.severity || kind.severities[0] || null,
+            enabled: rule.enabled !== false,
+            pack: packName,
+            dataTypes: [].concat(rule.dataTypes || []),
+            fields,
+            fieldTypes
+        };
+        this.rules.set(id, registered);
+        return registered;
+    }
+
+    unregister(id) {
+        const rule = this.rules.get(id);
+        if (!rule) {
+            return false;
+        }
+        this.rules.delete(id);
+        const pack = rule.pack ? this.packs.get(rule.pack) : null;
+        if (pack) {
+            pack.rules = pack.rules.filter(ruleId => ruleId !== id);
+        }
+        return true;
+    }
+
+    unregisterPack(name) {
+        const pack = this.packs.get(name);
+        if (!pack) {
+            return false;
+        }
+        pack.rules.forEach(id => this.rules.delete(id));
+        this.packs.delete(name);
+        return true;
+    }
+
+    /**
+     * Load a pack script (which calls RuleRegistry.definePack) and register the packs it defines
+     * @returns {Promise<Array<string>>} Ids of the registered rules
+     */
+    async loadPackFromUrl(url) {
+        const defined = RuleRegistry.definedPacks.length;
+
+        if (typeof importScripts === 'function') {
+            importScripts(url);
+        } else {
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = url;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error(`Não foi possível carregar o pacote de regras de ${url}`));
+                document.head.appendChild(script);
+            });
+        }
+
+        const packs = RuleRegistry.definedPacks.slice(defined);
+        if (packs.length === 0) {
+            throw new Error(`${url} não definiu nenhum pacote de regras (use RuleRegistry.definePack)`);
+        }
+        return packs.flatMap(pack => this.registerPack({ ...pack, url: pack.url || url }));
+    }
+
+    get(id) {
+        return this.rules.get(id) || null;
+    }
+
+    /**
+     * Registered rules, optionally of one kind
+     */
+    list(kind = null) {
+        return Array.from(this.rules.values()).filter(rule => !kind || rule.kind === kind);
+    }
+
+    getPacks() {
+        return Array.from(this.packs.values()).map(pack => ({ ...pack, rules: [...pack.rules] }));
+    }
+
+    /**
+     * Scripts of the packs not built in, to load the same packs in the normalization worker
+     */
+    getPackUrls() {
+        return [...new Set(this.getPacks().filter(pack => !pack.builtIn && pack.url).map(pack => pack.url))];
+    }
+
+    /**
+     * Whether some pack was registered from code rather than from a script, so it cannot be loaded
+     * in the normalization worker
+     */
+    hasLocalPacks() {
+        return this.getPacks().some(pack => !pack.builtIn && !pack.url);
+    }
+
+    /**
+     * Rules active for an upload, by kind. A rule or pack named in disabledRules is off; one named in
+     * enabledRules is on; other rules follow their enabled flag.
+     * @param {Object} options - { enabledRules, disabledRules }: rule ids or pack names
+     * @returns {Object} { field, record, file, normalizer, sanitizer: [rule], unknown: names matching nothing }
+     */
+    select({ enabledRules = [], disabledRules = [] } = {}) {
+        const enabled = new Set(enabledRules);
+        const disabled = new Set(disabledRules);
+        const selection = Object.keys(this.kinds).reduce((kinds, kind) => {
+            kinds[kind] = [];
+            return kinds;
+        }, {});
+
+        this.rules.forEach(rule => {
+            const named = names => names.has(rule.id) || (rule.pack !== null && names.has(rule.pack));
+            if (!named(disabled) && (named(enabled) || rule.enabled)) {
+                selection[rule.kind].push(rule);
+            }
+        });
+
+        selection.unknown = [...enabled, ...disabled].filter(name => !this.rules.has(name) && !this.packs.has(name));
+        return selection;
+    }
+
+    /**
+     * Rules that apply to a data type (rules without dataTypes apply to all)
+     */
+    forDataType(rules, dataType) {
+        return rules.filter(rule => rule.dataTypes.length === 0 || rule.dataTypes.includes(dataType));
+    }
+
+    /**
+     * Field or normalizer rules that apply to a column, by name or declared type
+     */
+    forField(rules, field, fieldType = null) {
+        const name = String(field).trim().toLowerCase();
+        return rules.filter(rule => rule.fields.includes(name) || (fieldType !== null && fieldType !== undefined && rule.fieldTypes.includes(fieldType)));
+    }
+
+    /**
+     * Run a field, record or file rule; a rule that throws is reported as a warning instead of
+     * stopping the validation
+     * @returns {Array<{severity: string, message: string, matches: number, pattern: string}>}
+     *          matches and pattern only when the rule reports them
+     */
+    run(rule, ...args) {
+        let result;
+        try {
+            result = rule[this.kinds[rule.kind].handler](...args);
+        } catch (error) {
+            return [{ severity: 'warning', message: `Regra '${rule.id}' falhou: ${error.message}` }];
+        }
+
+        return [].concat(result || []).map(finding => typeof finding === 'string'
+            ? { severity: rule.severity, message: finding }
+            : { ...finding, severity: rule.severity, message: finding.message || rule.label });
+    }
+
+    /**
+     * Run a normalizer rule; the value is kept as it was when the rule throws or returns nothing
+     * @param {Map} failures - rule id -> warning message, filled with the first failure of each rule
+     */
+    normalize(rule, value, context = {}, failures = null) {
+        try {
+            const normalized = rule.normalize(value, context);
+            return normalized === undefined || normalized === null ? value : String(normalized);
+        } catch (error) {
+            if (failures && !failures.has(rule.id)) {
+                failures.set(rule.id, `Regra '${rule.id}' falhou: ${error.message}`);
+            }
+            return value;
+        }
+    }
+
+    /**
+     * Warnings for an upload: names in enabledRules/disabledRules that match nothing (see select) and
+     * packs that could not be registered
+     */
+    describeProblems(selection) {
+        return [
+            ...selection.unknown.map(name => `Regra ou pacote de regras desconhecido: ${name}`),
+            ...this.rejectedPacks.map(pack => `Pacote de regras ignorado: ${pack.message}`)
+        ];
+    }
+}
+
+// Packs declared by pack scripts (see definePack)
+RuleRegistry.definedPacks = [];
+
+// Export for use in other modules
+window.RuleRegistry = RuleRegistry;
@@ -0,0 +1,505 @@
+/**
+ * APS Healthcare Platform - Schema Registry
+ * Single source of the healthcare data schemas (fields, types, required/optional, formats, ranges,
+ * value sets and column aliases), loadable from a versioned JSON document
+ */
+
+class SchemaRegistry {
+    constructor(definition = null) {
+        // Field types understood by normalization and validation
+        this.fieldTypes = [
+            'string', 'uuid', 'integer', 'decimal', 'boolean', 'date', 'email', 'phone',
+            'cpf', 'cnpj', 'numeric_code', 'semicolon_separated', 'cid10', 'crm', 'cnes', 'cep', 'address'
+        ];
+
+        // Input formats a date field may restrict itself to (see DateParser)
+        this.dateFormats = new DateParser().defaultFormats;
+
+        // Cross-field and cross-record rule types (evaluated by RecordRuleEngine) and the rule
+        // properties that name schema fields
+        this.ruleTypes = ['not_future', 'age', 'in_brazil', 'in_uf', 'prefix', 'range', 'unique', 'exclusive', 'cid10_patient', 'phone_uf', 'cep_uf'];
+        this.ruleFieldKeys = ['field', 'fields', 'latitude', 'longitude', 'uf', 'municipio', 'prefixField', 'owner', 'sex', 'birthDate', 'age', 'date'];
+
+        // Built-in schemas, based on the Tabelas directory. Same layout as a JSON schema document.
+        this.builtInDefinition = {
+            version: '1.0.0',
+            schemas: {
+                medicos: {
+                    version: 1,
+                    label: 'Médicos',
+                    xmlRecordPath: '/medicos/medico',
+                    fields: {
+                        codigo: { type: 'uuid', required: true, pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$', patternFlags: 'i', aliases: ['id_medico'] },
+                        nome_completo: { type: 'string', required: true, pattern: '^[A-Za-zÀ-ÿ\\s]+$', aliases: ['nome_medico'] },
+                        especialidade: { type: 'string', required: true, pattern: '^[A-Za-zÀ-ÿ\\s]+$' },
+                        cidade: { type: 'numeric_code', required: true, pattern: '^\\d+$', references: 'municipios.codigo_ibge', aliases: ['codigo_municipio'] },
+                        // Number with the council UF ("CRM/SP 123456"), or the number alone with the UF in estado_crm
+                        crm: { type: 'crm', aliases: ['numero_crm', 'registro_crm', 'crm_medico'] },
+                        estado_crm: { type: 'string', pattern: '^[A-Za-z]{2}$', aliases: ['uf_crm'] }
+                    },
+                    rules: [
+                        { type: 'unique', fields: ['codigo'] },
+                        { type: 'exclusive', field: 'crm', owner: 'codigo' }
+                    ]
+                },
+                hospitais: {
+                    version: 1,
+                    label: 'Hospitais',
+                    xmlRecordPath: '/hospitais/hospital',
+                    fields: {
+                        codigo: { type: 'uuid', pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$', patternFlags: 'i', aliases: ['id_hospital'] },
+                        // Cadastro Nacional de Estabelecimentos de Saúde: 7 digits, the last a check digit
+                        cnes: { type: 'cnes', pattern: '^\\d{7}$', aliases: ['codigo_cnes', 'cod_cnes', 'cnes_estabelecimento'] },
+                        nome: { type: 'string', required: true, pattern: '^[A-Za-zÀ-ÿ\\s]+$', aliases: ['nome_hospital'] },
+                        cidade: { type: 'numeric_code', required: true, pattern: '^\\d+$', references: 'municipios.codigo_ibge', aliases: ['codigo_municipio'] },
+                        endereco: { type: 'address', aliases: ['logradouro'] },
+                        bairro: { type: 'string', required: true, pattern: '^[A-Za-zÀ-ÿ\\s]+$' },
+                        cep: { type: 'cep', aliases: ['codigo_postal'] },
+                        leitos_totais: { type: 'integer', required: true, pattern: '^\\d+$', min: 0, aliases: ['leitos'] },
+                        especialidades: { type: 'semicolon_separated', pattern: '^[A-Za-zÀ-ÿ\\s;]+$' }
+                    },
+                    keys: ['codigo', 'cnes'],
+                    rules: [
+                        { type: 'unique', fields: ['codigo'] },
+                        { type: 'unique', fields: ['cnes'] },
+                        { type: 'range', field: 'leitos_totais', min: 0 },
+                        { type: 'cep_uf', field: 'cep', municipio: 'cidade', severity: 'warning' }
+                    ]
+                },
+                municipios: {
+                    version: 1,
+                    label: 'Municípios',
+                    xmlRecordPath: '/municipios/municipio',
+                    fields: {
+                        codigo_ibge: { type: 'integer', required: true, pattern: '^\\d+$', aliases: ['cod_ibge', 'ibge'] },
+                        nome: { type: 'string', required: true, pattern: "^[A-Za-zÀ-ÿ\\s\\-']+$", aliases: ['municipio'] },
+                        latitude: { type: 'decimal', required: true, pattern: '^-?\\d+\\.?\\d*$', min: -90, max: 90, aliases: ['lat'] },
+                        longitude: { type: 'decimal', required: true, pattern: '^-?\\d+\\.?\\d*$', min: -180, max: 180, aliases: ['lon', 'lng'] },
+                        codigo_uf: { type: 'integer', required: true, pattern: '^\\d+$', references: 'estados.codigo_uf', aliases: ['cod_uf'] },
+                        populacao: { type: 'integer', required: true, pattern: '^\\d+$', min: 0 },
+                        capital: { type: 'boolean' },
+                        siafi_id: {},
+                        ddd: {},
+                        fuso_horario: {}
+                    },
+                    rules: [
+                        { type: 'unique', fields: ['codigo_ibge'] },
+                        { type: 'prefix', field: 'codigo_ibge', prefixField: 'codigo_uf' },
+                        { type: 'in_brazil', latitude: 'latitude', longitude: 'longitude' },
+                        { type: 'in_uf', latitude: 'latitude', longitude: 'longitude', uf: 'codigo_uf', severity: 'warning' }
+                    ]
+                },
+                estados: {
+                    version: 1,
+                    label: 'Estados',
+                    xmlRecordPath: '/estados/estado',
+                    fields: {
+                        codigo_uf: { type: 'integer', required: true, pattern: '^\\d+$', aliases: ['cod_uf'] },
+                        uf: { type: 'string', required: true, pattern: '^[A-Z]{2}$', aliases: ['sigla'] },
+                        nome: { type: 'string', required: true, pattern: '^[A-Za-zÀ-ÿ\\s]+$' },
+                        latitude: { type: 'decimal', required: true, pattern: '^-?\\d+\\.?\\d*$', min: -90, max: 90, aliases: ['lat'] },
+                        longitude: { type: 'decimal', required: true, pattern: '^-?\\d+\\.?\\d*$', min: -180, max: 180, aliases: ['lon', 'lng'] },
+                        regiao: { type: 'string', required: true, enum: ['Norte', 'Nordeste', 'Centro-Oeste', 'Sudeste', 'Sul'] }
+                    },
+                    rules: [
+                        { type: 'unique', fields: ['codigo_uf'] },
+                        { type: 'unique', fields: ['uf'] },
+                        { type: 'in_brazil', latitude: 'latitude', longitude: 'longitude' },
+                        { type: 'in_uf', latitude: 'latitude', longitude: 'longitude', uf: 'codigo_uf', severity: 'warning' }
+                    ]
+                },
+                pacientes: {
+                    version: 1,
+                    label: 'Pacientes',
+                    xmlRecordPath: '/pacientes/paciente',
+                    fields: {
+                        id: { type: 'uuid', required: true, pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$', patternFlags: 'i', aliases: ['id_paciente'] },
+                        nome: { type: 'string', required: true, pattern: '^[A-Za-zÀ-ÿ\\s]+$', aliases: ['nome_paciente'] },
+                        cpf: { type: 'cpf', required: true, pattern: '^\\d{3}\\.\\d{3}\\.\\d{3}-\\d{2}$|^\\d{11}$' },
+                        email: { type: 'email', pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$' },
+                        // E.164 (+5511987654321); normalization fills telefone_formatado with the display form
+                        telefone: { type: 'phone', aliases: ['fone', 'celular'] },
+                        telefone_formatado: { type: 'string' },
+                        // Street type written out ("R. das Flores" -> "Rua das Flores") for duplicate matching
+                        endereco: { type: 'address', aliases: ['logradouro'] },
+                        cep: { type: 'cep', aliases: ['codigo_postal', 'zipcode', 'zip_code'] },
+                        codigo_uf: { type: 'integer', pattern: '^\\d+$', aliases: ['cod_uf'] },
+                        nascimento: { type: 'date', aliases: ['data_nascimento', 'dt_nascimento'] },
+                        sexo: {}
+                    },
+                    rules: [
+                        { type: 'unique', fields: ['id'] },
+                        { type: 'unique', fields: ['cpf'] },
+                        { type: 'not_future', field: 'nascimento' },
+                        { type: 'age', field: 'nascimento', min: 0, max: 130, severity: 'warning' },
+                        { type: 'phone_uf', field: 'telefone', uf: 'codigo_uf', severity: 'warning' },
+                        { type: 'cep_uf', field: 'cep', uf: 'codigo_uf', severity: 'warning' }
+                    ]
+                },
+                diagnosticos: {
+                    version: 1,
+                    label: 'Diagnósticos',
+                    xmlRecordPath: '/diagnosticos/diagnostico',
+                    fields: {
+                        paciente_id: { type: 'uuid', required: true, pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$', patternFlags: 'i', aliases: ['id_paciente', 'paciente'] },
+                        cid10: { type: 'cid10', required: true, aliases: ['cid', 'cid_10', 'codigo_cid', 'cid10_codigo'] },
+                        data_diagnostico: { type: 'date', aliases: ['dt_diagnostico', 'data'] },
+                        tipo_diagnostico: { type: 'string', enum: ['Principal', 'Secundário', 'Suspeita'], aliases: ['tipo'] },
+                        status_diagnostico: { type: 'string', enum: ['Ativo', 'Resolvido', 'Em Tratamento'], aliases: ['status', 'situacao'] },
+                        medico_responsavel: { type: 'string', aliases: ['medico'] },
+                        observacoes: {},
+                        // Patient data, when exported with the diagnosis, for the code's sex and age restrictions
+                        sexo: { type: 'string', aliases: ['sexo_paciente'] },
+                        nascimento: { type: 'date', aliases: ['data_nascimento', 'dt_nascimento'] },
+                        idade: { type: 'integer', pattern: '^\\d+$', min: 0, max: 130 }
+                    },
+                    rules: [
+                        { type: 'not_future', field: 'data_diagnostico' },
+                        { type: 'cid10_patient', field: 'cid10', sex: 'sexo', birthDate: 'nascimento', age: 'idade', date: 'data_diagnostico', severity: 'warning' }
+                    ]
+                }
+            }
+        };
+
+        // dataType -> Map(version -> compiled schema)
+        this.schemas = new Map();
+        this.documentVersion = null;
+
+        // Callbacks run with the updated data types after each load
+        this.listeners = [];
+
+        this.load(definition || this.builtInDefinition);
+    }
+
+    /**
+     * Load a schema document. Schemas are added or replaced by a higher version;
+     * a document cannot downgrade a schema that is already registered.
+     * @param {Object} definition - { version, schemas: { [dataType]: { version, label, xmlRecordPath, fields, keys, rules } } }
+     *        where each field is { type, required, pattern, patternFlags, min, max, enum, references, formats, aliases }
+     *        (references: "dataType.field" the value must exist in, see ReferenceStore;
+     *        formats: input formats accepted by a date field, e.g. ["DD/MM/YYYY", "YYYYMMDD"]),
+     *        keys lists alternative identifying fields of which each record needs at least one
+     *        and each rule is { type, severity: 'error'|'warning', message, ...fields named by the type }
+     * @returns {Array<string>} Data types added or updated
+     */
+    load(definition) {
+        if (!definition || typeof definition.schemas !== 'object' || definition.schemas === null) {
+            throw new Error('Documento de esquemas inválido: propriedade "schemas" ausente');
+        }
+
+        const compiled = Object.entries(definition.schemas).map(([dataType, schema]) => this.compile(dataType, schema));
+        const updated = [];
+
+        compiled.forEach(schema => {
+            const versions = this.schemas.get(schema.name) || new Map();
+            const latest = this.get(schema.name);
+            if (latest && latest.version > schema.version) {
+                return;
+            }
+            versions.set(schema.version, schema);
+            this.schemas.set(schema.name, versions);
+            updated.push(schema.name);
+        });
+
+        if (definition.version) {
+            this.documentVersion = String(definition.version);
+        }
+
+        this.listeners.forEach(listener => listener(updated));
+        return updated;
+    }
+
+    /**
+     * Run a callback whenever schemas are loaded
+     * @param {Function} listener - Receives the data types added or updated
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Load a schema document from JSON text
+     */
+    loadFromJSON(text) {
+        let definition;
+        try {
+            definition = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Documento de esquemas não é um JSON válido: ${error.message}`);
+        }
+        return this.load(definition);
+    }
+
+    /**
+     * Fetch and load a schema document, e.g. a file published next to the application
+     */
+    async loadFromUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Não foi possível carregar os esquemas de ${url}: HTTP ${response.status}`);
+        }
+        return this.loadFromJSON(await response.text());
+    }
+
+    /**
+     * Check a schema definition and build its lookup structures
+     */
+    compile(dataType, schema) {
+        const label = `Esquema '${dataType}'`;
+        if (!schema || typeof schema.fields !== 'object' || schema.fields === null || Object.keys(schema.fields).length === 0) {
+            throw new Error(`${label}: nenhum campo definido`);
+        }
+
+        const version = schema.version === undefined ? 1 : Number(schema.version);
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`${label}: versão deve ser um inteiro positivo`);
+        }
+
+        const fields = {};
+        const aliases = {};
+
+        Object.entries(schema.fields).forEach(([rawName, field]) => {
+            const name = rawName.trim().toLowerCase();
+            const definition = field || {};
+
+            if (definition.type && !this.fieldTypes.includes(definition.type)) {
+                throw new Error(`${label}: tipo desconhecido '${definition.type}' no campo '${name}'`);
+            }
+
+            let pattern = null;
+            if (definition.pattern) {
+                try {
+                    pattern = new RegExp(definition.pattern, definition.patternFlags || '');
+                } catch (error) {
+                    throw new Error(`${label}: expressão regular inválida no campo '${name}': ${error.message}`);
+                }
+            }
+
+            ['min', 'max'].forEach(bound => {
+                if (definition[bound] !== undefined && typeof definition[bound] !== 'number') {
+                    throw new Error(`${label}: '${bound}' do campo '${name}' deve ser numérico`);
+                }
+            });
+
+            if (definition.enum !== undefined && !Array.isArray(definition.enum)) {
+                throw new Error(`${label}: 'enum' do campo '${name}' deve ser uma lista`);
+            }
+
+            const reference = definition.references ? String(definition.references).match(/^(\w+)\.(\w+)$/) : null;
+            if (definition.references && !reference) {
+                throw new Error(`${label}: 'references' do campo '${name}' deve ter a forma "tipo.campo"`);
+            }
+
+            if (definition.formats !== undefined) {
+                const unknownFormat = [].concat(definition.formats).find(format => !this.dateFormats.includes(format));
+                if (definition.type !== 'date' || !Array.isArray(definition.formats) || unknownFormat !== undefined) {
+                    throw new Error(`${label}: 'formats' do campo '${name}' deve listar formatos de data (${this.dateFormats.join(', ')})`);
+                }
+            }
+
+            fields[name] = {
+                name,
+                type: definition.type || null,
+                required: definition.required === true,
+                pattern,
+                min: definition.min,
+                max: definition.max,
+                enum: definition.enum || null,
+                references: reference ? { dataType: reference[1], field: reference[2] } : null,
+                formats: definition.formats || null,
+                aliases: (definition.aliases || []).map(alias => alias.trim().toLowerCase())
+            };
+
+            fields[name].aliases.forEach(alias => {
+                aliases[alias] = name;
+            });
+        });
+
+        if (schema.keys !== undefined && !Array.isArray(schema.keys)) {
+            throw new Error(`${label}: 'keys' deve ser uma lista`);
+        }
+
+        const keys = (schema.keys || []).map(name => String(name).trim().toLowerCase());
+        const unknownKey = keys.find(name => !fields[name]);
+        if (unknownKey !== undefined) {
+            throw new Error(`${label}: chave '${unknownKey}' não existe no esquema`);
+        }
+
+        if (schema.rules !== undefined && !Array.isArray(schema.rules)) {
+            throw new Error(`${label}: 'rules' deve ser uma lista`);
+        }
+
+        const rules = (schema.rules || []).map((rule, index) => {
+            const ruleLabel = `${label}: regra ${index + 1}`;
+            if (!rule || !this.ruleTypes.includes(rule.type)) {
+                throw new Error(`${ruleLabel}: tipo desconhecido '${rule && rule.type}'`);
+            }
+            if (rule.severity !== undefined && !['error', 'warning'].includes(rule.severity)) {
+                throw new Error(`${ruleLabel}: severidade deve ser 'error' ou 'warning'`);
+            }
+
+            const compiledRule = { ...rule, severity: rule.severity || 'error' };
+            this.ruleFieldKeys.filter(key => rule[key] !== undefined).forEach(key => {
+                const names = [].concat(rule[key]).map(name => String(name).trim().toLowerCase());
+                const unknown = names.find(name => !fields[name]);
+                if (names.length === 0 || unknown !== undefined) {
+                    throw new Error(`${ruleLabel}: campo '${unknown}' não existe no esquema`);
+                }
+                compiledRule[key] = Array.isArray(rule[key]) ? names : names[0];
+            });
+            return compiledRule;
+        });
+
+        const fieldList = Object.values(fields);
+
+        return {
+            name: dataType,
+            version,
+            label: schema.label || dataType,
+            xmlRecordPath: schema.xmlRecordPath || null,
+            fields,
+            aliases,
+            // Alternative natural keys (e.g. codigo or cnes): each record needs one of them
+            keys,
+            // Cross-field and cross-record rules, severity defaulting to 'error'
+            rules,
+            requiredFields: fieldList.filter(field => field.required).map(field => field.name),
+            optionalFields: fieldList.filter(field => !field.required).map(field => field.name),
+            // Declared type per field, as used by normalization
+            dataTypes: fieldList.reduce((types, field) => {
+                if (field.type) types[field.name] = field.type;
+                return types;
+            }, {})
+        };
+    }
+
+    has(dataType) {
+        return this.schemas.has(dataType);
+    }
+
+    /**
+     * Compiled schema of a data type: the latest version unless one is given
+     * @returns {Object|null} { name, version, label, xmlRecordPath, fields, aliases, keys, rules, requiredFields, optionalFields, dataTypes }
+     */
+    get(dataType, version = null) {
+        const versions = this.schemas.get(dataType);
+        if (!versions) {
+            return null;
+        }
+        if (version !== null) {
+            return versions.get(Number(version)) || null;
+        }
+        return versions.get(Math.max(...versions.keys()));
+    }
+
+    getDataTypes() {
+        return Array.from(this.schemas.keys());
+    }
+
+    getVersions(dataType) {
+        return Array.from((this.schemas.get(dataType) || new Map()).keys()).sort((a, b) => a - b);
+    }
+
+    /**
+     * Canonical field name for a column name or one of its aliases
+     * @returns {string|null}
+     */
+    resolveField(dataType, columnName) {
+        const schema = this.get(dataType);
+        if (!schema) {
+            return null;
+        }
+        const name = String(columnName || '').trim().toLowerCase();
+        return schema.fields[name] ? name : (schema.aliases[name] || null);
+    }
+
+    /**
+     * Required fields absent from the fields present in a record or header row; when none of the
+     * alternative keys is present the keys are reported together ("codigo ou cnes")
+     * @param {Array<string>|Set<string>} presentFields - Canonical names of the fields present
+     * @returns {Array<string>}
+     */
+    missingRequired(dataType, presentFields) {
+        const schema = this.get(dataType);
+        if (!schema) {
+            return [];
+        }
+
+        const present = new Set(presentFields);
+        const missing = schema.requiredFields.filter(field => !present.has(field));
+        if (schema.keys.length > 0 && !schema.keys.some(field => present.has(field))) {
+            missing.push(schema.keys.join(' ou '));
+        }
+        return missing;
+    }
+
+    /**
+     * Check a value against the format, range and value set of its field
+     * @returns {{rule: 'pattern'|'range'|'enum', message: string}|null} The first broken rule, or null
+     */
+    checkValue(dataType, fieldName, value) {
+        const field = this.get(dataType)?.fields[fieldName];
+        const text = value === undefined || value === null ? '' : String(value).trim();
+        if (!field || text === '') {
+            return null;
+        }
+
+        if (field.pattern && !field.pattern.test(text)) {
+            return { rule: 'pattern', message: `Formato inválido para '${fieldName}': ${text}` };
+        }
+
+        if (field.min !== undefined || field.max !== undefined) {
+            const number = Number(text);
+            if (!Number.isNaN(number) &&
+                ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max))) {
+                const range = field.max === undefined ? `>= ${field.min}` :
+                    field.min === undefined ? `<= ${field.max}` : `${field.min} a ${field.max}`;
+                return { rule: 'range', message: `Valor fora do intervalo para '${fieldName}' (${range}): ${text}` };
+            }
+        }
+
+        if (field.enum && !field.enum.some(option => String(option).toLowerCase() === text.toLowerCase())) {
+            return { rule: 'enum', message: `Valor não permitido para '${fieldName}': ${text} (esperado: ${field.enum.join(', ')})` };
+        }
+
+        return null;
+    }
+
+    /**
+     * Current schemas as a JSON document that load() accepts, e.g. to edit and reload them
+     */
+    toJSON() {
+        const schemas = {};
+
+        this.getDataTypes().forEach(dataType => {
+            const schema = this.get(dataType);
+            schemas[dataType] = {
+                version: schema.version,
+                label: schema.label,
+                ...(schema.xmlRecordPath ? { xmlRecordPath: schema.xmlRecordPath } : {}),
+                fields: Object.values(schema.fields).reduce((fields, field) => {
+                    fields[field.name] = {
+                        ...(field.type ? { type: field.type } : {}),
+                        ...(field.required ? { required: true } : {}),
+                        ...(field.pattern ? { pattern: field.pattern.source } : {}),
+                        ...(field.pattern && field.pattern.flags ? { patternFlags: field.pattern.flags } : {}),
+                        ...(field.min !== undefined ? { min: field.min } : {}),
+                        ...(field.max !== undefined ? { max: field.max } : {}),
+                        ...(field.enum ? { enum: field.enum } : {}),
+                        ...(field.references ? { references: `${field.references.dataType}.${field.references.field}` } : {}),
+                        ...(field.formats ? { formats: field.formats } : {}),
+                        ...(field.aliases.length > 0 ? { aliases: field.aliases } : {})
+                    };
+                    return fields;
+                }, {}),
+                ...(schema.keys.length > 0 ? { keys: schema.keys } : {}),
+                ...(schema.rules.length > 0 ? { rules: schema.rules } : {})
+            };
+        });
+
+        return { version: this.documentVersion, schemas };
+    }
+}
+
+// Export for use in other modules
+window.SchemaRegistry = SchemaRegistry;
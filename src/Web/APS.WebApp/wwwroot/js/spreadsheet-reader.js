@@ -0,0 +1,355 @@
+/**
+ * APS Healthcare Platform - Spreadsheet Reader
+ * Reads Excel workbooks (OOXML .xlsx: a zip of XML parts) into per-sheet header + rows tables
+ */
+
+class SpreadsheetReader {
+    constructor() {
+        this.signatures = {
+            zip: [0x50, 0x4B, 0x03, 0x04],
+            // Compound File Binary: legacy .xls (BIFF8) workbooks
+            compoundFile: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]
+        };
+
+        // Built-in number formats that display a date and/or time (ECMA-376 18.8.30)
+        this.builtInDateFormats = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58]);
+
+        // Rows inspected when looking for the header row (title and blank rows are skipped)
+        this.headerScanRows = 20;
+    }
+
+    /**
+     * Whether a file should be read as a spreadsheet rather than as text
+     */
+    isSpreadsheetFile(file) {
+        return /\.(xlsx|xls)$/i.test(file.name) ||
+            /spreadsheetml|ms-excel/i.test(file.type || '');
+    }
+
+    /**
+     * Read a workbook
+     * @param {ArrayBuffer|Uint8Array} buffer - Raw file content
+     * @returns {Promise<{sheets: Array<{name: string, headerRow: number, headers: Array<string>, rows: Array<Array<string>>}>}>}
+     *          headerRow is the 1-based worksheet row of the headers (0 when the sheet is empty)
+     */
+    async read(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+        if (this.startsWith(bytes, this.signatures.compoundFile)) {
+            throw new Error('Planilha .xls no formato binário antigo (BIFF) não é suportada; salve o arquivo como .xlsx');
+        }
+        if (!this.startsWith(bytes, this.signatures.zip)) {
+            throw new Error('Arquivo não é uma planilha .xlsx válida (assinatura zip ausente)');
+        }
+
+        const entries = this.readZipDirectory(bytes);
+        const readPart = async (path) => {
+            const entry = entries.get(path);
+            return entry ? new TextDecoder('utf-8').decode(await this.extractEntry(bytes, entry)) : null;
+        };
+
+        const workbookXml = await readPart('xl/workbook.xml');
+        if (!workbookXml) {
+            throw new Error('Planilha .xlsx sem xl/workbook.xml');
+        }
+
+        const workbook = this.parseXml(workbookXml);
+        const relationships = this.parseRelationships(await readPart('xl/_rels/workbook.xml.rels'));
+        const sharedStrings = this.parseSharedStrings(await readPart('xl/sharedStrings.xml'));
+        const dateStyles = this.parseDateStyles(await readPart('xl/styles.xml'));
+        const workbookPr = this.elements(workbook, 'workbookPr')[0];
+        const date1904 = workbookPr ? ['1', 'true'].includes(workbookPr.getAttribute('date1904')) : false;
+
+        const sheets = [];
+        for (const sheet of this.elements(workbook, 'sheet')) {
+            const relationId = this.getAttributeByLocalName(sheet, 'id');
+            const target = relationships[relationId];
+            if (!target) continue;
+
+            const path = target.startsWith('/') ? target.substring(1) : `xl/${target}`;
+            const sheetXml = await readPart(path);
+            if (!sheetXml) continue;
+
+            const rows = this.parseSheetRows(this.parseXml(sheetXml), sharedStrings, dateStyles, date1904);
+            sheets.push({ name: sheet.getAttribute('name'), ...this.splitHeader(rows) });
+        }
+
+        return { sheets };
+    }
+
+    /**
+     * Build header-keyed records from a sheet, skipping blank rows
+     */
+    toRecords(sheet) {
+        return sheet.rows
+            .filter(values => values.some(value => value !== ''))
+            .map(values => {
+                const record = {};
+                sheet.headers.forEach((header, index) => {
+                    if (header !== '') {
+                        record[header] = values[index] !== undefined ? values[index] : '';
+                    }
+                });
+                return record;
+            });
+    }
+
+    /**
+     * Pick the header row: the first row among the first rows whose non-empty cells are
+     * all distinct text and cover at least half of the sheet width (skips title lines)
+     */
+    splitHeader(rows) {
+        const candidates = rows.slice(0, this.headerScanRows);
+        const width = Math.max(0, ...candidates.map(row => row.cells.filter(cell => cell.value !== '').length));
+        if (width === 0) {
+            return { headerRow: 0, headers: [], rows: [] };
+        }
+
+        const isHeader = (row) => {
+            const filled = row.cells.filter(cell => cell.value !== '');
+            const distinct = new Set(filled.map(cell => cell.value.trim().toLowerCase()));
+            return filled.length > 0 &&
+                filled.length >= Math.ceil(width / 2) &&
+                distinct.size === filled.length &&
+                filled.every(cell => cell.isText && !/^-?\d+([.,]\d+)?$/.test(cell.value.trim()));
+        };
+
+        const headerIndex = Math.max(0, candidates.findIndex(isHeader));
+        const header = rows[headerIndex];
+
+        return {
+            headerRow: header.number,
+            headers: header.cells.map(cell => cell.value.trim()),
+            rows: rows.slice(headerIndex + 1).map(row => row.cells.map(cell => cell.value))
+        };
+    }
+
+    /**
+     * Worksheet rows as { number, cells: [{ value, isText }] }, with gaps filled by empty cells
+     */
+    parseSheetRows(sheetDocument, sharedStrings, dateStyles, date1904) {
+        const rows = [];
+
+        this.elements(sheetDocument, 'row').forEach((rowElement, index) => {
+            const number = parseInt(rowElement.getAttribute('r'), 10) || (rows.length ? rows[rows.length - 1].number + 1 : index + 1);
+            const cells = [];
+
+            this.childElements(rowElement, 'c').forEach(cellElement => {
+                const reference = cellElement.getAttribute('r');
+                const column = reference ? this.columnIndex(reference) : cells.length;
+                while (cells.length < column) {
+                    cells.push({ value: '', isText: false });
+                }
+                cells[column] = this.readCell(cellElement, sharedStrings, dateStyles, date1904);
+            });
+
+            rows.push({ number, cells });
+        });
+
+        return rows;
+    }
+
+    readCell(cellElement, sharedStrings, dateStyles, date1904) {
+        const type = cellElement.getAttribute('t') || 'n';
+        const valueElement = this.childElements(cellElement, 'v')[0];
+        const raw = valueElement ? valueElement.textContent : '';
+
+        switch (type) {
+            case 's':
+                return { value: sharedStrings[parseInt(raw, 10)] || '', isText: true };
+            case 'inlineStr': {
+                const inline = this.childElements(cellElement, 'is')[0];
+                return { value: inline ? this.richText(inline) : '', isText: true };
+            }
+            case 'str':
+            case 'e':
+            case 'd':
+                return { value: raw, isText: type === 'str' };
+            case 'b':
+                return { value: raw === '1' ? 'TRUE' : 'FALSE', isText: false };
+            default: {
+                const style = parseInt(cellElement.getAttribute('s'), 10);
+                if (raw !== '' && dateStyles.has(style)) {
+                    return { value: this.serialToDate(parseFloat(raw), date1904), isText: false };
+                }
+                return { value: raw, isText: false };
+            }
+        }
+    }
+
+    /**
+     * Excel serial date -> YYYY-MM-DD (plus HH:MM:SS when the serial has a time part)
+     */
+    serialToDate(serial, date1904 = false) {
+        // Day 0 is 1899-12-30 so that the 1900 leap-year bug cancels out after 1900-03-01
+        const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+        const date = new Date(epoch + Math.round(serial * 86400) * 1000);
+        const iso = date.toISOString();
+        return serial % 1 === 0 ? iso.substring(0, 10) : `${iso.substring(0, 10)} ${iso.substring(11, 19)}`;
+    }
+
+    parseSharedStrings(xml) {
+        if (!xml) return [];
+        return this.elements(this.parseXml(xml), 'si').map(si => this.richText(si));
+    }
+
+    /**
+     * Text of an <si>/<is> element: plain <t> or rich-text runs, without phonetic (<rPh>) hints
+     */
+    richText(element) {
+        return this.elements(element, 't')
+            .filter(t => this.localName(t.parentNode) !== 'rPh')
+            .map(t => t.textContent)
+            .join('');
+    }
+
+    /**
+     * Indexes of cellXfs styles whose number format displays a date
+     */
+    parseDateStyles(xml) {
+        const dateStyles = new Set();
+        if (!xml) return dateStyles;
+
+        const styles = this.parseXml(xml);
+        const customDateFormats = new Set();
+        this.elements(styles, 'numFmt').forEach(numFmt => {
+            const code = (numFmt.getAttribute('formatCode') || '')
+                .replace(/"[^"]*"/g, '')
+                .replace(/\[[^\]]*\]/g, '')
+                .replace(/\\./g, '');
+            if (/[dmyhs]/i.test(code) && !/general/i.test(code)) {
+                customDateFormats.add(parseInt(numFmt.getAttribute('numFmtId'), 10));
+            }
+        });
+
+        const cellXfs = this.elements(styles, 'cellXfs')[0];
+        if (cellXfs) {
+            this.childElements(cellXfs, 'xf').forEach((xf, index) => {
+                const numFmtId = parseInt(xf.getAttribute('numFmtId'), 10);
+                if (this.builtInDateFormats.has(numFmtId) || customDateFormats.has(numFmtId)) {
+                    dateStyles.add(index);
+                }
+            });
+        }
+
+        return dateStyles;
+    }
+
+    parseRelationships(xml) {
+        const relationships = {};
+        if (!xml) return relationships;
+
+        this.elements(this.parseXml(xml), 'Relationship').forEach(relationship => {
+            relationships[relationship.getAttribute('Id')] = relationship.getAttribute('Target');
+        });
+        return relationships;
+    }
+
+    /**
+     * Read the zip central directory into a Map of path -> entry (ZIP64 is not supported)
+     */
+    readZipDirectory(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error('Planilha .xlsx corrompida: diretório zip não encontrado');
+        }
+
+        const totalEntries = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const entries = new Map();
+        const decoder = new TextDecoder('utf-8');
+
+        for (let i = 0; i < totalEntries; i++) {
+            if (view.getUint32(offset, true) !== 0x02014B50) {
+                throw new Error('Planilha .xlsx corrompida: entrada inválida no diretório zip');
+            }
+
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            entries.set(name, {
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                localHeaderOffset: view.getUint32(offset + 42, true)
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    async extractEntry(bytes, entry) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const header = entry.localHeaderOffset;
+        const dataStart = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+        switch (entry.method) {
+            case 0:
+                return data;
+            case 8: {
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                return new Uint8Array(await new Response(stream).arrayBuffer());
+            }
+            default:
+                throw new Error(`Método de compressão zip não suportado: ${entry.method}`);
+        }
+    }
+
+    parseXml(xml) {
+        const document = new DOMParser().parseFromString(xml, 'application/xml');
+        if (document.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Planilha .xlsx corrompida: XML interno inválido');
+        }
+        return document;
+    }
+
+    /**
+     * "AB12" -> 27 (0-based column index)
+     */
+    columnIndex(reference) {
+        const letters = /^[A-Z]+/i.exec(reference)[0].toUpperCase();
+        let index = 0;
+        for (let i = 0; i < letters.length; i++) {
+            index = index * 26 + (letters.charCodeAt(i) - 64);
+        }
+        return index - 1;
+    }
+
+    // Namespace-agnostic lookups: some producers write prefixed SpreadsheetML (x:row, x:c)
+    elements(node, localName) {
+        return Array.from(node.getElementsByTagNameNS('*', localName));
+    }
+
+    childElements(node, localName) {
+        return Array.from(node.childNodes).filter(child => child.nodeType === 1 && this.localName(child) === localName);
+    }
+
+    getAttributeByLocalName(element, localName) {
+        const attribute = Array.from(element.attributes).find(attr => this.localName(attr) === localName);
+        return attribute ? attribute.value : null;
+    }
+
+    localName(node) {
+        return node.localName || node.nodeName.split(':').pop();
+    }
+
+    startsWith(bytes, signature) {
+        return signature.every((byte, index) => bytes[index] === byte);
+    }
+}
+
+// Export for use in other modules
+window.SpreadsheetReader = SpreadsheetReader;
@@ -0,0 +1,64 @@
+/**
+ * APS Healthcare Platform - Table Loader
+ * Reading of the reference tables loaded into the validators (CID-10 codes, CEP ranges): JSON or CSV
+ * text, fetched from the application, with columns picked by accepted names
+ */
+
+class TableLoader {
+    /**
+     * Rows of a table given as JSON (list of objects) or CSV text (header row; ',' or ';' separated)
+     * @param {string} text - Table text
+     * @param {string} name - Table name for error messages, e.g. 'tabela CID-10'
+     * @returns {Array<Object>} Rows
+     */
+    static parse(text, name) {
+        const trimmed = String(text).trim();
+        if (trimmed.startsWith('[')) {
+            try {
+                return JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error(`${TableLoader.capitalize(name)} não é um JSON válido: ${error.message}`);
+            }
+        }
+        return CSVParser.parseRecords(trimmed).records;
+    }
+
+    /**
+     * Fetch a table published next to the application and read its rows (see parse)
+     */
+    static async fetch(url, name) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Não foi possível carregar a ${name} de ${url}: HTTP ${response.status}`);
+        }
+        return TableLoader.parse(await response.text(), name);
+    }
+
+    /**
+     * Values of a row by column, each column read from the first of its accepted names that is filled
+     * (names compared without accents and case) or else from the column's own key
+     * @param {Object} row - Table row
+     * @param {Object} tableColumns - column -> accepted names
+     * @returns {Object} column -> value (undefined when absent)
+     */
+    static readColumns(row, tableColumns) {
+        const byName = Object.entries(row || {}).reduce((columns, [key, value]) => {
+            const name = key.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '_');
+            columns[name] = value;
+            return columns;
+        }, {});
+
+        return Object.entries(tableColumns).reduce((columns, [column, names]) => {
+            const name = names.find(candidate => byName[candidate] !== undefined && byName[candidate] !== '');
+            columns[column] = name ? byName[name] : (row && row[column] !== undefined ? row[column] : undefined);
+            return columns;
+        }, {});
+    }
+
+    static capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+}
+
+// Export for use in other modules
+window.TableLoader = TableLoader;
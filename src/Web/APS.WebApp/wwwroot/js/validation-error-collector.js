@@ -0,0 +1,124 @@
+/**
+ * APS Healthcare Platform - Validation Error Collector
+ * Keeps row-level validation errors as structured objects with bounded memory: repeated errors of the
+ * same column and rule are aggregated once their first occurrences are listed
+ */
+
+class ValidationErrorCollector {
+    /**
+     * @param {Object} options - { maxErrors: errors listed in total, maxPerGroup: errors listed per column and rule }
+     */
+    constructor(options = {}) {
+        this.maxErrors = options.maxErrors || 1000;
+        this.maxPerGroup = options.maxPerGroup || 20;
+        // Characters of the offending value kept in each error
+        this.previewLength = 120;
+
+        this.errors = [];
+        this.groups = new Map();
+        this.counts = { error: 0, warning: 0 };
+    }
+
+    /**
+     * Record an error
+     * @param {Object} error - { row, column, value, rule, severity: 'error'|'warning', message, sheet }
+     *        where row is the data row number (1 = first row after the header)
+     */
+    add({ row, column = null, value = '', rule, severity = 'error', message, sheet = null }) {
+        const text = value === null || value === undefined ? '' : String(value);
+        const key = [sheet || '', column || '', rule, severity].join('|');
+        this.counts[severity] = (this.counts[severity] || 0) + 1;
+
+        if (!this.groups.has(key)) {
+            this.groups.set(key, {
+                ...(sheet ? { sheet } : {}),
+                column,
+                rule,
+                severity,
+                count: 0,
+                listed: 0,
+                firstRow: row,
+                lastRow: row
+            });
+        }
+
+        const group = this.groups.get(key);
+        group.count++;
+        group.lastRow = row;
+
+        if (group.listed < this.maxPerGroup && this.errors.length < this.maxErrors) {
+            group.listed++;
+            this.errors.push({
+                ...(sheet ? { sheet } : {}),
+                row,
+                column,
+                value: text.length > this.previewLength ? `${text.substring(0, this.previewLength)}…` : text,
+                rule,
+                severity,
+                message
+            });
+        }
+    }
+
+    /**
+     * @returns {{total: number, errors: number, warnings: number, listed: number, truncated: boolean}}
+     */
+    summary() {
+        const total = this.counts.error + this.counts.warning;
+        return {
+            total,
+            errors: this.counts.error,
+            warnings: this.counts.warning,
+            listed: this.errors.length,
+            truncated: total > this.errors.length
+        };
+    }
+
+    /**
+     * Plain object for reports (survives postMessage from the worker)
+     * @returns {{summary: Object, errors: Array<Object>, groups: Array<Object>}}
+     */
+    toJSON() {
+        return {
+            summary: this.summary(),
+            errors: this.errors,
+            groups: Array.from(this.groups.values()).sort((a, b) => b.count - a.count)
+        };
+    }
+
+    /**
+     * CSV export of a collected error list (see toJSON), one line per listed error plus one line per
+     * column and rule with occurrences that were only counted
+     * @param {Object} rowValidation - Result of toJSON()
+     * @param {string} delimiter - Output delimiter; ';' opens directly in spreadsheets configured for pt-BR
+     */
+    static toCSV(rowValidation, delimiter = ';') {
+        const header = ['aba', 'linha', 'coluna', 'valor', 'regra', 'severidade', 'mensagem'];
+        const lines = rowValidation.errors.map(error => [
+            error.sheet || '', error.row, error.column || '', error.value, error.rule, error.severity, error.message
+        ]);
+
+        rowValidation.groups
+            .filter(group => group.count > group.listed)
+            .forEach(group => {
+                lines.push([
+                    group.sheet || '', '', group.column || '', '', group.rule, group.severity,
+                    `${group.count - group.listed} ocorrência(s) adicional(is) não listada(s) entre as linhas ${group.firstRow} e ${group.lastRow}`
+                ]);
+            });
+
+        // Values starting with formula characters are prefixed so the export cannot run formulas;
+        // signed numbers are kept as they are
+        const safe = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /^[=+\-@\t\r]/.test(text) && !/^[+\-]?\d+([.,]\d+)*$/.test(text) ? `'${text}` : text;
+        };
+
+        return [header, ...lines]
+            .map(values => CSVParser.stringifyRow(values.map(safe), delimiter))
+            .join('\r\n');
+    }
+}
+
+// Export for use in other modules
+window.ValidationErrorCollector = ValidationErrorCollector;
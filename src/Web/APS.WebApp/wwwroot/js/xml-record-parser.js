@@ -0,0 +1,243 @@
+/**
+ * APS Healthcare Platform - XML Record Parser
+ * Parses XML with DOMParser and extracts repeating record elements as flat records
+ */
+
+class XMLRecordParser {
+    constructor() {
+        // Repeating record element per data type, as an absolute element path
+        this.recordPaths = {
+            pacientes: '/pacientes/paciente',
+            medicos: '/medicos/medico',
+            hospitais: '/hospitais/hospital',
+            estados: '/estados/estado',
+            municipios: '/municipios/municipio'
+        };
+
+        // Separator used when a record has the same child element more than once
+        this.repeatedValueSeparator = ';';
+
+        // Line/column formats of the <parsererror> text produced by each browser engine
+        this.errorLocationPatterns = [
+            /line (\d+) at column (\d+)/i,           // Chromium / WebKit
+            /Line Number (\d+), Column (\d+)/i,       // Gecko
+            /line[:\s]+(\d+)[,\s]+col(?:umn)?[:\s]+(\d+)/i
+        ];
+    }
+
+    /**
+     * DOMParser exists on the main thread only; it is not exposed to Web Workers
+     */
+    isSupported() {
+        return typeof DOMParser !== 'undefined';
+    }
+
+    /**
+     * Configure the record element path for a data type
+     * @param {string} dataType - e.g. 'hospitais'
+     * @param {string} path - Absolute element path, e.g. '/hospitais/hospital'
+     */
+    setRecordPath(dataType, path) {
+        this.recordPaths[dataType] = path;
+    }
+
+    /**
+     * Parse XML text
+     * @param {string} content - XML document
+     * @returns {{document: Document|null, error: {message: string, line: number|null, column: number|null}|null}}
+     */
+    parse(content) {
+        const document = new DOMParser().parseFromString(content, 'application/xml');
+        const parserError = document.getElementsByTagName('parsererror')[0];
+
+        if (parserError) {
+            return { document: null, error: this.describeParserError(parserError.textContent) };
+        }
+
+        return { document, error: null };
+    }
+
+    describeParserError(text) {
+        let line = null;
+        let column = null;
+
+        for (const pattern of this.errorLocationPatterns) {
+            const match = pattern.exec(text);
+            if (match) {
+                line = parseInt(match[1], 10);
+                column = parseInt(match[2], 10);
+                break;
+            }
+        }
+
+        const message = text
+            .replace(/^This page contains the following errors:/i, '')
+            .replace(/Below is a rendering of the page up to the first error\.?/i, '')
+            .replace(/^error on line \d+ at column \d+:\s*/i, '')
+            .replace(/^XML Parsing Error:\s*/i, '')
+            .replace(/\s*Location:[\s\S]*$/i, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        return { message, line, column };
+    }
+
+    /**
+     * Format a parse error as a user-facing message
+     */
+    formatError(error) {
+        return error.line !== null
+            ? `Erro de sintaxe XML na linha ${error.line}, coluna ${error.column}: ${error.message}`
+            : `Erro de sintaxe XML: ${error.message}`;
+    }
+
+    /**
+     * Extract flat records from an XML document
+     * @param {string} content - XML document
+     * @param {string} dataType - Data type whose record path to use; 'auto-detect' or null matches
+     *                            the configured paths against the root element
+     * @returns {{records: Array<Object>, recordPath: string|null, dataType: string|null, error: Object|null}}
+     */
+    toRecords(content, dataType = null) {
+        const { document, error } = this.parse(content);
+        if (error) {
+            return { records: [], recordPath: null, dataType: null, error };
+        }
+
+        const root = document.documentElement;
+        const resolved = this.resolveRecordPath(root, dataType);
+        const elements = resolved.recordPath ? this.selectPath(root, resolved.recordPath) : [];
+
+        return {
+            records: elements.map(element => this.flattenElement(element)),
+            recordPath: resolved.recordPath,
+            dataType: resolved.dataType,
+            error: null
+        };
+    }
+
+    /**
+     * Pick the record path: the configured one for dataType, else the configured path whose
+     * root matches the document, else the most repeated child of the root element
+     */
+    resolveRecordPath(root, dataType) {
+        if (dataType && dataType !== 'auto-detect' && this.recordPaths[dataType]) {
+            return { recordPath: this.recordPaths[dataType], dataType };
+        }
+
+        const rootName = this.localName(root);
+        const match = Object.entries(this.recordPaths)
+            .find(([type, path]) => this.splitPath(path)[0] === rootName);
+        if (match) {
+            return { recordPath: match[1], dataType: match[0] };
+        }
+
+        const childCounts = {};
+        this.childElements(root).forEach(child => {
+            const name = this.localName(child);
+            childCounts[name] = (childCounts[name] || 0) + 1;
+        });
+
+        const [recordName] = Object.entries(childCounts).sort(([, a], [, b]) => b - a)[0] || [];
+        return { recordPath: recordName ? `/${rootName}/${recordName}` : null, dataType: null };
+    }
+
+    /**
+     * Elements matching an absolute path of element names (namespace prefixes are ignored)
+     */
+    selectPath(root, path) {
+        const [rootName, ...steps] = this.splitPath(path);
+        if (rootName !== this.localName(root)) {
+            return [];
+        }
+
+        return steps.reduce((current, step) =>
+            current.flatMap(element => this.childElements(element).filter(child => this.localName(child) === step)),
+        [root]);
+    }
+
+    /**
+     * Flatten attributes and descendant elements into { field: string }.
+     * Leaf elements keep their own name (prefixed with the parent name on collision),
+     * attributes of children become child_attribute, and repeated elements and list
+     * wrappers are joined with ';'.
+     */
+    flattenElement(element) {
+        const record = {};
+
+        Array.from(element.attributes).forEach(attribute => {
+            this.addValue(record, this.localName(attribute), attribute.value);
+        });
+
+        this.childElements(element).forEach(child => this.flattenChild(child, record, null));
+
+        return record;
+    }
+
+    flattenChild(element, record, parentName) {
+        const name = this.localName(element);
+        const key = parentName && (name in record) && !this.isRepeatOf(element) ? `${parentName}_${name}` : name;
+
+        Array.from(element.attributes).forEach(attribute => {
+            this.addValue(record, `${key}_${this.localName(attribute)}`, attribute.value);
+        });
+
+        const children = this.childElements(element);
+        if (children.length === 0) {
+            this.addValue(record, key, element.textContent.trim());
+        } else if (this.isListWrapper(element, children)) {
+            children.forEach(child => this.addValue(record, key, child.textContent.trim()));
+        } else {
+            children.forEach(child => this.flattenChild(child, record, key));
+        }
+    }
+
+    /**
+     * <especialidades><especialidade>A</especialidade><especialidade>B</especialidade></especialidades>
+     * is a list of values for the wrapper field rather than a nested record
+     */
+    isListWrapper(element, children) {
+        const childName = this.localName(children[0]);
+        const sameLeaves = children.every(child =>
+            this.localName(child) === childName &&
+            this.childElements(child).length === 0 &&
+            child.attributes.length === 0
+        );
+        return sameLeaves && (children.length > 1 || this.localName(element).startsWith(childName));
+    }
+
+    /**
+     * Whether an earlier sibling has the same name (a repeated element, not a name collision)
+     */
+    isRepeatOf(element) {
+        let sibling = element.previousSibling;
+        while (sibling) {
+            if (sibling.nodeType === 1 && this.localName(sibling) === this.localName(element)) {
+                return true;
+            }
+            sibling = sibling.previousSibling;
+        }
+        return false;
+    }
+
+    addValue(record, key, value) {
+        record[key] = key in record && record[key] !== ''
+            ? `${record[key]}${this.repeatedValueSeparator}${value}`
+            : value;
+    }
+
+    childElements(element) {
+        return Array.from(element.childNodes).filter(node => node.nodeType === 1);
+    }
+
+    localName(node) {
+        return node.localName || node.nodeName.split(':').pop();
+    }
+
+    splitPath(path) {
+        return path.split('/').filter(Boolean);
+    }
+}
+
+// Export for use in other modules
+window.XMLRecordParser = XMLRecordParser;